@@ -0,0 +1,214 @@
+// api/batch.js
+// Enrich many companies in one call (e.g. a CRM export).
+// - POST a JSON array, { items: [...] }, { csv: "..." } or a CSV body
+//   (Content-Type: text/csv or text/plain; read from the raw request when the
+//   platform leaves it unparsed). Multipart form uploads are not supported (415).
+// - Each item is a name, a domain, or { name, domain, qid, wikipedia, lei, ticker }
+//   (the most exact identifier wins, see lib/enrich.js)
+// - Infoboxes are read over HTTP; one Chromium (launched only as a fallback, or
+//   for ?engine=browser) is shared by every item, and Wikidata entity lookups
+//   issued in the same tick are coalesced into a single wbgetentities call
+// - Every item gets its own { ok, status, error } so one failure never sinks the batch
+// - The batch has BATCH_BUDGET_MS of this function's 60 s (vercel.js): each item
+//   runs with a deadline (?deadline=, default ITEM_DEADLINE_MS) cut to what is
+//   left, and items that can't start in time come back as 504 "timed out"
+// - ?provenance=1 adds per-field provenance to every result
+// - ?exchanges=XLON,XNAS orders each data.listings; ?quotes=primary|all|none
+// - ?finance=yahoo,mock picks the quote provider chain for every item
+// - ?lang=de,fr adds local-language fallbacks (labels, Wikipedia edition, `localized`)
+// - ?refresh=1 bypasses the cache; X-Cache-Sources sums hits/misses over the batch
+
+const { enrichCompany, launchBrowser, createEntityLoader, createCacheContext, setCacheHeaders, EnrichError } = require("../lib");
+const { enrichOptionsFromParams, enrichOptionsError } = require("../lib/options");
+const { RE_DOMAIN } = require("../lib/domain");
+const { isTruthy } = require("../lib/util");
+
+const MAX_BATCH_ITEMS = 100;
+const MAX_BODY_BYTES = 1024 * 1024;
+const BATCH_CONCURRENCY = 4;
+const BATCH_BUDGET_MS = 45e3;  // leaves room for identification, which ignores deadlines
+const ITEM_DEADLINE_MS = 15e3;
+const MIN_ITEM_MS = 2e3;       // less than this left: don't start the item
+
+/* ------------------------------- Input parsing ------------------------------- */
+// Minimal RFC 4180 parser: quoted fields, doubled quotes, CRLF.
+function parseCsv(text) {
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i];
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"') quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && text[i + 1] === "\n") i++;
+      row.push(field); rows.push(row); row = []; field = "";
+    } else field += c;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.map(r => r.map(s => s.trim())).filter(r => r.some(Boolean));
+}
+
+const NAME_COLUMNS = ["name", "q", "company", "company name"];
+const DOMAIN_COLUMNS = ["domain", "website", "url"];
+
+function csvToItems(text) {
+  const rows = parseCsv(text);
+  if (!rows.length) return [];
+  const header = rows[0].map(h => h.toLowerCase());
+  const nameCol = header.findIndex(h => NAME_COLUMNS.includes(h));
+  const domainCol = header.findIndex(h => DOMAIN_COLUMNS.includes(h));
+  // No recognizable header: every row's first cell is an item.
+  if (nameCol < 0 && domainCol < 0) return rows.map(r => r[0]);
+  return rows.slice(1).map(r => ({
+    name: nameCol >= 0 ? r[nameCol] : null,
+    domain: domainCol >= 0 ? r[domainCol] : null
+  }));
+}
+
+// The body as text when it was not parsed into an object: a string, a Buffer,
+// or (text/csv and other types the platform skips) the raw request stream.
+// -> text, or null when the body is already parsed or absent.
+// Rejects (413) past MAX_BODY_BYTES.
+async function bodyText(req) {
+  if (typeof req.body === "string") return req.body;
+  if (Buffer.isBuffer(req.body)) return req.body.toString("utf8");
+  if (req.body != null || !req.readable || typeof req[Symbol.asyncIterator] !== "function") return null;
+  const chunks = [];
+  let size = 0;
+  for await (const chunk of req) {
+    size += chunk.length;
+    if (size > MAX_BODY_BYTES) throw new EnrichError(`Body too large; the limit is ${MAX_BODY_BYTES} bytes.`, { status: 413, code: "BAD_INPUT" });
+    chunks.push(Buffer.from(chunk));
+  }
+  return Buffer.concat(chunks).toString("utf8");
+}
+
+function itemsFrom(body) {
+  if (Array.isArray(body)) return body;
+  if (Array.isArray(body?.items)) return body.items;
+  if (typeof body?.csv === "string") return csvToItems(body.csv);
+  return null;
+}
+
+// -> the raw items, or null; rejects (415) for multipart uploads.
+async function readItems(req) {
+  const contentType = String(req.headers?.["content-type"] || "").toLowerCase();
+  if (contentType.startsWith("multipart/")) {
+    throw new EnrichError("Multipart uploads are not supported; POST the CSV file itself as the body (Content-Type: text/csv).", { status: 415, code: "BAD_INPUT" });
+  }
+  const text = await bodyText(req);
+  if (text == null) return itemsFrom(req.body);
+  if (!contentType.includes("json")) return csvToItems(text);
+  try { return itemsFrom(JSON.parse(text)); } catch { return null; }
+}
+
+// Plain strings that look like a hostname or URL are treated as domains.
+function normalizeItem(item) {
+  if (typeof item === "string") {
+    const s = item.trim();
+    return RE_DOMAIN.test(s) ? { name: null, domain: s } : { name: s, domain: null };
+  }
+  if (item && typeof item === "object") {
+    const name = String(item.name || item.q || "").trim();
+    const domain = String(item.domain || item.website || "").trim();
+    const ids = {};
+    for (const key of ["qid", "wikipedia", "lei", "ticker"]) {
+      const value = String(item[key] || "").trim();
+      if (value) ids[key] = value;
+    }
+    return { name: name || null, domain: domain || null, ...ids };
+  }
+  return { name: null, domain: null };
+}
+
+/* -------------------------------- Batch runner ------------------------------- */
+async function runPool(items, limit, worker) {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i], i);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+}
+
+/* -------------------------------- Main handler ------------------------------- */
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+
+  if (req.method !== "POST") {
+    res.setHeader("Allow", "POST");
+    res.status(405).json({ error: "POST a JSON array of names/domains, { items: [...] }, or a CSV body." });
+    return;
+  }
+
+  let raw;
+  try {
+    raw = await readItems(req);
+  } catch (err) {
+    res.status(err.status || 400).json({ error: err.message || String(err) });
+    return;
+  }
+  if (!raw?.length) {
+    res.status(400).json({ error: 'Provide items, e.g. ["Google", "stripe.com", { "name": "Apple", "domain": "apple.com" }]' });
+    return;
+  }
+  if (raw.length > MAX_BATCH_ITEMS) {
+    res.status(413).json({ error: `Too many items (${raw.length}); the limit is ${MAX_BATCH_ITEMS} per request.` });
+    return;
+  }
+
+  const options = enrichOptionsFromParams((key) => req.query?.[key]);
+  const badOption = enrichOptionsError(options);
+  if (badOption) {
+    res.status(400).json({ error: badOption });
+    return;
+  }
+
+  let browserPromise;
+  const ctx = {
+    getBrowser: () => (browserPromise = browserPromise || launchBrowser()),
+    getEntities: createEntityLoader(),
+    ...options,
+    cache: createCacheContext({ refresh: isTruthy(req.query?.refresh) })
+  };
+
+  const budgetEnd = Date.now() + BATCH_BUDGET_MS;
+  try {
+    const results = await runPool(raw.map(normalizeItem), BATCH_CONCURRENCY, async (input, index) => {
+      const left = budgetEnd - Date.now();
+      if (left < MIN_ITEM_MS) {
+        return { index, input, ok: false, status: 504, error: "Timed out: the batch ran out of time before this item started", result: null };
+      }
+      try {
+        const result = await enrichCompany(input, { ...ctx, deadline: Math.min(options.deadline ?? ITEM_DEADLINE_MS, left) });
+        return { index, input, ok: true, status: 200, error: null, result };
+      } catch (err) {
+        return { index, input, ok: false, status: err.status || 500, error: err.message || String(err), result: null };
+      }
+    });
+
+    const succeeded = results.filter(r => r.ok).length;
+    setCacheHeaders(res, ctx.cache);
+    res.status(200).json({
+      ok: true,
+      count: results.length,
+      succeeded,
+      failed: results.length - succeeded,
+      timed_out: results.filter(r => r.status === 504).length,
+      scrapedAt: new Date().toISOString(),
+      results
+    });
+  } catch (err) {
+    res.status(500).json({ ok: false, error: err.message || String(err) });
+  } finally {
+    if (browserPromise) { try { await (await browserPromise).close(); } catch {} }
+  }
+};
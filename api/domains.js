@@ -0,0 +1,48 @@
+// api/domains.js
+// Reverse lookup: every domain a company is known to use (lib/domains.js) —
+// official websites, brand/subsidiary websites and alias domains that redirect
+// to them. The company is identified like /api/hierarchy:
+//   ?qid=Q95 | ?wikipedia=<article URL> | ?lei=<LEI> | ?ticker=GOOGL | ?q=Google | ?domain=google.com
+// ?max_brands=50 (1-200) brand websites, ?aliases=0 skips alias discovery (no site fetches)
+// ?lang=de,fr also matches names/articles in those languages
+// ?refresh=1 bypasses the cache
+
+const { identifyCompany, collectDomains, getWikidataEntities, createCacheContext, setCacheHeaders } = require("../lib");
+const { isTruthy } = require("../lib/util");
+const { inputFromParams } = require("../lib/options");
+
+/* -------------------------------- Main handler ------------------------------- */
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+
+  const param = (key) => req.query?.[key] ?? req.body?.[key];
+  const input = inputFromParams(param);
+  if (!Object.keys(input).length) {
+    res.status(400).json({ error: "Provide a company via ?qid=Q95, ?wikipedia=<article URL>, ?lei=<LEI>, ?ticker=GOOGL, ?q=Google or ?domain=google.com" });
+    return;
+  }
+
+  const cache = createCacheContext({ refresh: isTruthy(param("refresh")) });
+
+  try {
+    const { qid, wikipedia, match } = await identifyCompany(input, { lang: param("lang"), cache });
+    const maxBrands = parseInt(param("max_brands"), 10);
+    const aliases = param("aliases") == null || isTruthy(param("aliases"));
+    const getEntities = cache.wrapEntities(getWikidataEntities);
+    const domains = await cache.result(`domains:${JSON.stringify({ qid, maxBrands, aliases })}`,
+      () => collectDomains(qid, { maxBrands, aliases, getEntities }));
+
+    setCacheHeaders(res, cache);
+    res.status(200).json({
+      ok: true,
+      qid,
+      wikipedia,
+      ...(match ? { match } : {}),
+      ...domains,
+      scrapedAt: new Date().toISOString()
+    });
+  } catch (err) {
+    setCacheHeaders(res, cache);
+    res.status(err.status || 500).json({ ok: false, error: err.message || String(err), ...(err.details ? { details: err.details } : {}) });
+  }
+};
@@ -0,0 +1,47 @@
+// api/hierarchy.js
+// Corporate hierarchy: parents/owners up, subsidiaries down, and the ultimate parent
+// (lib/hierarchy.js). The company is identified like /api/lookup, or by name/domain:
+//   ?qid=Q95 | ?wikipedia=<article URL> | ?lei=<LEI> | ?ticker=GOOGL | ?q=Google | ?domain=google.com
+// ?depth=2 (1-5) levels each way, ?max_children=25 (1-100) links per node
+// ?lang=de,fr also matches names/articles in those languages
+// ?refresh=1 bypasses the cache
+
+const { identifyCompany, buildHierarchy, getWikidataEntities, createCacheContext, setCacheHeaders } = require("../lib");
+const { isTruthy } = require("../lib/util");
+const { inputFromParams } = require("../lib/options");
+
+/* -------------------------------- Main handler ------------------------------- */
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+
+  const param = (key) => req.query?.[key] ?? req.body?.[key];
+  const input = inputFromParams(param);
+  if (!Object.keys(input).length) {
+    res.status(400).json({ error: "Provide a company via ?qid=Q95, ?wikipedia=<article URL>, ?lei=<LEI>, ?ticker=GOOGL, ?q=Google or ?domain=google.com" });
+    return;
+  }
+
+  const cache = createCacheContext({ refresh: isTruthy(param("refresh")) });
+
+  try {
+    const { qid, wikipedia, match } = await identifyCompany(input, { lang: param("lang"), cache });
+    const depth = parseInt(param("depth"), 10);
+    const maxChildren = parseInt(param("max_children"), 10);
+    const getEntities = cache.wrapEntities(getWikidataEntities);
+    const tree = await cache.result(`hierarchy:${JSON.stringify({ qid, depth, maxChildren })}`,
+      () => buildHierarchy(qid, { depth, maxChildren, getEntities }));
+
+    setCacheHeaders(res, cache);
+    res.status(200).json({
+      ok: true,
+      qid,
+      wikipedia,
+      ...(match ? { match } : {}),
+      ...tree,
+      scrapedAt: new Date().toISOString()
+    });
+  } catch (err) {
+    setCacheHeaders(res, cache);
+    res.status(err.status || 500).json({ ok: false, error: err.message || String(err), ...(err.details ? { details: err.details } : {}) });
+  }
+};
@@ -0,0 +1,69 @@
+// api/jobs.js
+// Async enrichment for companies too slow to enrich within one request (lib/jobs.js).
+// - POST with a company (q|name, domain, qid, wikipedia, lei, ticker) answers 202
+//   with a job id at once; the pipeline keeps running after the response
+// - GET ?id=<job id> polls: status queued | running | done | failed, and the
+//   result (the same JSON /api/lookup returns) once done
+// - webhook=<https URL> (body or query) POSTs the finished job there, signed
+//   with WEBHOOK_SECRET (X-Webhook-Signature, see lib/jobs.js); without the
+//   secret, jobs with a webhook are refused (501)
+// - ?deadline=35 (seconds, default and at most 35): sources still running then are left out
+//   and the result is `partial: true` with `source.timed_out`
+// - ?provenance=1, ?engine=, ?exchanges=, ?quotes=, ?finance=, ?lang= as for the
+//   other routes
+//
+// On Vercel the job is kept alive with waitUntil() from @vercel/functions, so
+// it may run up to this function's maxDuration (vercel.js); elsewhere it simply
+// keeps running in this process.
+
+const { waitUntil } = require("@vercel/functions");
+const { startJob, getJob } = require("../lib");
+const { enrichOptionsFromParams, enrichOptionsError, inputFromParams } = require("../lib/options");
+
+/* -------------------------------- Main handler ------------------------------- */
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+
+  const param = (key) => req.query?.[key] ?? req.body?.[key];
+
+  try {
+    if (req.method === "GET") {
+      const id = String(param("id") || "").trim();
+      if (!id) {
+        res.status(400).json({ ok: false, error: "Provide the job ?id= to poll" });
+        return;
+      }
+      const job = await getJob(id);
+      res.setHeader("Cache-Control", "no-store");
+      res.status(job ? 200 : 404).json(job ? { ok: true, ...job } : { ok: false, error: `Unknown or expired job "${id}"` });
+      return;
+    }
+
+    if (req.method !== "POST") {
+      res.setHeader("Allow", "GET, POST");
+      res.status(405).json({ ok: false, error: "POST a company to start a job, GET ?id= to poll it" });
+      return;
+    }
+
+    const input = inputFromParams(param);
+    const options = enrichOptionsFromParams(param);
+    const badOption = enrichOptionsError(options);
+    if (badOption) {
+      res.status(400).json({ ok: false, error: badOption });
+      return;
+    }
+
+    const { job, done } = await startJob(input, { options, webhook: param("webhook") || null });
+    waitUntil(done);
+    res.status(202).json({
+      ok: true,
+      id: job.id,
+      status: job.status,
+      status_url: `/api/jobs?id=${job.id}`,
+      webhook: job.webhook?.url || null,
+      created_at: job.created_at
+    });
+  } catch (err) {
+    res.status(err.status || 500).json({ ok: false, error: err.message || String(err) });
+  }
+};
@@ -0,0 +1,48 @@
+// api/lookup.js
+// Exact-identifier lookup: skips fuzzy search and feeds the entity straight
+// into the shared pipeline (lib/enrich.js).
+//   ?qid=Q95
+//   ?wikipedia=https://en.wikipedia.org/wiki/Google  (any language edition)
+//   ?lei=5493006MHB84DD0ZWV18                         (Wikidata P1278)
+//   ?ticker=GOOGL                                     (Wikidata P249)
+// ?provenance=1 adds per-field source/retrieval time/confidence
+// ?engine=auto|http|browser picks the infobox and website reader (default auto, Chromium only as fallback)
+// ?exchanges=XLON,XNAS orders data.listings (first = primary); ?quotes=primary|all|none
+// ?finance=yahoo,mock picks the quote provider chain (default FINANCE_PROVIDERS)
+// ?lang=de,fr falls back to German, then French labels/Wikipedia articles and
+//   adds a `localized` block (English stays the primary output language)
+// ?deadline=8 (seconds, the default here): slow sources still running then are
+//   left out and the result is `partial: true` instead of timing out
+// ?refresh=1 bypasses the cache (X-Cache / X-Cache-Sources report what was reused)
+
+const { enrichCompany, createCacheContext, setCacheHeaders } = require("../lib");
+const { isTruthy } = require("../lib/util");
+const { DEFAULT_DEADLINE_MS, enrichOptionsFromParams, inputFromParams } = require("../lib/options");
+
+// The exact identifiers; names and domains have their own routes
+const LOOKUP_FIELDS = ["qid", "wikipedia", "lei", "ticker"];
+
+/* -------------------------------- Main handler ------------------------------- */
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+
+  const param = (key) => req.query?.[key] ?? req.body?.[key];
+  const parsed = inputFromParams(param);
+  const input = Object.fromEntries(LOOKUP_FIELDS.filter(field => parsed[field]).map(field => [field, parsed[field]]));
+  if (!Object.keys(input).length) {
+    res.status(400).json({ error: 'Provide an identifier via ?qid=Q95, ?wikipedia=<article URL>, ?lei=<LEI> or ?ticker=GOOGL' });
+    return;
+  }
+
+  const cache = createCacheContext({ refresh: isTruthy(param("refresh")) });
+
+  try {
+    const options = enrichOptionsFromParams(param);
+    const result = await enrichCompany(input, { ...options, deadline: options.deadline ?? DEFAULT_DEADLINE_MS, cache });
+    setCacheHeaders(res, cache);
+    res.status(200).json(result);
+  } catch (err) {
+    setCacheHeaders(res, cache);
+    res.status(err.status || 500).json({ ok: false, error: err.message || String(err), ...(err.details ? { details: err.details } : {}) });
+  }
+};
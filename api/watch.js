@@ -0,0 +1,111 @@
+// api/watch.js
+// Watch list and change feed for monitored companies (lib/watch.js).
+// - GET                          the watched companies
+// - GET ?id=Q95                  one company's snapshot and change history
+// - GET ?since=2025-01-01        every change since then, newest first
+//   [&fields=employees,social]   only those fields ("social" covers every network)
+// - POST { q|name, domain, qid, wikipedia, lei, ticker } or { items: [...] } adds companies
+// - DELETE ?id=Q95               stops watching
+// - ?run=1 (GET or POST) re-enriches the list now and records the changes; this
+//   is what the weekly cron in vercel.js calls. ?id=Q95&run=1 re-runs one company.
+// - POST, DELETE and ?run=1 change the list, so they need CRON_SECRET to be set
+//   and "Authorization: Bearer <CRON_SECRET>" (401 otherwise); reads are open
+// - ?lang=de,fr and ?engine=auto|http|browser apply to the re-enrichment
+
+const { addWatch, removeWatch, listWatches, runWatch, changeHistory, changesSince } = require("../lib");
+const { listParam, enrichOptionsError } = require("../lib/options");
+const { RE_DOMAIN } = require("../lib/domain");
+const { isTruthy } = require("../lib/util");
+
+const MAX_ADD = 100;
+
+// Vercel Cron sends the project's CRON_SECRET as a bearer token; without a
+// secret nobody may run or edit the list.
+function authorized(req) {
+  const secret = process.env.CRON_SECRET;
+  return !!secret && req.headers?.authorization === `Bearer ${secret}`;
+}
+
+// POST body -> [{ name, domain, ... }]: one company, { items: [...] } or an array;
+// plain strings that look like a hostname or URL are domains (as in /api/batch).
+function readCompanies(body) {
+  const items = Array.isArray(body) ? body : Array.isArray(body?.items) ? body.items : body ? [body] : [];
+  return items.map(item => typeof item === "string"
+    ? (RE_DOMAIN.test(item.trim()) ? { domain: item } : { name: item })
+    : { ...item, name: item?.name || item?.q });
+}
+
+/* -------------------------------- Main handler ------------------------------- */
+module.exports = async function handler(req, res) {
+  res.setHeader("Content-Type", "application/json; charset=utf-8");
+
+  const param = (key) => req.query?.[key] ?? req.body?.[key];
+  const id = String(param("id") || "").trim();
+
+  try {
+    const run = isTruthy(param("run"));
+    if ((run || req.method === "POST" || req.method === "DELETE") && !authorized(req)) {
+      res.status(401).json({ ok: false, error: process.env.CRON_SECRET ? "Changing the watch list needs the cron secret" : "Set CRON_SECRET to allow changing the watch list" });
+      return;
+    }
+
+    if (run) {
+      const enrichOptions = { lang: listParam(param("lang")), engine: param("engine") };
+      const badOption = enrichOptionsError(enrichOptions);
+      if (badOption) {
+        res.status(400).json({ ok: false, error: badOption });
+        return;
+      }
+      const outcome = await runWatch({ ids: id ? [id] : null, enrichOptions });
+      res.status(200).json({ ok: true, ...outcome, ranAt: new Date().toISOString() });
+      return;
+    }
+
+    if (req.method === "POST") {
+      const companies = readCompanies(typeof req.body === "string" ? JSON.parse(req.body || "null") : req.body);
+      if (!companies.length) {
+        res.status(400).json({ ok: false, error: 'Provide a company, e.g. { "domain": "google.com" } or { "items": ["Google", { "qid": "Q95" }] }' });
+        return;
+      }
+      if (companies.length > MAX_ADD) {
+        res.status(413).json({ ok: false, error: `Too many companies (${companies.length}); the limit is ${MAX_ADD} per request.` });
+        return;
+      }
+      const added = [];
+      for (const company of companies) added.push(await addWatch(company));
+      res.status(200).json({ ok: true, added });
+      return;
+    }
+
+    if (req.method === "DELETE") {
+      if (!id) {
+        res.status(400).json({ ok: false, error: "Provide the watch ?id= to remove" });
+        return;
+      }
+      const removed = await removeWatch(id);
+      res.status(removed ? 200 : 404).json(removed ? { ok: true, removed: id } : { ok: false, error: `"${id}" is not watched` });
+      return;
+    }
+
+    if (req.method && req.method !== "GET") {
+      res.setHeader("Allow", "GET, POST, DELETE");
+      res.status(405).json({ ok: false, error: `Method ${req.method} not allowed` });
+      return;
+    }
+
+    if (id) {
+      const history = await changeHistory(id);
+      res.status(history ? 200 : 404).json(history ? { ok: true, ...history } : { ok: false, error: `"${id}" is not watched` });
+      return;
+    }
+    if (param("since")) {
+      const changes = await changesSince(String(param("since")), { fields: listParam(param("fields")) || null });
+      res.status(200).json({ ok: true, since: String(param("since")), count: changes.length, changes });
+      return;
+    }
+    const companies = await listWatches();
+    res.status(200).json({ ok: true, count: companies.length, companies });
+  } catch (err) {
+    res.status(err instanceof SyntaxError ? 400 : err.status || 500).json({ ok: false, error: err.message || String(err) });
+  }
+};
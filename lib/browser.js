@@ -0,0 +1,21 @@
+// lib/browser.js
+// Launch Chromium: the devDependency "puppeteer" locally, and
+// puppeteer-core + @sparticuz/chromium on Vercel Serverless.
+
+const chromium = require("@sparticuz/chromium");
+const puppeteerCore = require("puppeteer-core");
+let localPuppeteer; try { localPuppeteer = require("puppeteer"); } catch {}
+
+async function launchBrowser() {
+  if (!process.env.VERCEL && localPuppeteer) {
+    return localPuppeteer.launch({ headless: true, args: ["--no-sandbox", "--disable-setuid-sandbox"] });
+  }
+  return puppeteerCore.launch({
+    args: chromium.args,
+    defaultViewport: chromium.defaultViewport,
+    executablePath: await chromium.executablePath(),
+    headless: "shell"
+  });
+}
+
+module.exports = { launchBrowser };
@@ -0,0 +1,260 @@
+// lib/cache.js
+// Cache for upstream calls and final results.
+// - Stores: in-memory LRU (default), JSON files, or any Redis-compatible client
+// - Per-source TTLs: long for Wikidata/Wikipedia, short for stock quotes
+// - A per-request context counts hits/misses per source and honours ?refresh=1
+//
+// Env configuration (all optional):
+//   CACHE_STORE=memory|file|none   CACHE_DIR=/tmp/company-cache   CACHE_MAX_ENTRIES=200
+//   CACHE_TTL_<SOURCE>=<seconds>, e.g. CACHE_TTL_FINANCE=30, CACHE_TTL_RESULT=600
+// Programmatic: configureCache({ store: createRedisCache(redisClient), ttls: { finance: 30e3 } })
+// Redis over REST (Vercel KV / Upstash): KV_REST_API_URL + KV_REST_API_TOKEN or
+// UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN; redisFromEnv() builds the
+// client the job and watch stores share by default.
+
+const crypto = require("crypto");
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { unique, RE_QID } = require("./util");
+
+const MINUTE = 60e3;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+// Milliseconds per source
+const DEFAULT_TTLS = {
+  wikidata: DAY,        // entities: labels, claims, sitelinks
+  sparql: DAY,          // website / LEI / ticker -> QID
+  wikipedia: DAY,       // title -> QID
+  search: 6 * HOUR,     // scored name candidates
+  infobox: DAY,
+  finance: MINUTE,      // stock price moves
+  opencorporates: 7 * DAY,
+  website: DAY,         // homepage + about/contact: profile and social links
+  result: 15 * MINUTE   // whole enrichCompany() payload
+};
+
+/* ---------------------------------- Stores ----------------------------------- */
+// Every store implements async get(key) -> value|undefined and set(key, value, ttlMs).
+
+// Values are kept serialized so callers can't mutate what later hits return.
+function createMemoryCache({ max = 200 } = {}) {
+  const map = new Map(); // insertion order doubles as LRU order
+  return {
+    async get(key) {
+      const hit = map.get(key);
+      if (!hit) return undefined;
+      map.delete(key);
+      if (hit.expires < Date.now()) return undefined;
+      map.set(key, hit);
+      return JSON.parse(hit.json);
+    },
+    async set(key, value, ttl) {
+      map.delete(key);
+      map.set(key, { json: JSON.stringify(value), expires: Date.now() + ttl });
+      while (map.size > max) map.delete(map.keys().next().value);
+    }
+  };
+}
+
+function createFileCache({ dir = path.join(os.tmpdir(), "company-cache") } = {}) {
+  const fileFor = (key) => path.join(dir, `${crypto.createHash("sha1").update(key).digest("hex")}.json`);
+  return {
+    async get(key) {
+      try {
+        const { expires, value } = JSON.parse(await fs.readFile(fileFor(key), "utf8"));
+        if (expires >= Date.now()) return value;
+        await fs.unlink(fileFor(key)).catch(() => {});
+      } catch {}
+      return undefined;
+    },
+    async set(key, value, ttl) {
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(fileFor(key), JSON.stringify({ expires: Date.now() + ttl, value }));
+    }
+  };
+}
+
+// Works with ioredis, node-redis (v3 `setex`, v4 `setEx`) and @upstash/redis.
+function createRedisCache(client, { prefix = "company:" } = {}) {
+  return {
+    async get(key) {
+      const raw = await client.get(prefix + key);
+      if (raw == null) return undefined;
+      return typeof raw === "string" ? JSON.parse(raw) : raw;
+    },
+    async set(key, value, ttl) {
+      const seconds = Math.max(1, Math.ceil(ttl / 1000));
+      const json = JSON.stringify(value);
+      if (typeof client.setEx === "function") return client.setEx(prefix + key, seconds, json);
+      if (typeof client.setex === "function") return client.setex(prefix + key, seconds, json);
+      return client.set(prefix + key, json, "EX", seconds);
+    }
+  };
+}
+
+// Minimal Redis client for the Upstash / Vercel KV REST API, without a driver:
+// get/set/del/mget for values and sadd/srem/smembers/sismember for the watch
+// list's id set, with the arguments of the Redis commands.
+function createRedisRestClient({ url, token }) {
+  const command = async (...args) => {
+    const res = await fetch(url, {
+      method: "POST",
+      headers: { Authorization: `Bearer ${token}`, "Content-Type": "application/json" },
+      body: JSON.stringify(args.map(String))
+    });
+    const body = await res.json().catch(() => ({}));
+    if (!res.ok || body.error) throw new Error(`Redis ${args[0]} failed: ${body.error || `HTTP ${res.status}`}`);
+    return body.result;
+  };
+  return {
+    get: (key) => command("GET", key),
+    set: (key, value, ...options) => command("SET", key, value, ...options),
+    del: (...keys) => command("DEL", ...keys),
+    mget: (...keys) => command("MGET", ...keys),
+    sadd: (key, ...members) => command("SADD", key, ...members),
+    srem: (key, ...members) => command("SREM", key, ...members),
+    smembers: (key) => command("SMEMBERS", key),
+    sismember: (key, member) => command("SISMEMBER", key, member)
+  };
+}
+
+// -> a REST client from the KV_* / UPSTASH_* env vars, or null when unset.
+function redisFromEnv(env = process.env) {
+  const url = env.KV_REST_API_URL || env.UPSTASH_REDIS_REST_URL;
+  const token = env.KV_REST_API_TOKEN || env.UPSTASH_REDIS_REST_TOKEN;
+  return url && token ? createRedisRestClient({ url, token }) : null;
+}
+
+/* ------------------------------- Configuration ------------------------------- */
+function storeFromEnv() {
+  const kind = (process.env.CACHE_STORE || "memory").toLowerCase();
+  if (kind === "none" || kind === "off") return null;
+  if (kind === "file") return createFileCache(process.env.CACHE_DIR ? { dir: process.env.CACHE_DIR } : {});
+  return createMemoryCache({ max: Number(process.env.CACHE_MAX_ENTRIES) || undefined });
+}
+
+function ttlsFromEnv() {
+  const out = {};
+  for (const source of Object.keys(DEFAULT_TTLS)) {
+    const seconds = Number(process.env[`CACHE_TTL_${source.toUpperCase()}`]);
+    if (Number.isFinite(seconds) && seconds >= 0) out[source] = seconds * 1000;
+  }
+  return out;
+}
+
+let store = storeFromEnv();
+let ttls = { ...DEFAULT_TTLS, ...ttlsFromEnv() };
+
+// store: a store object, or null to disable caching. ttls: { [source]: ms }.
+function configureCache(config = {}) {
+  if ("store" in config) store = config.store;
+  if (config.ttls) ttls = { ...ttls, ...config.ttls };
+}
+
+/* ------------------------------ Request context ------------------------------ */
+// Empty answers are not cached: they are usually transient upstream failures.
+// Neither are partial results (enrichCompany's deadline passed).
+const cacheable = (v) => v != null && !(Array.isArray(v) && !v.length) && !v.partial;
+
+// Upstream values are stored as { v, at } so provenance can report when a
+// cached value was really fetched.
+function createCacheContext({ refresh = false } = {}) {
+  const sources = {};
+  const fetchedAt = {}; // source -> oldest fetch time (ms) used by this request
+  let result = null;
+
+  const saw = (source, at) => { fetchedAt[source] = Math.min(fetchedAt[source] ?? Infinity, at); };
+  const note = (source, outcome, n = 1) => {
+    sources[source] = sources[source] || { hit: 0, miss: 0 };
+    sources[source][outcome] += n;
+  };
+  const read = (key) => (store && !refresh) ? store.get(key).catch(() => undefined) : undefined;
+  const write = (key, value, source) => store ? Promise.resolve(store.set(key, value, ttls[source] ?? DEFAULT_TTLS.result)).catch(() => {}) : null;
+
+  return {
+    refresh,
+
+    // Memoize fn() under `${source}:${key}` for that source's TTL.
+    async wrap(source, key, fn) {
+      const k = `${source}:${key}`;
+      const cached = await read(k);
+      if (cached !== undefined) { note(source, "hit"); saw(source, cached.at); return cached.v; }
+      if (store) note(source, "miss");
+      const value = await fn();
+      saw(source, Date.now());
+      if (cacheable(value)) await write(k, { v: value, at: Date.now() }, source);
+      return value;
+    },
+
+    // Per-entity cache in front of getWikidataEntities (or a batching loader),
+    // so overlapping id lists only fetch what is missing.
+    wrapEntities(getEntities) {
+      return async (ids) => {
+        const qids = unique((ids || []).filter(id => RE_QID.test(id)));
+        if (!qids.length) return null;
+        const out = {};
+        const missing = [];
+        for (const id of qids) {
+          const cached = await read(`wikidata:${id}`);
+          if (cached !== undefined) { out[id] = cached.v; saw("wikidata", cached.at); }
+          else missing.push(id);
+        }
+        if (store) note("wikidata", "hit", qids.length - missing.length);
+        if (missing.length) {
+          if (store) note("wikidata", "miss", missing.length);
+          const fetched = await getEntities(missing) || {};
+          saw("wikidata", Date.now());
+          for (const [id, entity] of Object.entries(fetched)) {
+            out[id] = entity;
+            if (!("missing" in entity)) await write(`wikidata:${id}`, { v: entity, at: Date.now() }, "wikidata");
+          }
+        }
+        return Object.keys(out).length ? out : null;
+      };
+    },
+
+    // Final payload cache; records HIT/MISS for the X-Cache header.
+    async result(key, fn) {
+      if (!store) { result = "BYPASS"; return fn(); }
+      const k = `result:${key}`;
+      const cached = await read(k);
+      if (cached !== undefined) { result = result === "MISS" ? "MISS" : "HIT"; return cached; }
+      result = refresh ? "BYPASS" : "MISS";
+      const value = await fn();
+      if (cacheable(value)) await write(k, value, "result");
+      return value;
+    },
+
+    // ISO time of the oldest value this request used from `source`, or null.
+    retrievedAt(source) {
+      return Number.isFinite(fetchedAt[source]) ? new Date(fetchedAt[source]).toISOString() : null;
+    },
+
+    status() {
+      return { result: result || (store ? (refresh ? "BYPASS" : "MISS") : "BYPASS"), sources };
+    }
+  };
+}
+
+// X-Cache: HIT | MISS | BYPASS (final result)
+// X-Cache-Sources: wikidata;hit=12;miss=3, infobox;hit=1;miss=0, ...
+function setCacheHeaders(res, ctx) {
+  const { result, sources } = ctx.status();
+  res.setHeader("X-Cache", result);
+  const parts = Object.entries(sources).map(([source, c]) => `${source};hit=${c.hit};miss=${c.miss}`);
+  if (parts.length) res.setHeader("X-Cache-Sources", parts.join(", "));
+}
+
+module.exports = {
+  DEFAULT_TTLS,
+  createMemoryCache,
+  createFileCache,
+  createRedisCache,
+  createRedisRestClient,
+  redisFromEnv,
+  configureCache,
+  createCacheContext,
+  setCacheHeaders
+};
@@ -0,0 +1,126 @@
+// lib/candidates.js
+// Name disambiguation: gather the top Wikipedia full-text hits and Wikidata
+// label matches for a query, then score each entity on
+// - business: instance of (P31) a company/enterprise class, or a direct subclass (P279) of one
+// - website: has an official website (P856)
+// - label: the query matches the label, an alias or the article title
+// so "Apple" prefers Apple Inc. over the fruit instead of trusting the first hit.
+
+const { unique } = require("./util");
+const { wikipediaSearchTitles, wikipediaUrlForTitle, getWikidataIdsForTitles } = require("./wikipedia");
+const { getWikidataEntities, searchWikidataEntities, resolveLabels } = require("./wikidata");
+const { DEFAULT_LANGS, pickLanguage, pickSitelink } = require("./languages");
+
+// P31 targets that count as "a business". Checked directly and one P279 level up.
+const BUSINESS_CLASSES = new Set([
+  "Q4830453",  // business
+  "Q783794",   // company
+  "Q6881511",  // enterprise
+  "Q891723",   // public company
+  "Q167037",   // corporation
+  "Q1589009",  // privately held company
+  "Q658255",   // subsidiary
+  "Q18388277", // technology company
+  "Q1058914",  // software company
+  "Q786820",   // automobile manufacturer
+  "Q2085381",  // publisher
+  "Q210167",   // video game developer
+  "Q22687",    // bank
+  "Q431289",   // brand
+  "Q507619",   // retail chain
+  "Q161726",   // multinational corporation
+  "Q1762059",  // film production company
+  "Q46970"     // airline
+]);
+
+const WEIGHTS = { business: 0.5, website: 0.2, label: 0.3 };
+const LOW_CONFIDENCE = 0.5;
+
+const CORPORATE_SUFFIXES = /\b(incorporated|inc|corporation|corp|company|co|limited|ltd|llc|plc|group|holdings?|ag|sa|se|nv|bv|gmbh|kk|spa|ab|oyj|asa)\b\.?/g;
+const normName = (s) => String(s || "")
+  .toLowerCase()
+  .replace(/\s*\([^)]*\)\s*$/, "") // "Mercury (planet)" -> "mercury"
+  .replace(/[.,&'’]/g, " ")
+  .replace(CORPORATE_SUFFIXES, " ")
+  .replace(/\s+/g, " ")
+  .trim();
+
+// 1 = same normalized name, 0.5 = one contains the other, 0 = unrelated
+function labelMatch(query, names) {
+  const q = normName(query);
+  if (!q) return 0;
+  let best = 0;
+  for (const n of names.map(normName).filter(Boolean)) {
+    if (n === q) return 1;
+    if (n.includes(q) || q.includes(n)) best = 0.5;
+  }
+  return best;
+}
+
+const claimIds = (entity, pid) => (entity?.claims?.[pid] || []).map(st => st.mainsnak?.datavalue?.value?.id).filter(Boolean);
+
+// langs: label/sitelink chain (lib/languages.js); a non-English language is
+// searched too (Wikipedia and Wikidata), after English.
+// -> [{ qid, title, wikipedia, label, description, website, types, score, low_confidence, signals }], best first;
+// `title` is the article in the first chain language that has one (`wikipedia` links it)
+async function findCandidates(query, { limit = 5, getEntities = getWikidataEntities, langs = DEFAULT_LANGS } = {}) {
+  const searchLangs = unique(["en", langs.find(l => l !== "en")]);
+  const searches = await Promise.all(searchLangs.map(async (lang) => {
+    const [titles, hits] = await Promise.all([
+      wikipediaSearchTitles(query, limit, lang),
+      searchWikidataEntities(query, limit, lang)
+    ]);
+    return { titles, hits, titleToQid: await getWikidataIdsForTitles(titles, lang) };
+  }));
+  const wdHits = searches.flatMap(r => r.hits);
+
+  // Search rank is the tie-breaker; Wikipedia hits first, then Wikidata-only hits.
+  const order = unique([...searches.flatMap(r => r.titles.map(t => r.titleToQid[t])), ...wdHits.map(h => h.id)]);
+  if (!order.length) return [];
+
+  const entities = await getEntities(order) || {};
+  const classIds = unique(order.flatMap(id => claimIds(entities[id], "P31")));
+  const classes = classIds.length ? await getEntities(classIds) || {} : {};
+
+  const isBusinessClass = (id) => BUSINESS_CLASSES.has(id) || claimIds(classes[id], "P279").some(p => BUSINESS_CLASSES.has(p));
+
+  const candidates = order.map((qid, rank) => {
+    const e = entities[qid];
+    if (!e || "missing" in e) return null;
+    const enTitle = searches[0].titles.find(t => searches[0].titleToQid[t] === qid);
+    const sitelink = pickSitelink(e, langs) || (enTitle ? { lang: "en", title: enTitle } : null);
+    const title = sitelink?.title || null;
+    const label = pickLanguage(e.labels, langs)?.value || wdHits.find(h => h.id === qid)?.label || null;
+    const aliases = langs.flatMap(lang => (e.aliases?.[lang] || []).map(a => a.value));
+    const localLabels = langs.map(lang => e.labels?.[lang]?.value).filter(Boolean);
+    const typeIds = claimIds(e, "P31");
+
+    const signals = {
+      business: typeIds.some(isBusinessClass),
+      website: !!e.claims?.P856?.length,
+      label: labelMatch(query, [label, title, ...localLabels, ...aliases])
+    };
+    const score = WEIGHTS.business * signals.business + WEIGHTS.website * signals.website + WEIGHTS.label * signals.label;
+
+    return {
+      qid,
+      title,
+      wikipedia: wikipediaUrlForTitle(title, sitelink?.lang),
+      label,
+      description: pickLanguage(e.descriptions, langs)?.value || wdHits.find(h => h.id === qid)?.description || null,
+      website: e.claims?.P856?.[0]?.mainsnak?.datavalue?.value || null,
+      types: resolveLabels(classes, typeIds, langs),
+      score: Math.round(score * 100) / 100,
+      low_confidence: score < LOW_CONFIDENCE,
+      signals,
+      rank
+    };
+  }).filter(Boolean);
+
+  return candidates
+    .sort((a, b) => (b.score - a.score) || (a.rank - b.rank))
+    .slice(0, limit)
+    .map(({ rank, ...c }) => c);
+}
+
+module.exports = { findCandidates, normName, BUSINESS_CLASSES, LOW_CONFIDENCE };
@@ -0,0 +1,86 @@
+// lib/countries.js
+// ISO 3166 lookups for free-text locations (infobox "Headquarters" rows,
+// website addresses): country names and aliases -> ISO 3166-1 alpha-2, and the
+// first-level subdivisions address lines name most often (US states, Canadian
+// provinces, Australian states, UK nations) -> ISO 3166-2.
+
+const COUNTRIES = {
+  US: ["United States", "U.S.", "US", "USA", "U.S.A.", "United States of America", "America"],
+  CA: ["Canada"], MX: ["Mexico"], BR: ["Brazil"], AR: ["Argentina"], CL: ["Chile"], CO: ["Colombia"], PE: ["Peru"],
+  GB: ["United Kingdom", "UK", "U.K.", "Great Britain", "Britain", "England", "Scotland", "Wales", "Northern Ireland"],
+  IE: ["Ireland", "Republic of Ireland"], FR: ["France"], DE: ["Germany", "Deutschland"], NL: ["Netherlands", "The Netherlands", "Holland"],
+  BE: ["Belgium"], LU: ["Luxembourg"], CH: ["Switzerland"], AT: ["Austria"], IT: ["Italy"], ES: ["Spain"], PT: ["Portugal"],
+  SE: ["Sweden"], NO: ["Norway"], DK: ["Denmark"], FI: ["Finland"], IS: ["Iceland"], PL: ["Poland"], CZ: ["Czech Republic", "Czechia"],
+  SK: ["Slovakia"], HU: ["Hungary"], RO: ["Romania"], BG: ["Bulgaria"], GR: ["Greece"], HR: ["Croatia"], SI: ["Slovenia"],
+  RS: ["Serbia"], UA: ["Ukraine"], RU: ["Russia", "Russian Federation"], TR: ["Turkey", "Türkiye"], EE: ["Estonia"], LV: ["Latvia"],
+  LT: ["Lithuania"], CY: ["Cyprus"], MT: ["Malta"], MC: ["Monaco"], LI: ["Liechtenstein"],
+  IL: ["Israel"], AE: ["United Arab Emirates", "UAE"], SA: ["Saudi Arabia"], QA: ["Qatar"], KW: ["Kuwait"], EG: ["Egypt"],
+  ZA: ["South Africa"], NG: ["Nigeria"], KE: ["Kenya"], MA: ["Morocco"],
+  CN: ["China", "People's Republic of China", "PRC"], HK: ["Hong Kong"], TW: ["Taiwan", "Republic of China"], JP: ["Japan"],
+  KR: ["South Korea", "Korea", "Republic of Korea"], IN: ["India"], PK: ["Pakistan"], BD: ["Bangladesh"], SG: ["Singapore"],
+  MY: ["Malaysia"], ID: ["Indonesia"], TH: ["Thailand"], VN: ["Vietnam", "Viet Nam"], PH: ["Philippines"],
+  AU: ["Australia"], NZ: ["New Zealand"],
+  BM: ["Bermuda"], KY: ["Cayman Islands"], VG: ["British Virgin Islands"], JE: ["Jersey"], GG: ["Guernsey"], IM: ["Isle of Man"]
+};
+
+// ISO 3166-2 code -> names and abbreviations used in addresses
+const SUBDIVISIONS = {
+  US: {
+    AL: ["Alabama"], AK: ["Alaska"], AZ: ["Arizona", "Ariz."], AR: ["Arkansas", "Ark."], CA: ["California", "Calif."],
+    CO: ["Colorado", "Colo."], CT: ["Connecticut", "Conn."], DE: ["Delaware", "Del."], DC: ["District of Columbia", "D.C.", "DC"],
+    FL: ["Florida", "Fla."], GA: ["Georgia", "Ga."], HI: ["Hawaii"], ID: ["Idaho"], IL: ["Illinois", "Ill."], IN: ["Indiana", "Ind."],
+    IA: ["Iowa"], KS: ["Kansas", "Kan."], KY: ["Kentucky", "Ky."], LA: ["Louisiana", "La."], ME: ["Maine"], MD: ["Maryland", "Md."],
+    MA: ["Massachusetts", "Mass."], MI: ["Michigan", "Mich."], MN: ["Minnesota", "Minn."], MS: ["Mississippi", "Miss."],
+    MO: ["Missouri", "Mo."], MT: ["Montana", "Mont."], NE: ["Nebraska", "Neb."], NV: ["Nevada", "Nev."], NH: ["New Hampshire", "N.H."],
+    NJ: ["New Jersey", "N.J."], NM: ["New Mexico", "N.M."], NY: ["New York", "N.Y."], NC: ["North Carolina", "N.C."],
+    ND: ["North Dakota", "N.D."], OH: ["Ohio"], OK: ["Oklahoma", "Okla."], OR: ["Oregon", "Ore."], PA: ["Pennsylvania", "Pa."],
+    RI: ["Rhode Island", "R.I."], SC: ["South Carolina", "S.C."], SD: ["South Dakota", "S.D."], TN: ["Tennessee", "Tenn."],
+    TX: ["Texas", "Tex."], UT: ["Utah"], VT: ["Vermont", "Vt."], VA: ["Virginia", "Va."], WA: ["Washington", "Wash."],
+    WV: ["West Virginia", "W.Va."], WI: ["Wisconsin", "Wis."], WY: ["Wyoming", "Wyo."], PR: ["Puerto Rico"]
+  },
+  CA: {
+    AB: ["Alberta"], BC: ["British Columbia"], MB: ["Manitoba"], NB: ["New Brunswick"], NL: ["Newfoundland and Labrador"],
+    NS: ["Nova Scotia"], ON: ["Ontario"], PE: ["Prince Edward Island"], QC: ["Quebec", "Québec"], SK: ["Saskatchewan"],
+    NT: ["Northwest Territories"], NU: ["Nunavut"], YT: ["Yukon"]
+  },
+  AU: {
+    NSW: ["New South Wales"], VIC: ["Victoria"], QLD: ["Queensland"], WA: ["Western Australia"], SA: ["South Australia"],
+    TAS: ["Tasmania"], ACT: ["Australian Capital Territory"], NT: ["Northern Territory"]
+  },
+  GB: { ENG: ["England"], SCT: ["Scotland"], WLS: ["Wales"], NIR: ["Northern Ireland"] }
+};
+
+const norm = (s) => String(s || "").toLowerCase().replace(/[\s.]+/g, " ").trim();
+
+const COUNTRY_INDEX = new Map();
+for (const [code, names] of Object.entries(COUNTRIES)) {
+  for (const n of names) if (!COUNTRY_INDEX.has(norm(n))) COUNTRY_INDEX.set(norm(n), code);
+}
+
+// "U.S." / "United States" -> { code: "US", name: "United States" }, or null.
+// Bare codes are not names ("CA" is California in "Mountain View, CA").
+function countryByName(name) {
+  const code = COUNTRY_INDEX.get(norm(name));
+  return code ? { code, name: COUNTRIES[code][0] } : null;
+}
+
+// "us" / "US" -> { code: "US", name: "United States" }, or null.
+function countryByCode(code) {
+  const key = String(code || "").trim().toUpperCase();
+  return COUNTRIES[key] ? { code: key, name: COUNTRIES[key][0] } : null;
+}
+
+// ("US", "Calif.") / ("US", "CA") -> { code: "US-CA", name: "California" }, or null.
+function subdivisionByName(countryCode, name) {
+  const table = SUBDIVISIONS[String(countryCode || "").toUpperCase()];
+  if (!table || !name) return null;
+  const key = norm(name);
+  for (const [code, names] of Object.entries(table)) {
+    if (norm(code) === key || names.some(n => norm(n) === key)) {
+      return { code: `${countryCode.toUpperCase()}-${code}`, name: names[0] };
+    }
+  }
+  return null;
+}
+
+module.exports = { COUNTRIES, SUBDIVISIONS, countryByName, countryByCode, subdivisionByName };
@@ -0,0 +1,52 @@
+// lib/dates.js
+// Dates as ISO 8601 at the precision the source actually has:
+// "1998-09-04", "1998-09" or "1998".
+
+const MONTHS = ["january","february","march","april","may","june","july","august","september","october","november","december"];
+const pad = (n) => String(n).padStart(2, "0");
+
+function monthIndex(word) {
+  const w = String(word || "").toLowerCase().replace(/\.$/, "");
+  if (w.length < 3) return -1;
+  return MONTHS.findIndex(m => m.startsWith(w));
+}
+
+function isoDate(year, month = -1, day = 0) {
+  if (!(year >= 1000 && year <= 2999)) return null;
+  if (month < 0 || month > 11) return String(year);
+  if (!(day >= 1 && day <= 31)) return `${year}-${pad(month + 1)}`;
+  return `${year}-${pad(month + 1)}-${pad(day)}`;
+}
+
+// Infobox text -> ISO. Handles the hidden {{start date}} "(1998-09-04)",
+// "September 4, 1998", "4 September 1998", "September 1998" and a bare year.
+function parseDateString(raw) {
+  if (!raw) return null;
+  const s = String(raw);
+
+  const iso = s.match(/\b(\d{4})-(\d{2})(?:-(\d{2}))?\b/);
+  if (iso) return isoDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+  const mdy = s.match(/\b([A-Za-z]{3,}\.?)\s+(\d{1,2}),?\s+(\d{4})\b/);
+  if (mdy && monthIndex(mdy[1]) >= 0) return isoDate(Number(mdy[3]), monthIndex(mdy[1]), Number(mdy[2]));
+
+  const dmy = s.match(/\b(\d{1,2})\s+([A-Za-z]{3,}\.?)\s+(\d{4})\b/);
+  if (dmy && monthIndex(dmy[2]) >= 0) return isoDate(Number(dmy[3]), monthIndex(dmy[2]), Number(dmy[1]));
+
+  const my = s.match(/\b([A-Za-z]{3,}\.?)\s+(\d{4})\b/);
+  if (my && monthIndex(my[1]) >= 0) return isoDate(Number(my[2]), monthIndex(my[1]));
+
+  const y = s.match(/\b(1\d{3}|2\d{3})\b/);
+  return y ? isoDate(Number(y[1])) : null;
+}
+
+// Wikidata time value { time: "+1998-09-04T00:00:00Z", precision: 11 } -> ISO.
+// Precision 11 = day, 10 = month, 9 or coarser = year.
+function wikidataTimeToIso(value) {
+  const m = String(value?.time || "").match(/^\+(\d{4})-(\d{2})-(\d{2})/);
+  if (!m) return null;
+  const precision = value.precision ?? 11;
+  return isoDate(Number(m[1]), precision >= 10 ? Number(m[2]) - 1 : -1, precision >= 11 ? Number(m[3]) : 0);
+}
+
+module.exports = { parseDateString, wikidataTimeToIso };
@@ -0,0 +1,75 @@
+// lib/domain.js
+// Turn user input (bare domain or full URL) into a hostname and a homepage URL.
+// - Any URL shape is accepted: scheme or not, port, path, query, trailing dot
+// - IDNs become punycode ("bücher.de" -> "xn--bcher-kva.de"), as URL() does
+// - registrableDomain() follows the Public Suffix List (tldts), including its
+//   private section ("shop.example.co.uk" -> "example.co.uk", "foo.github.io" stays)
+// - resolveCanonicalDomain() follows HTTP redirects ("fb.com" -> "facebook.com")
+
+const { domainToUnicode } = require("url");
+const { getDomain } = require("tldts");
+const { BROWSER_UA } = require("./util");
+
+const REDIRECT_TIMEOUT_MS = 8000;
+
+const RE_LABEL = /^(?!-)[a-z0-9-]{1,63}(?<!-)$/;
+// Free text that looks like a hostname or URL rather than a company name
+// ("stripe.com", "https://apple.com/de"); lists of plain strings use it.
+const RE_DOMAIN = /^(https?:\/\/)?[a-z0-9-]+(\.[a-z0-9-]+)+(:\d+)?(\/\S*)?$/i;
+
+// "https://WWW.Bücher.de:8080/shop?x" -> "xn--bcher-kva.de"; null if not a hostname.
+function normalizeDomainInput(input) {
+  if (!input) return null;
+  const raw = String(input).trim();
+  if (!raw) return null;
+  let host;
+  try {
+    host = new URL(/^[a-z][a-z0-9+.-]*:\/\//i.test(raw) ? raw : `http://${raw}`).hostname;
+  } catch { return null; }
+  // Drop leading www. and a trailing root dot
+  const d = host.toLowerCase().replace(/\.$/, "").replace(/^www\./, "");
+  const labels = d.split(".");
+  if (labels.length < 2 || !labels.every(l => RE_LABEL.test(l)) || /^\d+$/.test(labels[labels.length - 1])) return null;
+  return d;
+}
+
+// "shop.example.co.uk" -> "example.co.uk"; the host itself when it is one label
+// above its suffix, is a public suffix, or has none (localhost, IPs).
+function registrableDomain(host) {
+  const name = String(host || "").toLowerCase().split(".").filter(Boolean).join(".");
+  if (!name) return null;
+  return getDomain(name, { allowPrivateDomains: true }) || name;
+}
+
+// Punycode host -> Unicode form (Wikidata may store either).
+function unicodeDomain(host) {
+  return domainToUnicode(host) || host;
+}
+
+function domainToUrl(domain) {
+  // Prefer https
+  return `https://${domain}/`;
+}
+
+// The normalized host a domain's homepage redirects to, or null when the
+// site can't be reached. Equal to the input when there is no redirect.
+async function resolveCanonicalDomain(domain) {
+  try {
+    const res = await fetch(domainToUrl(domain), {
+      headers: { "User-Agent": BROWSER_UA },
+      redirect: "follow",
+      signal: AbortSignal.timeout(REDIRECT_TIMEOUT_MS)
+    });
+    await res.body?.cancel?.().catch(() => {});
+    return normalizeDomainInput(res.url || domainToUrl(domain));
+  } catch { return null; }
+}
+
+module.exports = {
+  RE_DOMAIN,
+  normalizeDomainInput,
+  registrableDomain,
+  unicodeDomain,
+  domainToUrl,
+  resolveCanonicalDomain
+};
@@ -0,0 +1,110 @@
+// lib/domains.js
+// Reverse lookup: every domain a company is known to use, e.g. to match e-mail
+// addresses to companies.
+// - official: all official websites (P856) of the entity, not just the first
+// - brands: websites of subsidiaries (P355 / inverse P749), entities it owns
+//   (P1830 / inverse P127) and its products (P1056 / inverse P176)
+// - aliases: other domains the official homepages point at (hreflang alternates,
+//   JSON-LD url/sameAs, links to same-named domains) that redirect back to an
+//   official domain; hreflang alternates count even without a redirect
+// Network calls per lookup are capped (MAX_ALIAS_CHECKS, maxBrands).
+
+const { unique, clamp } = require("./util");
+const { getWikidataEntities, extractFromWikidata, findWebsitesOwnedBy } = require("./wikidata");
+const { normalizeDomainInput, registrableDomain, domainToUrl, resolveCanonicalDomain } = require("./domain");
+const { fetchLinkedDomains } = require("./website");
+
+const DEFAULT_MAX_BRANDS = 50;
+const MAX_BRANDS = 200;
+const MAX_ALIAS_HOMEPAGES = 3;  // official sites scanned for alias candidates
+const MAX_ALIAS_CHECKS = 10;    // candidates whose redirects are followed
+
+// "google.co.uk" -> "google"
+const siteLabel = (domain) => registrableDomain(domain)?.split(".")[0] || null;
+
+// Brand websites from the entity's own links (P355, P1830, P1056) plus items
+// pointing back at it; one entry per item and website.
+async function brandWebsites(qid, facts, getEntities) {
+  const forward = [
+    ...(facts.subsidiaryIds || []).map(id => [id, "subsidiary"]),
+    ...(facts.ownedIds || []).map(id => [id, "owned"]),
+    ...(facts.productIds || []).map(id => [id, "product"])
+  ].filter(([id]) => id !== qid);
+  const entities = forward.length ? await getEntities(unique(forward.map(([id]) => id))) || {} : {};
+
+  const out = [];
+  for (const [id, relation] of forward) {
+    const e = entities[id];
+    const f = e && !("missing" in e) ? extractFromWikidata(e) : {};
+    for (const w of f.websites || []) out.push({ qid: id, name: f.name || null, relation, website: w.url });
+  }
+  out.push(...await findWebsitesOwnedBy(qid).catch(() => []));
+
+  const seen = new Set();
+  return out.filter(b => {
+    const key = `${b.qid}|${b.website}`;
+    return !seen.has(key) && seen.add(key);
+  });
+}
+
+// Alias domains found on the official homepages; candidates are checked by
+// following their redirects (unless the page declared them as hreflang alternates).
+async function aliasDomains(officialDomains, known) {
+  const officialSites = new Set(officialDomains.map(registrableDomain));
+  const labels = new Set(officialDomains.map(siteLabel));
+
+  const candidates = new Map(); // domain -> { domain, via, found_on }
+  for (const domain of officialDomains.slice(0, MAX_ALIAS_HOMEPAGES)) {
+    for (const c of await fetchLinkedDomains(domainToUrl(domain)) || []) {
+      const site = registrableDomain(c.domain);
+      // Same site or already known; plain links only count when they share the name ("google.de")
+      if (officialSites.has(site) || known.has(site) || candidates.has(site)) continue;
+      if (c.via === "link" && !labels.has(siteLabel(c.domain))) continue;
+      candidates.set(site, { domain: site, via: c.via, found_on: domain });
+    }
+  }
+
+  const out = [];
+  for (const c of [...candidates.values()].slice(0, MAX_ALIAS_CHECKS)) {
+    const landed = await resolveCanonicalDomain(c.domain);
+    const redirects = landed && officialSites.has(registrableDomain(landed));
+    if (redirects || c.via === "hreflang") out.push({ ...c, redirects_to: redirects ? landed : null });
+  }
+  return out;
+}
+
+// -> { company: { qid, name }, domains, official, brands, aliases, max_brands, brands_truncated? }
+// `domains` lists every registrable domain once (official, then brands, then aliases);
+// official: [{ url, domain, preferred, current }], brands: [{ qid, name, relation, url, domain }],
+// aliases: [{ domain, via, found_on, redirects_to }].
+async function collectDomains(qid, { maxBrands, aliases = true, getEntities = getWikidataEntities } = {}) {
+  maxBrands = clamp(maxBrands, 1, MAX_BRANDS, DEFAULT_MAX_BRANDS);
+
+  const entity = (await getEntities([qid]))?.[qid];
+  const facts = entity && !("missing" in entity) ? extractFromWikidata(entity) : {};
+
+  const official = (facts.websites || [])
+    .map(w => ({ url: w.url, domain: normalizeDomainInput(w.url), preferred: w.preferred, current: w.current }))
+    .filter(w => w.domain);
+
+  const allBrands = (await brandWebsites(qid, facts, getEntities))
+    .map(b => ({ qid: b.qid, name: b.name, relation: b.relation, url: b.website, domain: normalizeDomainInput(b.website) }))
+    .filter(b => b.domain);
+  const brands = allBrands.slice(0, maxBrands);
+
+  const known = new Set([...official, ...brands].map(w => registrableDomain(w.domain)));
+  const officialDomains = unique(official.filter(w => w.current).map(w => w.domain));
+  const aliasList = aliases && officialDomains.length ? await aliasDomains(officialDomains, known) : [];
+
+  return {
+    company: { qid, name: facts.name || null },
+    domains: unique([...official, ...brands, ...aliasList].map(w => registrableDomain(w.domain))),
+    official,
+    brands,
+    aliases: aliasList,
+    max_brands: maxBrands,
+    ...(allBrands.length > maxBrands ? { brands_truncated: allBrands.length - maxBrands } : {})
+  };
+}
+
+module.exports = { collectDomains, DEFAULT_MAX_BRANDS, MAX_BRANDS };
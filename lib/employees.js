@@ -0,0 +1,122 @@
+// lib/employees.js
+// Headcounts as { count, as_of, approximate, range, size_band }:
+// - parseEmployeesString(): the Wikipedia infobox "Employees" string, with
+//   ranges ("12,500–13,000"), approximations ("c. 1.2 million"), scale words
+//   (million/thousand/k) and footnote noise ("[1]", "(2023)") handled; `lang`
+//   (the article's language) decides whether "." or "," groups thousands
+// - headcountFromStatement(): one Wikidata P1128 statement (bounds become the range)
+// - employeeSeriesFromWikidata(): every dated P1128 statement, oldest first
+// size_band is the LinkedIn-style bucket of the count (SIZE_BANDS).
+
+const { parseDateString, wikidataTimeToIso } = require("./dates");
+const { DECIMAL_COMMA_LANGS } = require("./money");
+
+// [band, upper bound]; the last band is open-ended
+const SIZE_BANDS = [
+  ["1-10", 10], ["11-50", 50], ["51-200", 200], ["201-500", 500], ["501-1000", 1000],
+  ["1001-5000", 5000], ["5001-10000", 10000], ["10001+", Infinity]
+];
+
+const SCALES = { thousand: 1e3, k: 1e3, million: 1e6, mn: 1e6, m: 1e6, mio: 1e6, billion: 1e9 };
+const RE_APPROX = /\b(?:c|ca|circa|approx|approximately|about|around|nearly|almost|over|more than|some|est|estimated)\b\.?|[~≈>+]/i;
+// A number with optional thousands groups or decimals, and an optional scale word
+const RE_NUMBER = /(\d{1,3}(?:[,.\s  ]\d{3})+|\d+(?:[.,]\d+)?)(?:\s*(thousand|million|billion|mio|mn|k|m)\b\.?)?/gi;
+const RE_RANGE_SEP = /^\s*(?:[-–—]|to|bis|à)\s*$/i;
+
+function sizeBand(count) {
+  if (!Number.isFinite(count) || count < 1) return null;
+  return SIZE_BANDS.find(([, max]) => count <= max)[0];
+}
+
+// "182,502" (thousands groups) / "1.2" + "million" -> number. Which mark groups
+// thousands depends on the article's language: "1.234" is 1234 in German but
+// not a headcount in English (a bare fraction is null).
+function numberValue(digits, scale, lang = "en") {
+  const mult = scale ? SCALES[scale.toLowerCase()] : 1;
+  const decimalComma = DECIMAL_COMMA_LANGS.has(String(lang).toLowerCase().split("-")[0]);
+  const grouped = (decimalComma ? /^\d{1,3}(?:[.\s  ]\d{3})+$/ : /^\d{1,3}(?:[,\s  ]\d{3})+$/).test(digits);
+  const n = grouped && !(scale && /^\d{1,3}[.,]\d{3}$/.test(digits) && mult >= 1e6)
+    ? Number(digits.replace(/[,.\s  ]/g, ""))
+    : Number(digits.replace(",", "."));
+  if (!Number.isFinite(n) || (!scale && !Number.isInteger(n))) return null;
+  return Math.round(n * mult);
+}
+
+// Year-month-day from an ISO date at any precision ("2023" -> "2023-01-01").
+const fullDate = (iso) => iso ? [...iso.split("-"), "01", "01"].slice(0, 3).join("-") : null;
+
+// The building block of every result: count plus the derived fields.
+function headcount(count, as_of, { approximate = false, range = null } = {}) {
+  if (!Number.isFinite(count) && !as_of) return null;
+  return {
+    count: Number.isFinite(count) ? count : null,
+    as_of: as_of || null,
+    approximate,
+    range,
+    size_band: sizeBand(count)
+  };
+}
+
+/* ---------------------------------- Infobox ---------------------------------- */
+function parseEmployeesString(raw, { lang = "en" } = {}) {
+  if (!raw) return null;
+  // Footnotes ("[1]", "[note 2]") are never part of the count
+  const s = String(raw).replace(/\[[^\]]*\]/g, " ").replace(/\s+/g, " ").trim();
+
+  // The date: from the parentheses, else an "as of ..." phrase, else anywhere
+  const paren = s.match(/\(([^)]*)\)/);
+  const asOf = s.match(/\b(?:as of|as at|in|stand)\b:?\s*([^;,)]+)/i);
+  const as_of = fullDate(parseDateString(paren?.[1]) || parseDateString(asOf?.[1]) || parseDateString(s));
+
+  // The count: outside parentheses and date phrases, skipping bare years. A
+  // bare fraction has no value of its own (null) but may start a range.
+  const body = s.replace(/\([^)]*\)/g, " ").replace(/\bas (?:of|at)\b[^\d]*?(?:\d{1,2}\s*,?\s*)?[A-Za-z]*\.?\s*\d{4}:?/gi, " ");
+  const numbers = [];
+  for (const m of body.matchAll(RE_NUMBER)) {
+    const isYear = !m[2] && /^(19|20)\d{2}$/.test(m[1]);
+    if (!isYear) numbers.push({ value: numberValue(m[1], m[2], lang), digits: m[1], scale: m[2], start: m.index, end: m.index + m[0].length });
+  }
+
+  // "12,500–13,000" / "1.1 to 1.2 million" (the upper end's scale word applies
+  // to both); the count is the midpoint
+  const [first, second] = numbers;
+  if (second?.value != null && RE_RANGE_SEP.test(body.slice(first.end, second.start))) {
+    const min = !first.scale && second.scale ? numberValue(first.digits, second.scale, lang) : first.value;
+    const max = second.value;
+    if (min != null && min <= max) return headcount(Math.round((min + max) / 2), as_of, { approximate: true, range: { min, max } });
+  }
+  const head = numbers.find(n => n.value != null);
+  if (!head) return headcount(null, as_of);
+  const approximate = RE_APPROX.test(body.slice(0, head.start)) || /^\s*\+/.test(body.slice(head.end));
+  return headcount(head.value, as_of, { approximate });
+}
+
+/* ---------------------------------- Wikidata --------------------------------- */
+// P1128 statement -> headcount; lowerBound/upperBound become the range.
+function headcountFromStatement(st) {
+  const v = st?.mainsnak?.datavalue?.value;
+  if (!v) return null;
+  const num = (x) => x != null && x !== "" ? Number(String(x).replace(/^\+/, "")) : null;
+  const count = num(v.amount);
+  const min = num(v.lowerBound), max = num(v.upperBound);
+  const range = Number.isFinite(min) && Number.isFinite(max) && min !== max ? { min, max } : null;
+  const as_of = fullDate(wikidataTimeToIso(st.qualifiers?.P585?.[0]?.datavalue?.value));
+  return headcount(count, as_of, { approximate: !!range, range });
+}
+
+// -> [{ date, year, count }] oldest first, one point per date (preferred rank wins).
+function employeeSeriesFromWikidata(statements) {
+  const byDate = new Map();
+  for (const st of statements || []) {
+    if (st.rank === "deprecated") continue;
+    const date = wikidataTimeToIso(st.qualifiers?.P585?.[0]?.datavalue?.value);
+    const point = headcountFromStatement(st);
+    if (!date || point?.count == null) continue;
+    const seen = byDate.get(date);
+    if (seen && !(st.rank === "preferred" && seen.rank !== "preferred")) continue;
+    byDate.set(date, { rank: st.rank, point: { date, year: Number(date.slice(0, 4)), count: point.count } });
+  }
+  return [...byDate.values()].map(v => v.point).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = { SIZE_BANDS, sizeBand, parseEmployeesString, headcountFromStatement, employeeSeriesFromWikidata };
@@ -0,0 +1,701 @@
+// lib/enrich.js
+// The enrichment pipeline behind every route:
+// 1) Identify the company: an exact identifier (QID, Wikipedia URL, LEI, ticker),
+//    Wikidata SPARQL on the website (P856), or the best-scored name candidate
+// 2) Enrich from Wikidata (employees structured, industries, HQ structured, types, tickers,
+//    founding date, founders, CEO, parent/subsidiaries, revenue and income)
+// 3) Read the Wikipedia infobox (MediaWiki parse API; Puppeteer as fallback)
+// 4) Finance (Finnhub or Yahoo fallback) + Wikidata revenue/income/assets history,
+//    OpenCorporates (optional)
+// 5) Extract social links from the company website
+// 6) Merge everything into one normalized payload (industries mapped to NAICS/SIC/ISIC)
+//    with the lifecycle status (defunct/acquired companies: successor resolved,
+//    their stale website not crawled unless it was the input)
+//
+// Usable without HTTP:
+//   const { enrichCompany } = require("./lib");
+//   const result = await enrichCompany({ domain: "google.com" });
+
+const { unique, unionBy, RE_QID } = require("./util");
+const { EnrichError } = require("./errors");
+const { normalizeDomainInput, domainToUrl, resolveCanonicalDomain } = require("./domain");
+const { wikipediaUrlForTitle, getWikidataIdForTitle, parseWikipediaUrl } = require("./wikipedia");
+const { findCandidates } = require("./candidates");
+const {
+  getWikidataEntities, findWikidataByWebsite, findWikidataByExternalId, findWikidataByTicker,
+  extractFromWikidata, resolveLabels
+} = require("./wikidata");
+const { buildHeadquarters, headquartersFromString, headquartersFromAddress, geocodeCity } = require("./headquarters");
+const { parseEmployeesString } = require("./employees");
+const { parseDateString } = require("./dates");
+const { parseMoneyString, moneyFromWikidata, moneySeriesFromWikidata } = require("./money");
+const { parsePeople, parseOrganization } = require("./people");
+const { EMPTY_QUOTE, QUOTE_MODES, buildListings, fetchListingQuote, financialsFromQuote, parseTradedAs } = require("./finance");
+const { fetchOpenCorporates } = require("./opencorporates");
+const { socialsFromWikidata, mergeSocialProfiles, socialLinks } = require("./socials");
+const { fetchWebsite } = require("./website");
+const { INFOBOX_ENGINES, EMPTY_INFOBOX, readInfobox } = require("./infobox");
+const { PROVIDER_FACTORIES, resolveProvider, quoteProviders } = require("./quotes");
+const { launchBrowser } = require("./browser");
+const { createProvenance } = require("./provenance");
+const { parseLanguages, languageChain, pickLanguage, pickSitelink } = require("./languages");
+const { industryCodesFromEntity, classifyIndustries } = require("./industries");
+const { buildStatus, resolveStatus } = require("./status");
+const { createCacheContext } = require("./cache");
+
+const RE_LEI = /^[A-Z0-9]{18}\d{2}$/;
+const RE_TICKER = /^[A-Z0-9][A-Z0-9.\-]{0,11}$/;
+
+// options.minConfidence -> a number from 0 to 1, or null when not given.
+function readMinConfidence(value) {
+  if (value == null) return null;
+  const n = Number(value);
+  if (!(n >= 0 && n <= 1)) {
+    throw new EnrichError(`Invalid min_confidence "${value}" (use a number from 0 to 1)`, { status: 400, code: "BAD_INPUT" });
+  }
+  return n;
+}
+
+// Enrich one company. Input is any of { name, domain, qid, wikipedia, lei, ticker };
+// when several are given the most exact wins: qid, wikipedia (article URL),
+// lei (P1278), ticker (P249), domain (P856), then the best name candidate
+// (lib/candidates.js). Identifiers never fall back to fuzzy search.
+//
+// options.getBrowser  - () => Promise<Browser>, to share one Chromium across calls.
+//                       Without it a browser is launched on demand and closed.
+// options.engine      - infobox and website reader: "auto" (default, Chromium only
+//                       as a fallback), "http" (never Chromium) or "browser" (always Puppeteer).
+// options.getEntities - replacement for getWikidataEntities (e.g. createEntityLoader()).
+// options.minConfidence - refuse name matches scoring below this (0..1) instead
+//                       of enriching them with `match.low_confidence: true`.
+// options.provenance  - add a `provenance` map (see lib/provenance.js) keyed like `data`.
+// options.cache       - a createCacheContext() to share hit/miss stats or force
+//                       { refresh: true }; a fresh context is used otherwise.
+// options.exchangePreference - MICs or exchange names ordering data.listings; the
+//                       first listing is primary (default EXCHANGE_PREFERENCE).
+// options.quotes      - which listings get a live quote: "primary" (default), "all" or "none".
+// options.financeProviders - quote provider names or objects, asked in order
+//                       (default: the configured chain, see lib/quotes.js).
+// options.lang        - language codes ("de" or ["de", "fr"]): labels and the
+//                       Wikipedia article fall back to them when English has none,
+//                       and data.localized carries the labels in those languages.
+// options.deadline    - milliseconds the slow sources (infobox, quotes, OpenCorporates,
+//                       successor lookup, website, geocoding) get from the start of the call; those
+//                       still running then are left out, and the result is
+//                       `partial: true` with their names in `source.timed_out`.
+//                       Their page fetches are aborted and Chromium is not launched
+//                       after it.
+//
+// Resolves to { ok, partial?, query?, domain?, canonical_domain?, qid?, wikipedia?, lei?, ticker?, match?, source, scrapedAt, data, provenance? };
+// rejects with EnrichError: 400 bad input, 404 unknown company, 409 ambiguous
+// identifier or low-confidence name match (details.candidates lists the options).
+async function enrichCompany(input = {}, options = {}) {
+  const ids = normalizeInput(input);
+
+  // Aborted at the deadline and when enrichCompany() returns: sources still
+  // running stop fetching, and none may start Chromium any more.
+  const controller = new AbortController();
+  let ownBrowser = null;
+  const launch = options.getBrowser || (() => (ownBrowser = ownBrowser || launchBrowser()));
+  const getBrowser = () => controller.signal.aborted
+    ? Promise.reject(new EnrichError("No browser after the deadline", { status: 504, code: "TIMED_OUT" }))
+    : launch();
+  const cache = options.cache || createCacheContext();
+  const getEntities = cache.wrapEntities(options.getEntities || getWikidataEntities);
+  const minConfidence = readMinConfidence(options.minConfidence);
+  const provenance = !!options.provenance;
+  const engine = String(options.engine || "auto").toLowerCase();
+  if (!INFOBOX_ENGINES.includes(engine)) {
+    throw new EnrichError(`Unknown engine "${engine}" (use ${INFOBOX_ENGINES.join(", ")})`, { status: 400, code: "BAD_INPUT" });
+  }
+  const quotes = String(options.quotes || "primary").toLowerCase();
+  if (!QUOTE_MODES.includes(quotes)) {
+    throw new EnrichError(`Unknown quotes mode "${quotes}" (use ${QUOTE_MODES.join(", ")})`, { status: 400, code: "BAD_INPUT" });
+  }
+  const exchangePreference = Array.isArray(options.exchangePreference) && options.exchangePreference.length
+    ? options.exchangePreference.map(String)
+    : undefined;
+  const financeProviders = options.financeProviders?.length ? options.financeProviders.map(resolveProvider) : quoteProviders();
+  const unknownProvider = (options.financeProviders || []).find((p, i) => !financeProviders[i]);
+  if (unknownProvider !== undefined) {
+    throw new EnrichError(`Unknown finance provider "${unknownProvider}" (use ${Object.keys(PROVIDER_FACTORIES).join(", ")})`, { status: 400, code: "BAD_INPUT" });
+  }
+  const { langs: localLangs, invalid: badLangs } = parseLanguages(options.lang);
+  if (badLangs.length) {
+    throw new EnrichError(`Invalid language code "${badLangs[0]}" (use e.g. "de" or "pt-br")`, { status: 400, code: "BAD_INPUT" });
+  }
+  const langs = languageChain(localLangs);
+  const deadline = options.deadline == null ? null : Number(options.deadline);
+  if (deadline != null && !(deadline > 0)) {
+    throw new EnrichError(`Invalid deadline "${options.deadline}" (use milliseconds > 0)`, { status: 400, code: "BAD_INPUT" });
+  }
+  const deadlineAt = deadline ? Date.now() + deadline : null;
+  const deadlineTimer = deadline ? setTimeout(() => controller.abort(), deadline) : null;
+
+  // Everything that shapes the payload is part of the result key (not the
+  // deadline: partial results are never cached).
+  const { article, ...keyIds } = ids;
+  const providerNames = financeProviders.map(p => p.name);
+  const resultKey = JSON.stringify({ ...keyIds, minConfidence, provenance, engine, quotes, exchangePreference, providerNames, langs });
+  const settings = { getBrowser, getEntities, minConfidence, provenance, engine, quotes, exchangePreference, financeProviders, langs, localLangs, cache, deadlineAt, signal: controller.signal };
+
+  try {
+    return await cache.result(resultKey, () => runPipeline(ids, settings));
+  } finally {
+    clearTimeout(deadlineTimer);
+    controller.abort();
+    // ownBrowser is the launch promise, so a launch still under way is closed too
+    if (ownBrowser) { try { await (await ownBrowser).close(); } catch {} }
+  }
+}
+
+// Resolve input to its Wikidata entity without enriching it (same input rules
+// and rejections as enrichCompany): { qid, wikipedia, match }.
+async function identifyCompany(input = {}, options = {}) {
+  const ids = normalizeInput(input);
+  const cache = options.cache || createCacheContext();
+  const getEntities = cache.wrapEntities(options.getEntities || getWikidataEntities);
+  const minConfidence = readMinConfidence(options.minConfidence);
+  const { langs: localLangs, invalid: badLangs } = parseLanguages(options.lang);
+  if (badLangs.length) {
+    throw new EnrichError(`Invalid language code "${badLangs[0]}" (use e.g. "de" or "pt-br")`, { status: 400, code: "BAD_INPUT" });
+  }
+  const langs = languageChain(localLangs);
+
+  const { wikidataId, title, titleLang, match } = await resolveIdentity(ids, { getEntities, minConfidence, langs, cache });
+  if (!wikidataId) throw new EnrichError("No Wikidata entity for this company", { status: 404, code: "NOT_FOUND" });
+  return { qid: wikidataId, wikipedia: wikipediaUrlForTitle(title, titleLang), match: match || null };
+}
+
+function normalizeInput(input) {
+  const str = (v) => String(v || "").trim();
+  const bad = (message) => new EnrichError(message, { status: 400, code: "BAD_INPUT" });
+
+  const name = str(input.name) || null;
+  const domain = input.domain ? normalizeDomainInput(input.domain) : null;
+  const qidRaw = str(input.qid);
+  const qid = RE_QID.test(qidRaw) ? qidRaw.toUpperCase() : null;
+  const wikipedia = str(input.wikipedia) || null;
+  const article = wikipedia ? parseWikipediaUrl(wikipedia) : null;
+  const lei = str(input.lei).toUpperCase() || null;
+  const ticker = str(input.ticker).toUpperCase() || null;
+
+  if (input.domain && !domain) throw bad(`Invalid domain "${input.domain}"`);
+  if (qidRaw && !qid) throw bad(`Invalid Wikidata id "${qidRaw}"`);
+  if (wikipedia && !article) throw bad(`Not a Wikipedia article URL: "${wikipedia}"`);
+  if (lei && !RE_LEI.test(lei)) throw bad(`Invalid LEI "${lei}" (expected 20 characters)`);
+  if (ticker && !RE_TICKER.test(ticker)) throw bad(`Invalid ticker "${ticker}"`);
+  if (!name && !domain && !qid && !article && !lei && !ticker) {
+    throw bad("Provide a company name, domain, qid, wikipedia URL, lei or ticker");
+  }
+
+  return { name, domain, qid, wikipedia, article, lei, ticker };
+}
+
+// Exactly one match is required for identifier lookups; several distinct
+// entities for one ticker (or a duplicated LEI) are reported, not guessed.
+function pickSingle(ids, label) {
+  if (!ids.length) throw new EnrichError(`No Wikidata entity with ${label}`, { status: 404, code: "NOT_FOUND" });
+  if (ids.length > 1) {
+    throw new EnrichError(`Several Wikidata entities match ${label}`, { status: 409, code: "AMBIGUOUS", details: { candidates: ids } });
+  }
+  return ids[0];
+}
+
+// -> { wikidataId, title, titleLang?, match, canonicalDomain?, websiteMatches? } where title
+// is a Wikipedia article in titleLang (default "en") or null, match describes the chosen name candidate
+// (name lookups only), canonicalDomain is where an unmatched domain redirects to
+// (if elsewhere) and websiteMatches are the ranked P856 hits (domain lookups)
+async function resolveIdentity({ name, domain, qid, article, lei, ticker }, { getEntities, minConfidence, langs, cache }) {
+  if (qid) return { wikidataId: qid, title: null };
+
+  if (article) {
+    const wikidataId = await cache.wrap("wikipedia", `${article.lang}:${article.title}`, () => getWikidataIdForTitle(article.title, article.lang));
+    // Non-English articles are only used to find the entity; the infobox
+    // comes from its English sitelink.
+    if (article.lang !== "en" && !wikidataId) {
+      throw new EnrichError(`No Wikidata entity for ${article.lang}.wikipedia "${article.title}"`, { status: 404, code: "NOT_FOUND" });
+    }
+    return { wikidataId, title: article.lang === "en" ? article.title : null };
+  }
+
+  if (lei) {
+    const found = await cache.wrap("sparql", `P1278:${lei}`, () => findWikidataByExternalId("P1278", lei));
+    return { wikidataId: pickSingle(found, `LEI ${lei}`), title: null };
+  }
+  if (ticker) {
+    const found = await cache.wrap("sparql", `P249:${ticker}`, () => findWikidataByTicker(ticker));
+    return { wikidataId: pickSingle(found, `ticker ${ticker}`), title: null };
+  }
+
+  // Ranked P856 matches; the best one is used, the rest are reported.
+  const byWebsite = (host) => cache.wrap("sparql", `P856:${host}`, () => findWikidataByWebsite(domainToUrl(host)));
+  let websiteMatches = domain ? await byWebsite(domain) : [];
+  // Wikidata may list the domain the site redirects to ("fb.com" -> "facebook.com").
+  let canonicalDomain = null;
+  if (domain && !websiteMatches.length) {
+    const host = await cache.wrap("website", `redirect:${domain}`, () => resolveCanonicalDomain(domain));
+    if (host && host !== domain) {
+      canonicalDomain = host;
+      websiteMatches = await byWebsite(host);
+    }
+  }
+  const wikidataId = websiteMatches[0]?.qid || null;
+  if (wikidataId || !name) return { wikidataId, title: null, match: null, canonicalDomain, websiteMatches };
+
+  const searchKey = langs.length > 1 ? `${name.toLowerCase()}@${langs.join(",")}` : name.toLowerCase();
+  const candidates = await cache.wrap("search", searchKey, () => findCandidates(name, { getEntities, langs }));
+  const [best, ...rest] = candidates;
+  // A domain alone still yields website-derived data, a bare name does not.
+  if (!best) {
+    if (domain) return { wikidataId: null, title: null, match: null, canonicalDomain, websiteMatches };
+    throw new EnrichError(`No Wikipedia result for "${name}"`, { status: 404, code: "NOT_FOUND" });
+  }
+  if (minConfidence != null && best.score < minConfidence) {
+    throw new EnrichError(`No confident match for "${name}" (best: ${best.label || best.qid}, score ${best.score})`, {
+      status: 409, code: "LOW_CONFIDENCE", details: { candidates }
+    });
+  }
+
+  const match = {
+    qid: best.qid,
+    label: best.label,
+    description: best.description,
+    score: best.score,
+    low_confidence: best.low_confidence,
+    signals: best.signals,
+    // Only worth showing when we might have picked the wrong entity
+    alternatives: best.low_confidence ? rest.map(c => ({ qid: c.qid, label: c.label, description: c.description, score: c.score })) : []
+  };
+  return { wikidataId: best.qid, title: best.title, titleLang: parseWikipediaUrl(best.wikipedia)?.lang || "en", match };
+}
+
+async function runPipeline(ids, { getBrowser, getEntities, minConfidence, provenance, engine, quotes, exchangePreference, financeProviders, langs, localLangs, cache, deadlineAt, signal }) {
+  const { name, domain, qid, wikipedia: wikipediaInput, lei, ticker } = ids;
+
+  // Slow sources answer `fallback` once the deadline has passed (and are
+  // listed in timedOut; `signal` aborts their work); identification and
+  // Wikidata always run to the end.
+  const timedOut = [];
+  const inTime = (source, promise, fallback = null) => {
+    if (!deadlineAt) return promise;
+    let timer;
+    const expired = new Promise(resolve => {
+      timer = setTimeout(() => { timedOut.push(source); resolve(fallback); }, Math.max(0, deadlineAt - Date.now()));
+    });
+    // Work cut short by the abort settles first; it still counts as timed out
+    const settled = promise.then(v => signal.aborted ? expired : v, err => { if (signal.aborted) return expired; throw err; });
+    return Promise.race([settled, expired]).finally(() => clearTimeout(timer));
+  };
+
+  // 1) Identify the Wikidata entity / Wikipedia page
+  let { wikidataId, title, titleLang = "en", match, canonicalDomain = null, websiteMatches = [] } = await resolveIdentity(ids, { getEntities, minConfidence, langs, cache });
+  const websiteUrl = domain ? domainToUrl(canonicalDomain || domain) : null;
+  // No entity at all: everything comes from the company's own website.
+  const websiteOnly = !wikidataId && !title;
+  // Nothing from a doubtful entity match (or from the website alone) deserves more than "low".
+  const prov = createProvenance({ cap: match?.low_confidence || websiteOnly ? "low" : null });
+
+  // 2) Gather from Wikidata (labels, sitelinks, claims)
+  let baseName = null;
+  let enriched = {};
+  let tickers = [];
+  let hqStruct = null;
+  let countryCode = null; // ISO 3166-1 alpha-2 (lowercase) of the HQ country, for OpenCorporates
+  let wdSocialIds = {};
+  let statements = {};
+  let localized = null; // labels in the requested languages (options.lang)
+  let industryItems = []; // [{ qid, label, codes }] for lib/industries.js
+  let wdLifecycle = {}; // lifecycle facts with names, for lib/status.js
+
+  if (wikidataId) {
+    const entities = await getEntities([wikidataId]);
+    prov.retrieved("wikidata", cache.retrievedAt("wikidata"));
+    const main = entities?.[wikidataId] || null;
+    // Exact identifiers must point at a real entity; fuzzy paths degrade gracefully.
+    const exact = !!(qid || ids.article || lei || ticker);
+    if (exact && (!main || "missing" in main)) {
+      throw new EnrichError(`No Wikidata entity "${wikidataId}"`, { status: 404, code: "NOT_FOUND" });
+    }
+
+    const {
+      website: wdWebsite,
+      employees: wdEmployees, // { count, as_of, approximate, range, size_band } or null
+      employeeSeries,
+      industryIds, headquartersId, headquartersAddress, typeIds,
+      tickers: tickerPairs,
+      sitelink,
+      name: label,
+      description: wdDescription,
+      logo: wdLogo,
+      founded, founderIds, ceoIds, parentId, subsidiaryIds, money, moneySeries, unitIds, countryId, socialIds,
+      lifecycle = {},
+      statements: wdStatements
+    } = extractFromWikidata(main, { langs });
+
+    baseName = label || null;
+    wdSocialIds = socialIds || {};
+    statements = wdStatements || {};
+    // English article first, else the first requested language that has one
+    if (!title && sitelink) { title = sitelink.title; titleLang = sitelink.lang; }
+
+    // Resolve labels for industry/HQ/type/people/organizations, exchanges for
+    // tickers, currency units for money, and successors/acquirer/end cause
+    const idsToResolve = unique([
+      ...(industryIds||[]), headquartersId, ...(typeIds||[]), ...(tickerPairs||[]).map(t => t.exchangeId).filter(Boolean),
+      ...(founderIds||[]), ...(ceoIds||[]), parentId, ...(subsidiaryIds||[]), ...(unitIds||[]), countryId,
+      ...(lifecycle.successors||[]).map(s => s.qid), lifecycle.acquirer?.qid, lifecycle.endCauseId
+    ]);
+    const labelEntities = idsToResolve.length ? await getEntities(idsToResolve) : null;
+
+    const industries = resolveLabels(labelEntities, industryIds || [], langs);
+    industryItems = (industryIds || []).map(id => ({
+      qid: id,
+      label: resolveLabels(labelEntities, [id], langs)[0] || null,
+      codes: industryCodesFromEntity(labelEntities?.[id])
+    }));
+    const types = resolveLabels(labelEntities, typeIds || [], langs);
+
+    // HQ structured object
+    if (headquartersId) {
+      const extended = { ...(labelEntities || {}), ...(entities || {}) };
+      hqStruct = await buildHeadquarters(extended, headquartersId, getEntities, langs, headquartersAddress);
+    }
+
+    // Country code (P297) of the HQ's country, else of the company's country (P17)
+    if (hqStruct?.country_code) {
+      countryCode = hqStruct.country_code.toLowerCase();
+    } else if (countryId) {
+      const countryEntity = labelEntities?.[countryId] || (await getEntities([countryId]))?.[countryId];
+      const iso = countryEntity?.claims?.P297?.[0]?.mainsnak?.datavalue?.value;
+      countryCode = iso ? String(iso).toLowerCase() : null;
+    }
+
+    // Tickers w/ exchange names
+    tickers = (tickerPairs || []).map(t => ({
+      symbol: t.symbol,
+      exchange: t.exchangeId ? (resolveLabels(labelEntities, [t.exchangeId], langs)[0] || null) : null
+    }));
+
+    const org = (id) => ({ name: resolveLabels(labelEntities, [id], langs)[0] || null, qid: id });
+    wdLifecycle = {
+      dissolved: lifecycle.dissolved || null,
+      endCause: lifecycle.endCauseId ? (resolveLabels(labelEntities, [lifecycle.endCauseId], langs)[0] || null) : null,
+      successors: (lifecycle.successors || []).map(s => ({ ...s, name: org(s.qid).name })),
+      acquirer: lifecycle.acquirer ? { ...lifecycle.acquirer, name: org(lifecycle.acquirer.qid).name } : null,
+      formerNames: lifecycle.formerNames || []
+    };
+    const wdMoney = (m) => m ? moneyFromWikidata(m.value, m.time, labelEntities) : null;
+
+    enriched = {
+      website: wdWebsite || null,
+      description: wdDescription || null,
+      logo: wdLogo || null,
+      employees: wdEmployees || null,
+      employees_history: employeeSeries || [],
+      industry: industries.length ? industries : null,
+      type: types.length ? types.join(", ") : null,
+      founded: founded || null,
+      founders: resolveLabels(labelEntities, founderIds, langs).map(name => ({ name, role: null })),
+      key_people: resolveLabels(labelEntities, ceoIds, langs).map(name => ({ name, role: "Chief executive officer" })),
+      parent: parentId ? org(parentId) : null,
+      subsidiaries: (subsidiaryIds || []).map(org).filter(o => o.name),
+      revenue: wdMoney(money?.revenue),
+      operating_income: wdMoney(money?.operating_income),
+      net_income: wdMoney(money?.net_income),
+      history: {
+        revenue: moneySeriesFromWikidata(moneySeries?.revenue, labelEntities),
+        net_income: moneySeriesFromWikidata(moneySeries?.net_income, labelEntities),
+        total_assets: moneySeriesFromWikidata(moneySeries?.total_assets, labelEntities)
+      }
+    };
+
+    // The same labels in the requested languages only (no English fallback)
+    if (localLangs.length) {
+      const local = pickLanguage(main?.labels, localLangs);
+      const localArticle = pickSitelink(main, localLangs);
+      localized = {
+        lang: local?.lang || localArticle?.lang || localLangs[0],
+        name: local?.value || null,
+        description: pickLanguage(main?.descriptions, localLangs)?.value || null,
+        industry: resolveLabels(labelEntities, industryIds || [], localLangs),
+        type: resolveLabels(labelEntities, typeIds || [], localLangs).join(", ") || null,
+        headquarters: resolveLabels(labelEntities, [headquartersId], localLangs)[0] || null,
+        wikipedia: localArticle ? wikipediaUrlForTitle(localArticle.title, localArticle.lang) : null
+      };
+    }
+  }
+
+  // 3) Read the Wikipedia infobox (only if we have a page)
+  const wikipedia = wikipediaUrlForTitle(title, titleLang);
+  let wiki = { ...EMPTY_INFOBOX, engine: null };
+  if (wikipedia) {
+    // getBrowser is only called if the HTTP reader fails ("auto") or engine is "browser".
+    wiki = (await inTime("infobox", cache.wrap("infobox", `${engine}:${wikipedia}`, () => readInfobox(wikipedia, { engine, getBrowser, signal })))) || wiki;
+    prov.retrieved("wikipedia", cache.retrievedAt("infobox"));
+  }
+
+  // 4) Finance: every listing (Wikidata tickers + infobox "Traded as"), ordered
+  // by exchange preference; live quotes for the primary (or all) listings, and
+  // yearly Wikidata figures
+  const tradedAs = parseTradedAs(wiki.traded_as);
+  const listings = buildListings([...tickers, ...tradedAs], { preference: exchangePreference });
+  const toQuote = quotes === "all" ? listings : quotes === "primary" ? listings.slice(0, 1) : [];
+  const chainKey = financeProviders.map(p => p.name).join(">");
+  const listingQuotes = await Promise.all(toQuote.map(l => inTime("finance",
+    cache.wrap("finance", `${chainKey}:${l.symbol}@${l.mic || l.exchange || ""}`, () => fetchListingQuote(l, { providers: financeProviders })))));
+  const quote = listingQuotes[0] ? financialsFromQuote(listings[0], listingQuotes[0]) : null;
+  const financeSource = quote?.source || null;
+  const quoteProvidersUsed = unique(listingQuotes.flatMap(q => Object.values(q?.sources || {})));
+  for (const source of quoteProvidersUsed) prov.retrieved(source, cache.retrievedAt("finance"));
+  const history = enriched.history || { revenue: [], net_income: [], total_assets: [] };
+  const hasHistory = Object.values(history).some(series => series.length);
+  const financials = quote || hasHistory ? { ...EMPTY_QUOTE, ...quote, history } : null;
+
+  // 5) OpenCorporates (optional): by resolved name, never the bare domain
+  const wikiHeadquarters = headquartersFromString(wiki.headquarters);
+  countryCode = countryCode || wikiHeadquarters?.country_code?.toLowerCase() || null;
+  const ocNames = unique([baseName, wiki.name, name].filter(Boolean));
+  const openCorporates = ocNames.length
+    ? await inTime("opencorporates", cache.wrap("opencorporates", `${countryCode || ""}:${ocNames.join("|").toLowerCase()}`, () => fetchOpenCorporates(ocNames, { countryCode })))
+    : null;
+  prov.retrieved("opencorporates", cache.retrievedAt("opencorporates"));
+
+  // Lifecycle: a company that no longer exists keeps its official website in
+  // data.website, but only a given domain is crawled; the successor is resolved
+  // (infobox names through their Wikipedia article) for redirecting to it
+  const baseStatus = buildStatus(wdLifecycle, wiki);
+  const status = await inTime("status", resolveStatus(baseStatus, {
+    getEntities, langs, lang: titleLang,
+    titleToQid: (t, lang) => cache.wrap("wikipedia", `${lang}:${t}`, () => getWikidataIdForTitle(t, lang))
+  }), baseStatus);
+
+  // 5b) The company website (the given one, else the official one while the
+  // company is active): metadata profile and social links, read in one pass
+  const siteFrom = websiteUrl || (status.active ? enriched.website || wiki.website : null) || null;
+  const site = siteFrom
+    ? await inTime("website", cache.wrap("website", `${engine}:${siteFrom}`, () => fetchWebsite(siteFrom, { engine, getBrowser, signal })))
+    : null;
+  prov.retrieved("website", cache.retrievedAt("website"));
+  const siteProfile = site?.profile || null;
+  const siteHeadquarters = headquartersFromAddress(siteProfile?.address);
+  const siteDetail = { url: site?.url || siteFrom };
+
+  // Employees: prefer Wikidata structured; else parse Wikipedia string
+  const wikiEmployeesParsed = parseEmployeesString(wiki.company_size, { lang: titleLang });
+
+  // 6) Merge baseline + enriched; every option is [value, source, detail] and
+  // the first non-empty value wins and is recorded in provenance.
+  const pick = (field, options) => {
+    for (const [value, source, detail] of options) {
+      if (value) { prov.set(field, source, detail); return value; }
+    }
+    return null;
+  };
+  // Lists are unioned across sources (first entry per key wins) and every
+  // contributing source is recorded.
+  const union = (field, options, keyOf = (x) => x.name.toLowerCase()) => {
+    const present = options.filter(([list]) => list?.length);
+    prov.merge(field, present.map(([, source, detail]) => [source, detail]));
+    return unionBy(keyOf, ...present.map(([list]) => list));
+  };
+  // Money: the most recent year wins; Wikidata on a tie.
+  const newest = (options) => [...options].sort((a, b) => (b[0]?.year || 0) - (a[0]?.year || 0));
+  const wd = (property, statement) => Array.isArray(statement)
+    ? { entity: wikidataId, property, statements: statement }
+    : { entity: wikidataId, property, statement: statement || null };
+  const row = (label) => ({ url: wikipedia, row: label });
+
+  const merged = {
+    name: pick("name", [
+      [wiki.name, "wikipedia", row("Title")],
+      [baseName, "wikidata", wd("label")],
+      [siteProfile?.name, "website", siteDetail],
+      [name || domain || wikidataId, "input", {}]
+    ]),
+    description: pick("description", [
+      [enriched.description, "wikidata", wd("description")],
+      [siteProfile?.description, "website", siteDetail]
+    ]),
+    website: pick("website", [
+      [enriched.website, "wikidata", wd("P856", statements.website)],
+      [websiteUrl, "input", {}],
+      [wiki.website, "wikipedia", row("Website")]
+    ]),
+    logo: pick("logo", [
+      [enriched.logo, "wikidata", wd("P154", statements.logo)],
+      [siteProfile?.logo, "website", siteDetail]
+    ]),
+    employees: pick("employees", [ // { count, as_of, approximate, range, size_band } or null
+      [enriched.employees, "wikidata", wd("P1128", statements.employees)],
+      [wikiEmployeesParsed, "wikipedia", row("Employees")]
+    ]),
+    employees_history: enriched.employees_history || [], // [{ date, year, count }], oldest first
+    industry: unique([...(wiki.industry || []), ...(enriched.industry || [])]),
+    industry_keywords: null,
+    industry_codes: [],
+    headquarters: pick("headquarters", [
+      [hqStruct, "wikidata", wd("P159", statements.headquarters)],
+      [wikiHeadquarters, "wikipedia", row("Headquarters")],
+      [siteHeadquarters, "website", siteDetail]
+    ]),
+    type: pick("type", [
+      [enriched.type, "wikidata", wd("P31", statements.type)],
+      [wiki.type, "wikipedia", row("Type")]
+    ]),
+    specialties: unique(wiki.specialties || []),
+    founded: pick("founded", [ // ISO: "1998-09-04", "1998-09" or "1998"
+      [enriched.founded, "wikidata", wd("P571", statements.founded)],
+      [parseDateString(wiki.founded), "wikipedia", row("Founded")]
+    ]),
+    founders: union("founders", [ // [{ name, role }]
+      [enriched.founders, "wikidata", wd("P112", statements.founders)],
+      [parsePeople(wiki.founders), "wikipedia", row("Founders")]
+    ]),
+    key_people: union("key_people", [ // infobox first: it has more roles than CEO (P169)
+      [parsePeople(wiki.key_people), "wikipedia", row("Key people")],
+      [enriched.key_people, "wikidata", wd("P169", statements.key_people)]
+    ]),
+    parent: pick("parent", [ // { name, qid }
+      [enriched.parent, "wikidata", wd("P749", statements.parent)],
+      [parseOrganization(wiki.parent), "wikipedia", row("Parent")]
+    ]),
+    subsidiaries: union("subsidiaries", [
+      [enriched.subsidiaries, "wikidata", wd("P355", statements.subsidiaries)],
+      [(wiki.subsidiaries || []).map(parseOrganization).filter(Boolean), "wikipedia", row("Subsidiaries")]
+    ]),
+    area_served: unique(wiki.area_served || []),
+    traded_as: union("traded_as", [ // [{ symbol, exchange }]
+      [tickers, "wikidata", wd("P249")],
+      [tradedAs, "wikipedia", row("Traded as")]
+    ], (t) => t.symbol.toUpperCase()),
+    revenue: pick("revenue", newest([ // { amount, currency, year }
+      [enriched.revenue, "wikidata", wd("P2139", statements.revenue)],
+      [parseMoneyString(wiki.revenue, { lang: titleLang }), "wikipedia", row("Revenue")]
+    ])),
+    operating_income: pick("operating_income", newest([
+      [enriched.operating_income, "wikidata", wd("P3362", statements.operating_income)],
+      [parseMoneyString(wiki.operating_income, { lang: titleLang }), "wikipedia", row("Operating income")]
+    ])),
+    net_income: pick("net_income", newest([
+      [enriched.net_income, "wikidata", wd("P2295", statements.net_income)],
+      [parseMoneyString(wiki.net_income, { lang: titleLang }), "wikipedia", row("Net income")]
+    ]))
+  };
+  prov.merge("industry", [
+    ...(wiki.industry?.length ? [["wikipedia", row("Industry")]] : []),
+    ...(enriched.industry?.length ? [["wikidata", wd("P452", statements.industry)]] : [])
+  ]);
+  // Keywords the site describes itself with; only a stand-in for a real industry.
+  if (!merged.industry.length && siteProfile?.keywords?.length) {
+    merged.industry_keywords = siteProfile.keywords;
+    prov.set("industry_keywords", "website", siteDetail);
+  }
+  // Coordinates for a headquarters known only by its city (infobox, website, or
+  // a Wikidata HQ item without P625 on it or its city)
+  const hqOut = merged.headquarters;
+  if (hqOut?.city && !hqOut.coordinates) {
+    const geo = await inTime("geocoding", cache.wrap("search", `geo:${hqOut.city.toLowerCase()}|${hqOut.country_code || ""}`,
+      () => geocodeCity(hqOut.city, hqOut.country_code, { getEntities })));
+    if (geo) merged.headquarters = { ...hqOut, coordinates: geo.coordinates, coordinates_from: "geocoded" };
+  }
+  // NAICS/SIC/ISIC codes and sector for the industries (else the site's keywords)
+  merged.industry_codes = classifyIndustries({ labels: merged.industry_keywords || wiki.industry || [], items: industryItems });
+  if (merged.industry_codes.length) {
+    prov.merge("industry_codes", merged.industry_keywords ? [["website", siteDetail]] : [
+      ...(wiki.industry?.length ? [["wikipedia", row("Industry")]] : []),
+      ...(industryItems.length ? [["wikidata", wd("P452", statements.industry)]] : [])
+    ]);
+  }
+  if (status.state !== "active") {
+    prov.merge("status", [
+      ...(statements.status?.length ? [["wikidata", { entity: wikidataId, properties: ["P576", "P1366", "P156", "P749", "P127"], statements: statements.status }]] : []),
+      ...(wiki.defunct || wiki.fate || wiki.successor?.length ? [["wikipedia", row("Fate")]] : [])
+    ]);
+  }
+  if (merged.employees_history.length) prov.set("employees_history", "wikidata", wd("P1128", statements.employees_history));
+  if (merged.specialties.length) prov.set("specialties", "wikipedia", row("Products and services"));
+  if (merged.area_served.length) prov.set("area_served", "wikipedia", row("Area served"));
+
+  // Socials from the website and Wikidata accounts
+  const websiteProfiles = site?.social_profiles || null;
+  const wikidataProfiles = socialsFromWikidata(wdSocialIds, wikidataId);
+  const socialProfiles = mergeSocialProfiles(websiteProfiles || [], wikidataProfiles);
+  const socials = socialLinks(socialProfiles);
+
+  prov.merge("financials", [
+    ...unique(Object.values(quote?.sources || {})).map(source => [source, {
+      symbol: quote.ticker,
+      fields: Object.keys(quote.sources).filter(field => quote.sources[field] === source)
+    }]),
+    ...(hasHistory ? [["wikidata", { entity: wikidataId, properties: ["P2139", "P2295", "P2403"] }]] : [])
+  ]);
+  if (openCorporates) prov.set("open_corporates", "opencorporates", { query: openCorporates.match.query, country_code: countryCode });
+  if (siteProfile) prov.set("website_profile", "website", siteDetail);
+  if (websiteOnly && domain) {
+    match = {
+      qid: null,
+      label: merged.name,
+      description: merged.description,
+      score: null,
+      low_confidence: true,
+      source: "website",
+      signals: { wikidata: false, website: !!siteProfile },
+      alternatives: []
+    };
+  }
+  prov.merge("social", [
+    ...(websiteProfiles?.length ? [["website", siteDetail]] : []),
+    ...(wikidataProfiles.length ? [["wikidata", { entity: wikidataId, properties: unique(wikidataProfiles.flatMap(p => p.found_in.map(f => f.property))) }]] : [])
+  ]);
+
+  // [{ symbol, exchange, mic, currency, primary, quote? }]
+  const listingsOut = listings.map((l, i) => i < toQuote.length ? { ...l, quote: listingQuotes[i] || null } : l);
+  prov.merge("listings", [
+    ...(tickers.length ? [["wikidata", wd("P249")]] : []),
+    ...(tradedAs.length ? [["wikipedia", row("Traded as")]] : []),
+    ...quoteProvidersUsed.map(source => [source, { quotes: true }])
+  ]);
+
+  const payload = {
+    ...merged,
+    listings: listingsOut,
+    financials,
+    open_corporates: openCorporates || null,
+    social: socials,
+    social_profiles: socialProfiles,
+    website_profile: siteProfile,
+    status,
+    localized
+  };
+
+  return {
+    ok: true,
+    ...(timedOut.length ? { partial: true } : {}),
+    ...(name ? { query: name } : {}),
+    ...(domain ? { domain } : {}),
+    ...(canonicalDomain ? { canonical_domain: canonicalDomain } : {}),
+    ...(qid ? { qid } : {}),
+    ...(wikipediaInput ? { wikipedia: wikipediaInput } : {}),
+    ...(lei ? { lei } : {}),
+    ...(ticker ? { ticker } : {}),
+    ...(match ? { match } : {}),
+    source: {
+      wikipedia,
+      infobox_engine: wiki.engine,
+      wikidata: wikidataId || null,
+      finance: financeSource,
+      open_corporates: !!openCorporates,
+      socials_from: siteFrom || null,
+      website_only: websiteOnly,
+      ...(timedOut.length ? { timed_out: unique(timedOut) } : {}),
+      // Other entities with the same official website, when several matched
+      ...(websiteMatches.length > 1 ? { website_matches: websiteMatches.map(({ qid, website }) => ({ qid, website })) } : {})
+    },
+    scrapedAt: new Date().toISOString(),
+    data: payload,
+    ...(provenance ? { provenance: prov.toJSON() } : {})
+  };
+}
+
+module.exports = { enrichCompany, identifyCompany, normalizeInput };
@@ -0,0 +1,16 @@
+// lib/errors.js
+// Errors thrown by the enrichment pipeline. `status` is the HTTP status the
+// routes answer with; programmatic callers can branch on it or on `code`.
+// `details` carries extra context such as candidate QIDs for ambiguous lookups.
+
+class EnrichError extends Error {
+  constructor(message, { status = 500, code = "ENRICH_FAILED", details = null } = {}) {
+    super(message);
+    this.name = "EnrichError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+module.exports = { EnrichError };
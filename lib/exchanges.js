@@ -0,0 +1,68 @@
+// lib/exchanges.js
+// Stock exchanges by ISO 10383 MIC: trading currency, the symbol suffix quote
+// providers (Yahoo, Finnhub) use for non-US listings, and the names Wikidata
+// labels and infobox "Traded as" lines use for them.
+
+const EXCHANGES = {
+  XNAS: { currency: "USD", suffix: "",    names: ["nasdaq", "nasdaq global select market", "nasdaq stock market"] },
+  XNYS: { currency: "USD", suffix: "",    names: ["nyse", "new york stock exchange"] },
+  ARCX: { currency: "USD", suffix: "",    names: ["nyse arca"] },
+  XASE: { currency: "USD", suffix: "",    names: ["nyse american", "nyse mkt", "american stock exchange", "amex"] },
+  OTCM: { currency: "USD", suffix: "",    names: ["otc markets", "otcqx", "otcqb", "otc pink", "otc"] },
+  XTSE: { currency: "CAD", suffix: ".TO", names: ["toronto stock exchange", "tsx"] },
+  XLON: { currency: "GBP", suffix: ".L",  names: ["london stock exchange", "lse"] },
+  XETR: { currency: "EUR", suffix: ".DE", names: ["xetra", "deutsche börse xetra"] },
+  XFRA: { currency: "EUR", suffix: ".F",  names: ["frankfurt stock exchange", "fwb", "deutsche börse"] },
+  XPAR: { currency: "EUR", suffix: ".PA", names: ["euronext paris"] },
+  XAMS: { currency: "EUR", suffix: ".AS", names: ["euronext amsterdam"] },
+  XBRU: { currency: "EUR", suffix: ".BR", names: ["euronext brussels"] },
+  XMIL: { currency: "EUR", suffix: ".MI", names: ["borsa italiana", "euronext milan"] },
+  XMAD: { currency: "EUR", suffix: ".MC", names: ["bolsa de madrid", "bme", "madrid stock exchange"] },
+  XSWX: { currency: "CHF", suffix: ".SW", names: ["six swiss exchange", "six"] },
+  XSTO: { currency: "SEK", suffix: ".ST", names: ["nasdaq stockholm", "stockholm stock exchange"] },
+  XCSE: { currency: "DKK", suffix: ".CO", names: ["nasdaq copenhagen", "copenhagen stock exchange"] },
+  XHEL: { currency: "EUR", suffix: ".HE", names: ["nasdaq helsinki", "helsinki stock exchange"] },
+  XOSL: { currency: "NOK", suffix: ".OL", names: ["oslo stock exchange", "oslo børs", "euronext oslo"] },
+  XTKS: { currency: "JPY", suffix: ".T",  names: ["tokyo stock exchange", "tse", "tyo"] },
+  XHKG: { currency: "HKD", suffix: ".HK", names: ["hong kong stock exchange", "stock exchange of hong kong", "hkex", "sehk"] },
+  XSHG: { currency: "CNY", suffix: ".SS", names: ["shanghai stock exchange", "sse"] },
+  XSHE: { currency: "CNY", suffix: ".SZ", names: ["shenzhen stock exchange", "szse"] },
+  XKRX: { currency: "KRW", suffix: ".KS", names: ["korea exchange", "krx"] },
+  XTAI: { currency: "TWD", suffix: ".TW", names: ["taiwan stock exchange", "twse"] },
+  XNSE: { currency: "INR", suffix: ".NS", names: ["national stock exchange of india", "nse"] },
+  XBOM: { currency: "INR", suffix: ".BO", names: ["bombay stock exchange", "bse"] },
+  XASX: { currency: "AUD", suffix: ".AX", names: ["australian securities exchange", "asx"] },
+  XJSE: { currency: "ZAR", suffix: ".JO", names: ["johannesburg stock exchange", "jse"] },
+  BVMF: { currency: "BRL", suffix: ".SA", names: ["b3", "bm&f bovespa", "bovespa"] },
+  XMEX: { currency: "MXN", suffix: ".MX", names: ["mexican stock exchange", "bolsa mexicana de valores", "bmv"] }
+};
+
+const normName = (s) => String(s || "").toLowerCase().replace(/[.,()]/g, " ").replace(/\s+/g, " ").trim();
+
+// Exchange name or MIC -> MIC, or null. Exact names first, then the longest
+// known name the input starts with ("Nasdaq Global Market" -> XNAS).
+function exchangeMic(nameOrMic) {
+  const raw = String(nameOrMic || "").trim();
+  if (EXCHANGES[raw.toUpperCase()]) return raw.toUpperCase();
+  const name = normName(raw);
+  if (!name) return null;
+  let best = null;
+  for (const [mic, info] of Object.entries(EXCHANGES)) {
+    for (const n of info.names) {
+      if (name === n) return mic;
+      if (name.startsWith(`${n} `) && (!best || n.length > best.length)) best = { mic, length: n.length };
+    }
+  }
+  return best?.mic || null;
+}
+
+// The symbol as quote providers expect it: "VOD" on XLON -> "VOD.L",
+// Hong Kong codes zero-padded ("700" -> "0700.HK").
+function providerSymbol(symbol, mic) {
+  const info = EXCHANGES[mic];
+  if (!info?.suffix || symbol.endsWith(info.suffix)) return symbol;
+  const base = mic === "XHKG" && /^\d+$/.test(symbol) ? symbol.padStart(4, "0") : symbol;
+  return `${base}${info.suffix}`;
+}
+
+module.exports = { EXCHANGES, exchangeMic, providerSymbol };
@@ -0,0 +1,107 @@
+// lib/finance.js
+// Listings (symbol, exchange, MIC, currency) ordered by exchange preference, and
+// stock quote + market cap per listing, as numbers with currency, from the
+// quote provider chain (lib/quotes.js).
+
+const { EXCHANGES, exchangeMic, providerSymbol } = require("./exchanges");
+const { quoteFromChain, quoteProviders } = require("./quotes");
+
+// Quote fields of fetchFinancials(), all null (companies with history but no listing).
+const EMPTY_QUOTE = { ticker: null, exchange: null, currency: null, stock_price: null, market_cap: null, market_cap_formatted: null, as_of: null, source: null, sources: {} };
+
+// MICs or exchange names, most preferred first; override per request.
+const EXCHANGE_PREFERENCE = ["XNAS","XNYS","ARCX","XASE","XLON","XTKS","XHKG"];
+// Which listings get a live quote (?quotes=): the primary one, every one, or none.
+const QUOTE_MODES = ["primary", "all", "none"];
+
+// tickers: [{ symbol, exchange }] -> [{ symbol, exchange, mic, currency, primary }],
+// one per symbol and exchange, ordered by `preference` (MICs or exchange names);
+// unlisted exchanges keep their order after every preferred one. The first is
+// the primary listing.
+function buildListings(tickers, { preference = EXCHANGE_PREFERENCE } = {}) {
+  const prefs = (preference || []).map(p => ({ mic: exchangeMic(p), name: String(p).toUpperCase() }));
+  const rank = (t) => {
+    const i = prefs.findIndex(p => p.mic ? p.mic === t.mic : (t.exchange || "").toUpperCase().includes(p.name));
+    return i < 0 ? prefs.length : i;
+  };
+  const seen = new Set();
+  return (tickers || [])
+    .filter(t => t?.symbol)
+    .map(t => {
+      const mic = exchangeMic(t.exchange);
+      return { symbol: t.symbol, exchange: t.exchange || null, mic, currency: EXCHANGES[mic]?.currency || null };
+    })
+    .filter(t => {
+      const key = `${t.symbol.toUpperCase()}@${t.mic || (t.exchange || "").toUpperCase()}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    })
+    .map((t, i) => ({ t, i, r: rank(t) }))
+    .sort((a, b) => (a.r - b.r) || (a.i - b.i))
+    .map(({ t }, i) => ({ ...t, primary: i === 0 }));
+}
+
+function choosePrimaryTicker(tickers, options) {
+  return buildListings(tickers, options)[0]?.symbol || null;
+}
+
+// Infobox "Traded as" lines, e.g. "Nasdaq: GOOGL (Class A)" -> { exchange, symbol };
+// index memberships ("Nasdaq-100 component") have no colon and are skipped.
+function parseTradedAs(lines) {
+  return (lines || []).map(line => {
+    const m = String(line).match(/^\s*([^:]{2,30}?)\s*:\s*([A-Z0-9][A-Z0-9.\-]{0,11})\b/);
+    return m ? { symbol: m[2], exchange: m[1] } : null;
+  }).filter(Boolean);
+}
+
+function formatMarketCap(cap) {
+  return cap >= 1e12 ? `${(cap/1e12).toFixed(2)}T`
+       : cap >= 1e9  ? `${(cap/1e9).toFixed(2)}B`
+       : cap >= 1e6  ? `${(cap/1e6).toFixed(2)}M`
+       : cap.toString();
+}
+
+// One listing -> { stock_price, market_cap, currency, as_of, source, sources } or null;
+// `source` is the provider that supplied the price, `sources` names one per field.
+async function fetchListingQuote(listing, { providers = quoteProviders() } = {}) {
+  const quote = await quoteFromChain(providerSymbol(listing.symbol, listing.mic), providers, { currency: listing.currency });
+  if (!quote) return null;
+  return { ...quote, currency: quote.currency || listing.currency || null };
+}
+
+// Listing + its quote -> the `financials` quote fields:
+// { ticker, exchange, currency, stock_price, market_cap, market_cap_formatted, as_of, source, sources }
+function financialsFromQuote(listing, quote) {
+  return {
+    ticker: listing.symbol,
+    exchange: listing.exchange || null,
+    currency: quote.currency,
+    stock_price: quote.stock_price,
+    market_cap: quote.market_cap,
+    market_cap_formatted: quote.market_cap != null ? formatMarketCap(quote.market_cap) : null,
+    as_of: quote.as_of,
+    source: quote.source,
+    sources: quote.sources || {}
+  };
+}
+
+// tickers: [{ symbol, exchange }] -> financials for the primary listing, or null.
+async function fetchFinancials(tickers, options) {
+  const [primary] = buildListings(tickers, options);
+  const quote = primary ? await fetchListingQuote(primary, options) : null;
+  return quote ? financialsFromQuote(primary, quote) : null;
+}
+
+module.exports = {
+  EMPTY_QUOTE,
+  EXCHANGE_PREFERENCE,
+  QUOTE_MODES,
+  buildListings,
+  choosePrimaryTicker,
+  parseTradedAs,
+  formatMarketCap,
+  fetchListingQuote,
+  financialsFromQuote,
+  fetchFinancials
+};
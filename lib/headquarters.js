@@ -0,0 +1,234 @@
+// lib/headquarters.js
+// Structured headquarters, in the same shape whatever the source:
+//   { raw, place, street, postal_code, city, region, region_code, country,
+//     country_code, coordinates, coordinates_from, admin_areas, qid }
+// - Wikidata: the HQ item (P159) and its full P131 chain up to the country;
+//   ISO 3166-1 (P297) and 3166-2 (P300) codes, street address (P6375) and postal
+//   code (P281) from the P159 statement, the company or the HQ item, and
+//   coordinates (P625) from the statement, the HQ item or its city
+// - Infobox / website strings: parsed against lib/countries.js, so
+//   "Mountain View, California, U.S." yields the country and state codes
+// - geocodeCity() finds coordinates for a headquarters known only by its city
+
+const { unique } = require("./util");
+const { getWikidataEntities, searchWikidataEntities } = require("./wikidata");
+const { DEFAULT_LANGS, pickLanguage } = require("./languages");
+const { countryByName, countryByCode, subdivisionByName } = require("./countries");
+
+const MAX_ADMIN_DEPTH = 10;
+
+// P31 classes treated as a city (settlements and the common municipality types)
+const CITY_CLASSES = new Set([
+  "Q515",       // city
+  "Q486972",    // human settlement
+  "Q1549591",   // big city
+  "Q1637706",   // city with millions of inhabitants
+  "Q200250",    // metropolis
+  "Q5119",      // capital
+  "Q1093829",   // city in the United States
+  "Q3957",      // town
+  "Q532",       // village
+  "Q15284",     // municipality
+  "Q262166",    // municipality of Germany
+  "Q42744322",  // urban municipality of Germany
+  "Q22865",     // independent city of Germany
+  "Q484170",    // commune of France
+  "Q747074",    // comune of Italy
+  "Q2039348",   // municipality of the Netherlands
+  "Q1187811"    // college town
+]);
+
+const EMPTY_HEADQUARTERS = {
+  raw: null, place: null, street: null, postal_code: null, city: null, region: null, region_code: null,
+  country: null, country_code: null, coordinates: null, coordinates_from: null, admin_areas: [], qid: null
+};
+
+const RE_STREET = /^\d+[a-z]?\s|\b(street|st\.|avenue|ave\.?|road|rd\.|boulevard|blvd\.?|parkway|pkwy\.?|drive|dr\.|lane|way|plaza|square|straße|strasse|str\.|platz|weg|rue|avenida|calle|via|viale)(\s|$)/i;
+const RE_POSTAL_BEFORE = /^(\d{4,6}|[A-Z]{1,2}-?\d{4,5})\s+(.+)$/;           // "80333 München"
+const RE_POSTAL_AFTER = /^(.+?)\s+(\d{5}(?:-\d{4})?|\d{3}-\d{4}|[A-Z]\d[A-Z] ?\d[A-Z]\d)$/; // "CA 94043"
+
+// Fill the shape: raw defaults to the known parts joined, missing fields to null.
+function shapeHeadquarters(fields) {
+  const hq = { ...EMPTY_HEADQUARTERS, ...fields };
+  hq.raw = hq.raw || unique([hq.street, hq.place, hq.city, hq.region, hq.country]).join(", ") || null;
+  hq.coordinates_from = hq.coordinates ? hq.coordinates_from : null;
+  return hq;
+}
+
+/* ---------------------------------- Wikidata --------------------------------- */
+// Non-deprecated, unended statements; preferred rank first.
+function currentClaims(e, pid) {
+  const live = (e?.claims?.[pid] || []).filter(st => st.rank !== "deprecated" && !st.qualifiers?.P582);
+  return [...live.filter(st => st.rank === "preferred"), ...live.filter(st => st.rank !== "preferred")];
+}
+const claimId = (e, pid) => currentClaims(e, pid)[0]?.mainsnak?.datavalue?.value?.id || null;
+const claimValue = (e, pid) => currentClaims(e, pid)[0]?.mainsnak?.datavalue?.value ?? null;
+const coordsOf = (e) => {
+  const c = claimValue(e, "P625");
+  return typeof c?.latitude === "number" && typeof c?.longitude === "number" ? { lat: c.latitude, lon: c.longitude } : null;
+};
+const isCity = (e) => currentClaims(e, "P31").some(st => CITY_CLASSES.has(st.mainsnak?.datavalue?.value?.id));
+const isCountry = (e) => !!claimValue(e, "P297");
+
+// The HQ item's P131 ancestors, nearest first, ending at a country (P297) when reached.
+async function adminChain(start, entities, getEntities) {
+  const chain = [];
+  const seen = new Set([start.id]);
+  let e = start;
+  while (chain.length < MAX_ADMIN_DEPTH && !isCountry(e)) {
+    const id = claimId(e, "P131");
+    if (!id || seen.has(id)) break;
+    seen.add(id);
+    const next = entities[id] || (await getEntities([id]))?.[id];
+    if (!next || "missing" in next) break;
+    chain.push(next);
+    e = next;
+  }
+  return chain;
+}
+
+// entities: already loaded entities (HQ item, labels); langs: label chain (see
+// lib/languages.js); address: { street, postal_code, coordinates } stated on the
+// company's P159 statement or the company itself (extractFromWikidata).
+async function buildHeadquarters(entities, headquartersId, getEntities = getWikidataEntities, langs = DEFAULT_LANGS, address = {}) {
+  if (!headquartersId || !entities?.[headquartersId]) return null;
+  const hq = entities[headquartersId];
+  const labelOf = (e) => pickLanguage(e?.labels, langs)?.value || null;
+
+  const chain = await adminChain(hq, entities, getEntities);
+  const levels = [hq, ...chain];
+
+  // Country: the HQ's P17, else the chain's top when it is a country
+  const countryId = claimId(hq, "P17");
+  let countryEntity = levels.find(isCountry) || null;
+  if (countryId && countryEntity?.id !== countryId) {
+    countryEntity = entities[countryId] || (await getEntities([countryId]))?.[countryId] || countryEntity;
+  }
+  const countryCode = claimValue(countryEntity, "P297");
+
+  // Between the HQ and the country: the city, and the first-level subdivision as
+  // region (the topmost one with an ISO 3166-2 code, else the topmost level)
+  const below = levels.filter(e => e !== countryEntity && !isCountry(e));
+  const cityEntity = below.find(isCity) || (below.length > 1 && !claimValue(hq, "P300") ? hq : null);
+  const regionEntity = [...below].reverse().find(e => claimValue(e, "P300"))
+                    || (below.length > 1 && below[below.length - 1] !== cityEntity ? below[below.length - 1] : null);
+
+  const coordinates = address.coordinates || coordsOf(hq) || coordsOf(cityEntity);
+  const street = claimValue(hq, "P6375");
+
+  return shapeHeadquarters({
+    place: labelOf(hq),
+    street: address.street || (typeof street === "string" ? street : street?.text) || null,
+    postal_code: address.postal_code || claimValue(hq, "P281") || null,
+    city: labelOf(cityEntity),
+    region: labelOf(regionEntity),
+    region_code: claimValue(regionEntity, "P300") || null,
+    country: labelOf(countryEntity),
+    country_code: countryCode ? String(countryCode).toUpperCase() : null,
+    coordinates,
+    coordinates_from: address.coordinates ? "statement" : coordsOf(hq) ? "headquarters" : "city",
+    admin_areas: chain.map(e => ({ qid: e.id, name: labelOf(e), iso: claimValue(e, "P300") || claimValue(e, "P297") || null })),
+    qid: headquartersId
+  });
+}
+
+/* ---------------------------------- Strings ---------------------------------- */
+// Takes the country, then the subdivision (and a postal code after it) off the
+// end of parts; a known subdivision without a country implies it (US, Canada, Australia).
+function splitCountryRegion(parts) {
+  let country = null, region = null, postal = null;
+  const last = parts[parts.length - 1];
+  country = countryByName(last);
+  if (country) {
+    region = subdivisionByName(country.code, last); // "England" is both
+    parts.pop();
+  }
+  const tail = parts[parts.length - 1];
+  if (!region && parts.length > 1) {
+    for (const cc of country ? [country.code] : ["US", "CA", "AU"]) {
+      const m = tail.match(RE_POSTAL_AFTER);
+      region = subdivisionByName(cc, m ? m[1] : tail);
+      if (region) {
+        parts.pop();
+        if (m) postal = m[2];
+        country = country || countryByCode(cc);
+        break;
+      }
+    }
+  }
+  return { country, region, postal };
+}
+
+// Infobox fallback: "1600 Amphitheatre Parkway, Mountain View, California, U.S."
+function headquartersFromString(raw) {
+  if (!raw) return null;
+  const parts = String(raw).replace(/\[[^\]]*\]/g, "").replace(/\([^)]*\)/g, "")
+    .split(/\s*[,;\n]\s*/).map(s => s.trim()).filter(Boolean);
+  if (!parts.length) return null;
+
+  const { country, region, postal: regionPostal } = splitCountryRegion(parts);
+  let postal = regionPostal;
+  const street = parts.length > 1 && RE_STREET.test(parts[0]) ? parts.shift() : null;
+  // "80333 München" / "Mountain View 94043" -> postal code + city
+  let city = parts.length ? parts[parts.length - 1] : null;
+  const before = city?.match(RE_POSTAL_BEFORE);
+  const after = city?.match(RE_POSTAL_AFTER);
+  if (before) { postal = postal || before[1]; city = before[2]; }
+  else if (after) { postal = postal || after[2]; city = after[1]; }
+
+  return shapeHeadquarters({
+    raw: String(raw).trim(),
+    place: parts.length > 1 ? parts[0] : city,
+    street,
+    postal_code: postal,
+    city,
+    region: region?.name || null,
+    region_code: region?.code || null,
+    country: country?.name || null,
+    country_code: country?.code || null
+  });
+}
+
+// Website postal address { street, locality, region, postal_code, country, raw }
+// (lib/website.js); countries may be names or ISO codes ("US").
+function headquartersFromAddress(address) {
+  if (!address) return null;
+  if (!address.locality && !address.country && !address.street) return headquartersFromString(address.raw);
+  const country = countryByName(address.country) || countryByCode(address.country);
+  const region = country && subdivisionByName(country.code, address.region);
+  return shapeHeadquarters({
+    raw: address.raw || null,
+    place: address.locality || null,
+    street: address.street || null,
+    postal_code: address.postal_code || null,
+    city: address.locality || null,
+    region: region?.name || address.region || null,
+    region_code: region?.code || null,
+    country: country?.name || address.country || null,
+    country_code: country?.code || null
+  });
+}
+
+/* --------------------------------- Geocoding --------------------------------- */
+// Coordinates for a headquarters without any: the Wikidata item labelled like its
+// city (in its country, when the country is known). -> { coordinates, qid } or null.
+async function geocodeCity(city, countryCode, { getEntities = getWikidataEntities, search = searchWikidataEntities } = {}) {
+  if (!city) return null;
+  const hits = (await search(city, 5).catch(() => [])).filter(h => h.label?.toLowerCase() === city.toLowerCase());
+  if (!hits.length) return null;
+  const found = await getEntities(hits.map(h => h.id)) || {};
+  const places = hits.map(h => found[h.id]).filter(e => e && coordsOf(e));
+  const countryIds = unique(places.map(e => claimId(e, "P17")));
+  const countries = countryCode && countryIds.length ? await getEntities(countryIds) || {} : {};
+  const inCountry = (e) => !countryCode || String(claimValue(countries[claimId(e, "P17")], "P297") || "").toUpperCase() === countryCode;
+  const best = places.find(e => isCity(e) && inCountry(e)) || places.find(inCountry);
+  return best ? { coordinates: coordsOf(best), qid: best.id } : null;
+}
+
+module.exports = {
+  EMPTY_HEADQUARTERS,
+  buildHeadquarters,
+  headquartersFromString,
+  headquartersFromAddress,
+  geocodeCity
+};
@@ -0,0 +1,137 @@
+// lib/hierarchy.js
+// Corporate hierarchy around one Wikidata entity:
+// - up: parent organization (P749) and owned by (P127)
+// - down: subsidiary (P355)
+// - the ultimate parent, following the first parent (else a non-human owner)
+// Each level is one batched entity fetch; every QID is expanded once (later
+// occurrences are marked `seen`), fan-out per node and the total node count are capped.
+
+const { unique, clamp } = require("./util");
+const { getWikidataEntities, extractFromWikidata, resolveLabels } = require("./wikidata");
+
+const DEFAULT_DEPTH = 2;
+const MAX_DEPTH = 5;
+const DEFAULT_MAX_CHILDREN = 25;
+const MAX_CHILDREN = 100;
+const MAX_NODES = 500;      // whole tree, both directions
+const MAX_OWNER_HOPS = 10;  // ultimate parent walk; independent of `depth`
+const Q_HUMAN = "Q5";
+
+// -> { company, ultimate_parent, parents, subsidiaries, depth, max_children, truncated }
+// Nodes are { qid, name, website, country, relation?, seen?, parents?/subsidiaries?,
+// parents_truncated?/subsidiaries_truncated? }; `*_truncated` counts links cut by maxChildren.
+async function buildHierarchy(qid, { depth, maxChildren, getEntities = getWikidataEntities } = {}) {
+  depth = clamp(depth, 1, MAX_DEPTH, DEFAULT_DEPTH);
+  maxChildren = clamp(maxChildren, 1, MAX_CHILDREN, DEFAULT_MAX_CHILDREN);
+
+  const facts = new Map();     // qid -> extractFromWikidata() result
+  const countries = new Map(); // country qid -> label
+  let nodeCount = 1;
+  let truncated = false;
+
+  // Fetch entities (and their country labels) not fetched yet.
+  const load = async (ids) => {
+    const missing = unique(ids.filter(id => !facts.has(id)));
+    if (!missing.length) return;
+    const entities = await getEntities(missing) || {};
+    for (const id of missing) {
+      const e = entities[id];
+      facts.set(id, e && !("missing" in e) ? extractFromWikidata(e) : {});
+    }
+    const countryIds = unique(missing.map(id => facts.get(id).countryId).filter(id => id && !countries.has(id)));
+    if (countryIds.length) {
+      const labels = await getEntities(countryIds) || {};
+      for (const id of countryIds) countries.set(id, resolveLabels(labels, [id])[0] || null);
+    }
+  };
+
+  const describe = (id, relation) => {
+    const f = facts.get(id) || {};
+    return {
+      qid: id,
+      name: f.name || null,
+      website: f.website || null,
+      country: f.countryId ? countries.get(f.countryId) || null : null,
+      ...(relation ? { relation } : {})
+    };
+  };
+
+  const links = (id, direction) => {
+    const f = facts.get(id) || {};
+    const pairs = direction === "parents"
+      ? [...(f.parentIds || []).map(q => [q, "parent_organization"]), ...(f.ownerIds || []).map(q => [q, "owned_by"])]
+      : (f.subsidiaryIds || []).map(q => [q, "subsidiary"]);
+    const byId = new Map();
+    for (const [q, relation] of pairs) if (q !== id && !byId.has(q)) byId.set(q, relation);
+    return [...byId];
+  };
+
+  const seen = new Set([qid]);
+  // Breadth-first, one batched fetch per level.
+  const expand = async (frontier, direction, levelsLeft) => {
+    if (!levelsLeft || !frontier.length) return;
+    const edges = [];
+    for (const node of frontier) {
+      let next = links(node.qid, direction);
+      if (next.length > maxChildren) {
+        node[`${direction}_truncated`] = next.length - maxChildren;
+        next = next.slice(0, maxChildren);
+      }
+      if (nodeCount + next.length > MAX_NODES) {
+        truncated = true;
+        next = next.slice(0, Math.max(0, MAX_NODES - nodeCount));
+      }
+      nodeCount += next.length;
+      node[direction] = [];
+      for (const [id, relation] of next) edges.push([node, id, relation]);
+    }
+
+    await load(edges.map(([, id]) => id));
+    const nextFrontier = [];
+    for (const [parent, id, relation] of edges) {
+      const child = describe(id, relation);
+      if (seen.has(id)) child.seen = true;
+      else { seen.add(id); nextFrontier.push(child); }
+      parent[direction].push(child);
+    }
+    await expand(nextFrontier, direction, levelsLeft - 1);
+  };
+
+  await load([qid]);
+  const company = describe(qid);
+  const up = { qid, parents: [] };
+  const down = { qid, subsidiaries: [] };
+  await expand([up], "parents", depth);
+  await expand([down], "subsidiaries", depth);
+
+  // Ultimate parent: climb parents (else organizations that own it) until the top,
+  // a cycle, or MAX_OWNER_HOPS. The company is its own ultimate parent if it has none.
+  const path = [];
+  let top = qid;
+  for (let hop = 0; hop < MAX_OWNER_HOPS; hop++) {
+    const f = facts.get(top) || {};
+    let next = (f.parentIds || [])[0];
+    if (!next) {
+      await load(f.ownerIds || []);
+      next = (f.ownerIds || []).find(id => !(facts.get(id)?.typeIds || []).includes(Q_HUMAN));
+    }
+    if (!next || next === qid || path.includes(next)) break;
+    await load([next]);
+    path.push(next);
+    top = next;
+  }
+
+  return {
+    company,
+    ultimate_parent: { ...describe(top), path },
+    parents: up.parents,
+    subsidiaries: down.subsidiaries,
+    ...(up.parents_truncated ? { parents_truncated: up.parents_truncated } : {}),
+    ...(down.subsidiaries_truncated ? { subsidiaries_truncated: down.subsidiaries_truncated } : {}),
+    depth,
+    max_children: maxChildren,
+    truncated
+  };
+}
+
+module.exports = { buildHierarchy, DEFAULT_DEPTH, MAX_DEPTH, DEFAULT_MAX_CHILDREN, MAX_CHILDREN };
@@ -0,0 +1,110 @@
+// lib/html.js
+// Tiny server-side HTML reader, enough for well-formed generated markup
+// (MediaWiki parser output, <head> meta tags). Not a browser: no CSS, no
+// scripts, and stray end tags are simply ignored.
+//
+//   const root = parseHtml(html);
+//   const table = find(root, el => el.tag === "table" && hasClass(el, "infobox"));
+//   textOf(find(table, el => el.tag === "th"));
+
+const VOID_TAGS = new Set(["area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta", "param", "source", "track", "wbr"]);
+const RAW_TEXT_TAGS = new Set(["script", "style", "textarea", "title"]);
+
+const NAMED_ENTITIES = {
+  amp: "&", lt: "<", gt: ">", quot: '"', apos: "'", nbsp: " ",
+  ndash: "–", mdash: "—", lsquo: "‘", rsquo: "’", ldquo: "“", rdquo: "”",
+  hellip: "…", middot: "·", bull: "•", times: "×", minus: "−", euro: "€", pound: "£", yen: "¥", copy: "©", reg: "®"
+};
+
+function decodeEntities(s) {
+  return String(s || "").replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ent) => {
+    if (ent[0] === "#") {
+      const code = ent[1] === "x" || ent[1] === "X" ? parseInt(ent.slice(2), 16) : parseInt(ent.slice(1), 10);
+      try { return String.fromCodePoint(code); } catch { return m; }
+    }
+    return NAMED_ENTITIES[ent.toLowerCase()] ?? m;
+  });
+}
+
+function parseAttrs(s) {
+  const attrs = {};
+  for (const m of String(s || "").matchAll(/([^\s"'=<>\/]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+)))?/g)) {
+    attrs[m[1].toLowerCase()] = decodeEntities(m[2] ?? m[3] ?? m[4] ?? "");
+  }
+  return attrs;
+}
+
+// -> { tag: "#root", children: [...] }; elements are { tag, attrs, children, parent },
+// text nodes are plain strings.
+function parseHtml(html) {
+  const root = { tag: "#root", attrs: {}, children: [], parent: null };
+  const src = String(html || "");
+  const lower = src.toLowerCase();
+  const re = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<![^>]*>|<\/([a-zA-Z][\w:-]*)\s*>|<([a-zA-Z][\w:-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  let node = root;
+  let last = 0;
+  let m;
+
+  while ((m = re.exec(src))) {
+    if (m.index > last) node.children.push(decodeEntities(src.slice(last, m.index)));
+    last = re.lastIndex;
+
+    if (m[1]) {
+      // End tag: close the nearest matching open element, ignore strays.
+      const tag = m[1].toLowerCase();
+      let open = node;
+      while (open !== root && open.tag !== tag) open = open.parent;
+      if (open !== root) node = open.parent;
+    } else if (m[2]) {
+      const tag = m[2].toLowerCase();
+      const el = { tag, attrs: parseAttrs(m[3]), children: [], parent: node };
+      node.children.push(el);
+      if (RAW_TEXT_TAGS.has(tag)) {
+        const end = lower.indexOf(`</${tag}`, last);
+        const stop = end < 0 ? src.length : end;
+        const raw = src.slice(last, stop);
+        if (raw) el.children.push(tag === "script" || tag === "style" ? raw : decodeEntities(raw));
+        re.lastIndex = last = end < 0 ? src.length : src.indexOf(">", end) + 1 || src.length;
+      } else if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(m[3])) {
+        node = el;
+      }
+    }
+  }
+  if (last < src.length) node.children.push(decodeEntities(src.slice(last)));
+  return root;
+}
+
+/* ---------------------------------- Queries ---------------------------------- */
+const isElement = (n) => n && typeof n === "object";
+const hasClass = (el, cls) => isElement(el) && String(el.attrs?.class || "").split(/\s+/).includes(cls);
+
+// First descendant (depth-first, document order) matching pred, or null.
+function find(node, pred) {
+  for (const child of node?.children || []) {
+    if (!isElement(child)) continue;
+    if (pred(child)) return child;
+    const hit = find(child, pred);
+    if (hit) return hit;
+  }
+  return null;
+}
+
+function findAll(node, pred, out = []) {
+  for (const child of node?.children || []) {
+    if (!isElement(child)) continue;
+    if (pred(child)) out.push(child);
+    findAll(child, pred, out);
+  }
+  return out;
+}
+
+// Visible-ish text: skips <script>/<style>, and <br> becomes "\n".
+function textOf(node) {
+  if (node == null) return "";
+  if (!isElement(node)) return node;
+  if (node.tag === "script" || node.tag === "style") return "";
+  if (node.tag === "br") return "\n";
+  return node.children.map(textOf).join("");
+}
+
+module.exports = { parseHtml, decodeEntities, find, findAll, hasClass, textOf };
@@ -0,0 +1,69 @@
+// lib/index.js
+// Public entry point for routes and for Node services that want to call the
+// enricher directly: require("vercel-puppeteer-scraper") or require("./lib").
+
+const { enrichCompany, identifyCompany } = require("./enrich");
+const { buildHierarchy } = require("./hierarchy");
+const { collectDomains } = require("./domains");
+const { EnrichError } = require("./errors");
+const { launchBrowser } = require("./browser");
+const { createEntityLoader, getWikidataEntities, findWikidataByWebsite } = require("./wikidata");
+const { normalizeDomainInput, registrableDomain } = require("./domain");
+const { findCandidates } = require("./candidates");
+const { classifyIndustries } = require("./industries");
+const {
+  configureWatch, createMemoryWatchStore, createFileWatchStore, createRedisWatchStore,
+  addWatch, removeWatch, listWatches, runWatch, changeHistory, changesSince
+} = require("./watch");
+const { configureJobs, startJob, getJob, signWebhook, verifyWebhook } = require("./jobs");
+const {
+  configureCache, createCacheContext, setCacheHeaders,
+  createMemoryCache, createFileCache, createRedisCache, createRedisRestClient
+} = require("./cache");
+const {
+  configureQuotes, createFinnhubProvider, createYahooProvider,
+  createAlphaVantageProvider, createMockProvider
+} = require("./quotes");
+
+module.exports = {
+  enrichCompany,
+  identifyCompany,
+  buildHierarchy,
+  collectDomains,
+  findCandidates,
+  classifyIndustries,
+  EnrichError,
+  launchBrowser,
+  createEntityLoader,
+  getWikidataEntities,
+  findWikidataByWebsite,
+  normalizeDomainInput,
+  registrableDomain,
+  configureCache,
+  createCacheContext,
+  setCacheHeaders,
+  createMemoryCache,
+  createFileCache,
+  createRedisCache,
+  createRedisRestClient,
+  configureQuotes,
+  createFinnhubProvider,
+  createYahooProvider,
+  createAlphaVantageProvider,
+  createMockProvider,
+  configureWatch,
+  createMemoryWatchStore,
+  createFileWatchStore,
+  createRedisWatchStore,
+  addWatch,
+  removeWatch,
+  listWatches,
+  runWatch,
+  changeHistory,
+  changesSince,
+  configureJobs,
+  startJob,
+  getJob,
+  signWebhook,
+  verifyWebhook
+};
@@ -0,0 +1,137 @@
+// lib/industries.js
+// Free-text industries (infobox rows, Wikidata P452 labels, website keywords)
+// -> standard codes CRMs can filter on:
+// - naics: NAICS 2017 (sector, subsector or industry, e.g. "5112")
+// - sic:   US SIC (major group or industry, e.g. "7372")
+// - isic:  ISIC Rev. 4 (section letter, division or class, e.g. "5820")
+// - sector: one of the eleven GICS-style sectors ("Information Technology", ...)
+// Codes come from the industry items' Wikidata external IDs where present, and
+// from the bundled INDUSTRY_CODES table otherwise. Labels that map to the same
+// entry ("Internet", "internet industry") collapse into one classification.
+
+const { unique } = require("./util");
+
+const SECTORS = [
+  "Energy", "Materials", "Industrials", "Consumer Discretionary", "Consumer Staples", "Health Care",
+  "Financials", "Information Technology", "Communication Services", "Utilities", "Real Estate"
+];
+
+// External-ID properties on industry items. NACE Rev. 2 matches ISIC Rev. 4 at
+// division level, so a NACE code yields the ISIC division ("62.01" -> "62").
+const WIKIDATA_CODE_PROPERTIES = { sic: "P3242", nace: "P4496" };
+
+// First matching entry wins, so specific industries come before broad ones.
+const INDUSTRY_CODES = [
+  { name: "Video games", match: /video ?games?|gaming/, naics: "511210", sic: "7372", isic: "5820", sector: "Communication Services" },
+  { name: "Social media", match: /social (media|network)/, naics: "519130", sic: "7370", isic: "6312", sector: "Communication Services" },
+  { name: "Internet", match: /internet|online services?|web (search|portal)|search engine/, naics: "519130", sic: "7370", isic: "6312", sector: "Communication Services" },
+  { name: "E-commerce", match: /e-?commerce|online (retail|shopping|marketplace)/, naics: "454110", sic: "5961", isic: "4791", sector: "Consumer Discretionary" },
+  { name: "Cloud computing", match: /cloud|hosting|data cent(er|re)/, naics: "518210", sic: "7374", isic: "6311", sector: "Information Technology" },
+  { name: "Cybersecurity", match: /cyber ?security|computer security|information security/, naics: "541512", sic: "7373", isic: "6202", sector: "Information Technology" },
+  { name: "Artificial intelligence", match: /artificial intelligence|machine learning|\bai\b/, naics: "5415", sic: "7371", isic: "62", sector: "Information Technology" },
+  { name: "Software", match: /software|\bsaas\b/, naics: "511210", sic: "7372", isic: "5820", sector: "Information Technology" },
+  { name: "Semiconductors", match: /semiconductor|microchip|integrated circuit/, naics: "334413", sic: "3674", isic: "2610", sector: "Information Technology" },
+  { name: "Computer hardware", match: /computer hardware|personal computer|computers?$/, naics: "334111", sic: "3571", isic: "2620", sector: "Information Technology" },
+  { name: "Consumer electronics", match: /consumer electronics|home appliances?/, naics: "334310", sic: "3651", isic: "2640", sector: "Consumer Discretionary" },
+  { name: "Electronics", match: /electronics?\b|electrical equipment/, naics: "334", sic: "36", isic: "26", sector: "Information Technology" },
+  { name: "Information technology", match: /information technology|\bit services|computer services|^(high[- ])?tech(nology)?( industry| sector| company)?$/, naics: "5415", sic: "7373", isic: "62", sector: "Information Technology" },
+  { name: "Telecommunications", match: /tele ?communications?|telecom|mobile (network|operator)|wireless/, naics: "517", sic: "4813", isic: "61", sector: "Communication Services" },
+  { name: "Advertising", match: /advertising|marketing/, naics: "5418", sic: "7311", isic: "7310", sector: "Communication Services" },
+  { name: "Broadcasting", match: /broadcast|television|radio|streaming/, naics: "515", sic: "4833", isic: "60", sector: "Communication Services" },
+  { name: "Entertainment", match: /entertainment|film|motion pictures?|music/, naics: "5121", sic: "7812", isic: "5911", sector: "Communication Services" },
+  { name: "Publishing", match: /publishing|newspapers?|magazines?/, naics: "5111", sic: "2731", isic: "581", sector: "Communication Services" },
+  { name: "Mass media", match: /mass media|\bmedia\b/, naics: "51", sic: "48", isic: "J", sector: "Communication Services" },
+  { name: "Financial technology", match: /financial technology|fintech|payments?\b|payment processing/, naics: "522320", sic: "6099", isic: "6619", sector: "Financials" },
+  { name: "Insurance", match: /insurance|reinsurance/, naics: "524", sic: "63", isic: "65", sector: "Financials" },
+  { name: "Asset management", match: /asset management|investment management|private equity|venture capital|hedge fund/, naics: "5239", sic: "6282", isic: "6630", sector: "Financials" },
+  { name: "Banking", match: /bank/, naics: "5221", sic: "6021", isic: "6419", sector: "Financials" },
+  { name: "Financial services", match: /financial services|finance\b|financial/, naics: "52", sic: "60", isic: "64", sector: "Financials" },
+  { name: "Real estate", match: /real estate|^propert(y|ies)|property (development|management)/, naics: "531", sic: "65", isic: "68", sector: "Real Estate" },
+  { name: "Biotechnology", match: /biotech|life sciences/, naics: "541714", sic: "2836", isic: "7210", sector: "Health Care" },
+  { name: "Pharmaceuticals", match: /pharma|drugs?\b/, naics: "3254", sic: "2834", isic: "2100", sector: "Health Care" },
+  { name: "Medical devices", match: /medical (devices?|equipment|technology)|medtech/, naics: "339112", sic: "3841", isic: "3250", sector: "Health Care" },
+  { name: "Health care", match: /health ?care|hospitals?|medical/, naics: "62", sic: "80", isic: "86", sector: "Health Care" },
+  { name: "Automotive", match: /automotive|automobiles?|\bcars?\b|vehicles?/, naics: "3361", sic: "3711", isic: "2910", sector: "Consumer Discretionary" },
+  { name: "Aerospace and defense", match: /aerospace|aircraft|defen[cs]e|arms industry/, naics: "3364", sic: "3721", isic: "3030", sector: "Industrials" },
+  { name: "Airlines", match: /airlines?|aviation|air transport/, naics: "4811", sic: "4512", isic: "5110", sector: "Industrials" },
+  { name: "Rail transport", match: /\brail/, naics: "482", sic: "40", isic: "491", sector: "Industrials" },
+  { name: "Logistics", match: /logistics|freight|shipping|courier|delivery|transport/, naics: "4885", sic: "4731", isic: "5229", sector: "Industrials" },
+  { name: "Construction", match: /construction|building materials/, naics: "23", sic: "15", isic: "F", sector: "Industrials" },
+  { name: "Engineering", match: /engineering/, naics: "541330", sic: "8711", isic: "7110", sector: "Industrials" },
+  { name: "Industrial machinery", match: /machinery|industrial equipment|robotics/, naics: "333", sic: "35", isic: "28", sector: "Industrials" },
+  { name: "Conglomerate", match: /conglomerate|holding company/, naics: "551112", sic: "6719", isic: "6420", sector: "Industrials" },
+  { name: "Consulting", match: /consulting|professional services/, naics: "5416", sic: "8742", isic: "7020", sector: "Industrials" },
+  { name: "Renewable energy", match: /renewable|solar|wind power/, naics: "22111", sic: "4911", isic: "3510", sector: "Utilities" },
+  { name: "Electric utilities", match: /electric (utility|power)|electricity|utilit/, naics: "2211", sic: "4911", isic: "3510", sector: "Utilities" },
+  { name: "Oil and gas", match: /\boil\b|natural gas|petroleum/, naics: "211", sic: "1311", isic: "06", sector: "Energy" },
+  { name: "Mining", match: /mining|metals and mining|coal/, naics: "212", sic: "10", isic: "B", sector: "Materials" },
+  { name: "Steel", match: /steel|metallurgy/, naics: "3311", sic: "3312", isic: "2410", sector: "Materials" },
+  { name: "Chemicals", match: /chemicals?/, naics: "325", sic: "28", isic: "20", sector: "Materials" },
+  { name: "Beverages", match: /beverages?|drinks?\b|brewing|brewery|wine|spirits/, naics: "3121", sic: "2080", isic: "11", sector: "Consumer Staples" },
+  { name: "Tobacco", match: /tobacco|cigarettes?/, naics: "3122", sic: "21", isic: "12", sector: "Consumer Staples" },
+  { name: "Food", match: /food|dairy|confectionery/, naics: "311", sic: "20", isic: "10", sector: "Consumer Staples" },
+  { name: "Personal care", match: /cosmetics|personal care|consumer goods|household products/, naics: "325620", sic: "2844", isic: "2023", sector: "Consumer Staples" },
+  { name: "Agriculture", match: /agricultur|farming|agribusiness/, naics: "11", sic: "01", isic: "01", sector: "Consumer Staples" },
+  { name: "Restaurants", match: /restaurants?|fast food|food service/, naics: "7225", sic: "5812", isic: "5610", sector: "Consumer Discretionary" },
+  { name: "Hospitality", match: /hospitality|hotels?|travel|tourism/, naics: "7211", sic: "7011", isic: "5510", sector: "Consumer Discretionary" },
+  { name: "Apparel", match: /apparel|clothing|fashion|footwear|textiles?/, naics: "315", sic: "23", isic: "14", sector: "Consumer Discretionary" },
+  { name: "Retail", match: /retail|supermarkets?|department stores?/, naics: "44-45", sic: "53", isic: "47", sector: "Consumer Discretionary" },
+  { name: "Education", match: /education|e-?learning|training/, naics: "61", sic: "82", isic: "85", sector: "Consumer Discretionary" }
+];
+
+const RE_SIC = /^\d{2,4}$/;
+const RE_NACE = /^[A-U]?(\d{2})(\.\d{1,2}){0,2}$/i;
+
+const normLabel = (s) => String(s || "").toLowerCase().replace(/[_]/g, " ").replace(/\s+/g, " ").trim();
+
+// "internet industry" -> the INDUSTRY_CODES entry, or null.
+function matchIndustry(label) {
+  const s = normLabel(label);
+  return s ? INDUSTRY_CODES.find(e => e.match.test(s)) || null : null;
+}
+
+// Industry item -> { sic, isic } from its Wikidata external IDs (each null if absent).
+function industryCodesFromEntity(entity) {
+  const value = (pid) => (entity?.claims?.[pid] || [])
+    .filter(st => st.rank !== "deprecated")
+    .map(st => st.mainsnak?.datavalue?.value)
+    .find(v => typeof v === "string") || null;
+  const sic = value(WIKIDATA_CODE_PROPERTIES.sic);
+  const nace = value(WIKIDATA_CODE_PROPERTIES.nace)?.replace(/\s/g, "").match(RE_NACE);
+  return { sic: sic && RE_SIC.test(sic) ? sic : null, isic: nace ? nace[1] : null };
+}
+
+// labels: free-text industries (infobox, website keywords); items: Wikidata
+// industries as [{ qid, label, codes: { sic, isic } }].
+// -> [{ name, sector, naics, sic, isic, labels, qids, source }] where source is
+// "wikidata" when any code came from the industry item, else "mapping".
+// Labels without a table entry or Wikidata code are left out.
+function classifyIndustries({ labels = [], items = [] } = {}) {
+  const byKey = new Map();
+  const add = (key, base, label, qid, codes) => {
+    let c = byKey.get(key);
+    if (!c) {
+      c = { name: base?.name || label, sector: base?.sector || null, naics: base?.naics || null, sic: base?.sic || null,
+            isic: base?.isic || null, labels: [], qids: [], source: "mapping" };
+      byKey.set(key, c);
+    }
+    // Codes stated on the Wikidata item beat the table
+    if (codes?.sic) { c.sic = codes.sic; c.source = "wikidata"; }
+    if (codes?.isic) { c.isic = codes.isic; c.source = "wikidata"; }
+    c.labels = unique([...c.labels, label]);
+    if (qid) c.qids = unique([...c.qids, qid]);
+  };
+
+  for (const { qid, label, codes } of items) {
+    if (!label) continue;
+    const base = matchIndustry(label);
+    if (base || codes?.sic || codes?.isic) add(base ? base.name : `wd:${qid}`, base, label, qid, codes);
+  }
+  for (const label of labels) {
+    const base = matchIndustry(label);
+    if (base) add(base.name, base, String(label).trim(), null, null);
+  }
+  return [...byKey.values()];
+}
+
+module.exports = { SECTORS, INDUSTRY_CODES, WIKIDATA_CODE_PROPERTIES, matchIndustry, industryCodesFromEntity, classifyIndustries };
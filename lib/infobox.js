@@ -0,0 +1,305 @@
+// lib/infobox.js
+// Read the Wikipedia infobox:
+// { name, website, company_size, industry, headquarters, type, specialties,
+//   founded, founders, key_people, revenue, operating_income, net_income,
+//   parent, subsidiaries, area_served, traded_as, defunct, fate, successor,
+//   former_names } (raw text / string arrays;
+// lib/enrich.js parses them)
+// - "http" engine: MediaWiki action=parse HTML, read server-side (lib/html.js)
+// - "browser" engine: Puppeteer, the original scraper
+// - "auto" (default): HTTP first, Chromium only if that fails
+// Non-English editions are read with their localized row labels (LOCALIZED_ROWS)
+// on top of the English ones, including infoboxes that label rows with <td>.
+
+const { USER_AGENT } = require("./util");
+const { parseWikipediaUrl } = require("./wikipedia");
+const { parseHtml, find, findAll, hasClass, textOf } = require("./html");
+
+const INFOBOX_ENGINES = ["auto", "http", "browser"];
+
+// Row labels per field, shared by both engines so they agree on what they read.
+const ROWS = {
+  website: ["Website"],
+  company_size: ["Number of employees", "Employees", "No. of employees"],
+  industry: ["Industry"],
+  headquarters: ["Headquarters", "Headquarters location"],
+  type: ["Type", "Company type"],
+  specialties: [["Products and services"], ["Products"], ["Services"]]
+};
+
+// Plain rows: field -> [kind, labels]. "text" is the cell text, "list" splits
+// on list items/commas/bullets, "lines" only on list items and line breaks
+// (for "Jane Roe, CFO" and "Nasdaq: GOOGL").
+const FIELDS = {
+  founded: ["text", ["Founded"]],
+  founders: ["list", ["Founders", "Founder"]],
+  key_people: ["lines", ["Key people"]],
+  revenue: ["text", ["Revenue"]],
+  operating_income: ["text", ["Operating income"]],
+  net_income: ["text", ["Net income"]],
+  parent: ["text", ["Parent"]],
+  subsidiaries: ["list", ["Subsidiaries"]],
+  area_served: ["list", ["Area served"]],
+  traded_as: ["lines", ["Traded as"]],
+  defunct: ["text", ["Defunct"]],
+  fate: ["text", ["Fate"]],
+  successor: ["lines", ["Successor", "Successors"]],
+  former_names: ["list", ["Formerly", "Former names"]]
+};
+
+// Row labels of other Wikipedia editions: field -> labels (specialties: alternatives
+// tried in order, like ROWS). Extend per language as needed.
+const LOCALIZED_ROWS = {
+  de: {
+    website: ["Website", "Webpräsenz"], company_size: ["Mitarbeiterzahl", "Mitarbeiter"], industry: ["Branche"],
+    headquarters: ["Sitz", "Hauptsitz"], type: ["Rechtsform", "Unternehmensform"], specialties: [["Produkte"]],
+    founded: ["Gründung"], founders: ["Gründer"], key_people: ["Leitung", "Schlüsselpersonen"], revenue: ["Umsatz"],
+    operating_income: ["Betriebsergebnis", "EBIT"], net_income: ["Jahresüberschuss", "Gewinn"],
+    parent: ["Muttergesellschaft", "Mutterunternehmen"], subsidiaries: ["Tochtergesellschaften", "Tochterunternehmen"],
+    area_served: ["Tätigkeitsgebiet"], traded_as: ["Börsennotierung"], defunct: ["Auflösung"],
+    successor: ["Nachfolger"], former_names: ["Ehemalige Namen"]
+  },
+  fr: {
+    website: ["Site web"], company_size: ["Effectif"], industry: ["Activité", "Secteur"], headquarters: ["Siège"],
+    type: ["Forme juridique"], specialties: [["Produits"], ["Services"]], founded: ["Création"],
+    founders: ["Fondateurs", "Fondateur"], key_people: ["Personnages clés", "Direction"], revenue: ["Chiffre d'affaires"],
+    operating_income: ["Résultat d'exploitation", "Résultat opérationnel"], net_income: ["Résultat net"],
+    parent: ["Société mère"], subsidiaries: ["Filiales"], area_served: ["Implantation"], traded_as: ["Cotation"],
+    defunct: ["Disparition"], successor: ["Successeur"], former_names: ["Ancien nom", "Anciens noms"]
+  },
+  es: {
+    website: ["Sitio web"], company_size: ["Empleados"], industry: ["Industria", "Sector"], headquarters: ["Sede"],
+    type: ["Tipo", "Forma jurídica"], specialties: [["Productos"], ["Servicios"]], founded: ["Fundación"],
+    founders: ["Fundadores", "Fundador"], key_people: ["Personas clave"], revenue: ["Ingresos"],
+    operating_income: ["Resultado de explotación"], net_income: ["Beneficio neto", "Resultado neto"],
+    parent: ["Empresa matriz", "Matriz"], subsidiaries: ["Filiales", "Subsidiarias"], area_served: ["Área operativa"],
+    traded_as: ["Cotización"], defunct: ["Desaparición", "Disolución"], successor: ["Sucesor"],
+    former_names: ["Nombres anteriores"]
+  },
+  it: {
+    website: ["Sito web"], company_size: ["Dipendenti"], industry: ["Settore"], headquarters: ["Sede"],
+    type: ["Forma societaria", "Tipo"], specialties: [["Prodotti"], ["Servizi"]], founded: ["Fondazione"],
+    founders: ["Fondata da", "Fondatori"], key_people: ["Persone chiave"], revenue: ["Fatturato"],
+    operating_income: ["Utile operativo", "Risultato operativo"], net_income: ["Utile netto"],
+    parent: ["Controllante", "Capogruppo"], subsidiaries: ["Controllate"], area_served: ["Area servita"],
+    traded_as: ["Borse"], defunct: ["Chiusura"], successor: ["Successore"]
+  },
+  nl: {
+    website: ["Website"], company_size: ["Werknemers", "Medewerkers"], industry: ["Sector", "Branche"],
+    headquarters: ["Hoofdkantoor", "Zetel"], type: ["Rechtsvorm"], specialties: [["Producten"], ["Diensten"]],
+    founded: ["Opgericht"], founders: ["Oprichters", "Oprichter"], key_people: ["Sleutelfiguren", "Bestuur"],
+    revenue: ["Omzet"], operating_income: ["Bedrijfsresultaat"], net_income: ["Nettowinst", "Winst"],
+    parent: ["Moederbedrijf"], subsidiaries: ["Dochterondernemingen"], area_served: ["Werkgebied"],
+    traded_as: ["Beursnotering"], defunct: ["Opgeheven"], successor: ["Opvolger"]
+  },
+  ja: {
+    website: ["外部リンク", "ウェブサイト"], company_size: ["従業員数"], industry: ["業種"], headquarters: ["本社所在地", "本店所在地"],
+    type: ["種類"], specialties: [["事業内容"]], founded: ["設立", "創業"], founders: ["創業者"], key_people: ["代表者"],
+    revenue: ["売上高"], operating_income: ["営業利益"], net_income: ["純利益"], parent: ["親会社"],
+    subsidiaries: ["主要子会社"], area_served: [], traded_as: ["市場情報"], defunct: ["解散"], successor: ["後身"],
+    former_names: ["旧社名"]
+  }
+};
+
+// ROWS and FIELDS for an edition: the localized labels first, then the English ones.
+function rowsFor(lang) {
+  const local = LOCALIZED_ROWS[lang];
+  if (!local) return { rows: ROWS, fields: FIELDS };
+  const rows = Object.fromEntries(Object.entries(ROWS).map(([field, labels]) => [field, [...(local[field] || []), ...labels]]));
+  const fields = Object.fromEntries(Object.entries(FIELDS).map(([field, [kind, labels]]) => [field, [kind, [...(local[field] || []), ...labels]]]));
+  return { rows, fields };
+}
+
+const EMPTY_INFOBOX = {
+  name: null, website: null, company_size: null, industry: null, headquarters: null, type: null, specialties: null,
+  ...Object.fromEntries(Object.keys(FIELDS).map(field => [field, null]))
+};
+
+/* -------------------------------- HTTP engine -------------------------------- */
+const norm = (s) => (s || "").replace(/\[\d+\]/g, "").replace(/\s+/g, " ").trim();
+const txt = (el) => (el ? norm(textOf(el)) || null : null);
+const tagIs = (tag) => (el) => el.tag === tag;
+
+// Mirrors the Puppeteer evaluate() below on a parsed tree. Unlike textContent,
+// textOf() skips TemplateStyles <style> blocks and splits lists on <br>.
+// lang: the edition, for its row labels; non-English infoboxes may be a <div>
+// (fr "infobox_v3") and may label rows with a first <td> instead of a <th> (de).
+function infoboxFromHtml(html, { title, baseUrl, lang = "en" }) {
+  const root = parseHtml(html);
+  const { rows: ROWS, fields: FIELDS } = rowsFor(lang);
+  const localized = lang !== "en";
+  const infobox = find(root, el => el.tag === "table" && hasClass(el, "infobox"))
+    || (localized ? find(root, el => /(^|\s)infobox/.test(el.attrs?.class || "")) : null);
+
+  // tr -> [label cell, value cell]
+  const cellsOf = (tr) => {
+    const th = find(tr, tagIs("th"));
+    if (th) return [th, find(tr, tagIs("td"))];
+    const tds = localized ? tr.children.filter(tagIs("td")) : [];
+    return tds.length >= 2 ? [tds[0], tds[1]] : [null, null];
+  };
+  const findRow = (labels) => {
+    if (!infobox) return null;
+    for (const tr of findAll(infobox, tagIs("tr"))) {
+      const [labelCell, valueCell] = cellsOf(tr);
+      const label = norm(textOf(labelCell)).toLowerCase();
+      if (label && labels.some(t => label === t.toLowerCase() || label.includes(t.toLowerCase()))) return valueCell || null;
+    }
+    return null;
+  };
+  const cellToArray = (td) => {
+    if (!td) return null;
+    const lis = findAll(td, tagIs("li")).map(txt).filter(Boolean);
+    if (lis.length) return Array.from(new Set(lis));
+    const parts = textOf(td).split(/\n|•|·|,|;/).map(norm).filter(Boolean);
+    return parts.length ? Array.from(new Set(parts)) : null;
+  };
+  const cellToLines = (td) => {
+    if (!td) return null;
+    const lis = findAll(td, tagIs("li")).map(txt).filter(Boolean);
+    const lines = lis.length ? lis : textOf(td).split("\n").map(norm).filter(Boolean);
+    return lines.length ? Array.from(new Set(lines)) : null;
+  };
+  const read = { text: txt, list: cellToArray, lines: cellToLines };
+  const absolute = (href) => { try { return href ? new URL(href, baseUrl).href : null; } catch { return null; } };
+
+  const scope = findRow(ROWS.website) || infobox;
+  const link = scope && (find(scope, el => el.tag === "a" && hasClass(el, "url"))
+    || find(scope, el => el.tag === "a" && hasClass(el, "external")));
+
+  return {
+    name: title,
+    website: absolute(link?.attrs.href),
+    company_size: txt(findRow(ROWS.company_size)),
+    industry: cellToArray(findRow(ROWS.industry)),
+    headquarters: txt(findRow(ROWS.headquarters)),
+    type: txt(findRow(ROWS.type)),
+    specialties: cellToArray(ROWS.specialties.map(findRow).find(Boolean)),
+    ...Object.fromEntries(Object.entries(FIELDS).map(([field, [kind, labels]]) => [field, read[kind](findRow(labels))]))
+  };
+}
+
+// null when the article can't be fetched or parsed (the caller may fall back to the browser).
+// Any language edition; its row labels are used (see LOCALIZED_ROWS).
+async function fetchWikipediaInfobox(wikiUrl, { signal } = {}) {
+  const page = parseWikipediaUrl(wikiUrl);
+  if (!page) return null;
+  try {
+    const url = `https://${page.lang}.wikipedia.org/w/api.php?action=parse&page=${encodeURIComponent(page.title)}&prop=text|displaytitle&redirects=1&disableeditsection=1&disabletoc=1&format=json&formatversion=2`;
+    const res = await fetch(url, { headers: { "User-Agent": USER_AGENT }, signal });
+    if (!res.ok) return null;
+    const json = await res.json();
+    if (typeof json?.parse?.text !== "string") return null;
+    // #firstHeading shows the display title, e.g. "eBay" rather than "EBay".
+    const title = txt(parseHtml(json.parse.displaytitle || "")) || json.parse.title || page.title;
+    return infoboxFromHtml(json.parse.text, { title, baseUrl: wikiUrl, lang: page.lang });
+  } catch {
+    return null;
+  }
+}
+
+/* ------------------------------- Browser engine ------------------------------ */
+async function scrapeWikipediaInfobox(browser, wikiUrl) {
+  const lang = parseWikipediaUrl(wikiUrl)?.lang || "en";
+  const { rows, fields } = rowsFor(lang);
+  const page = await browser.newPage();
+  // Closed however the read ends, so a shared browser doesn't collect pages
+  try {
+    await page.setUserAgent(
+      "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36"
+    );
+    await page.setExtraHTTPHeaders({ "Accept-Language": lang === "en" ? "en-US,en;q=0.9" : `${lang},en;q=0.8` });
+
+    await page.goto(wikiUrl, { waitUntil: "domcontentloaded", timeout: 20000 });
+    await page.waitForSelector("#firstHeading", { timeout: 15000 }).catch(() => {});
+    await page.waitForSelector(".infobox", { timeout: 8000 }).catch(() => {});
+
+    const data = await page.evaluate((ROWS, FIELDS, localized) => {
+      const $ = (sel, root = document) => root.querySelector(sel);
+      const $$ = (sel, root = document) => Array.from(root.querySelectorAll(sel));
+      const norm = (s) => (s || "").replace(/\[\d+\]/g, "").replace(/\s+/g, " ").trim();
+      const txt = (el) => (el ? norm(el.textContent || "") : null);
+      const infobox = $(".infobox") || $(".infobox.vcard") || (localized ? $("[class^='infobox'], [class*=' infobox']") : null);
+      const cellsOf = (tr) => {
+        const th = $("th", tr);
+        if (th) return [th, $("td", tr)];
+        const tds = localized ? Array.from(tr.children).filter(c => c.tagName === "TD") : [];
+        return tds.length >= 2 ? [tds[0], tds[1]] : [null, null];
+      };
+      const findRow = (labels) => {
+        if (!infobox) return null;
+        for (const tr of $$("tr", infobox)) {
+          const [labelCell, valueCell] = cellsOf(tr);
+          const label = norm(labelCell?.innerText || "").toLowerCase();
+          if (label && labels.some(t => label === t.toLowerCase() || label.includes(t.toLowerCase()))) return valueCell || null;
+        }
+        return null;
+      };
+      const cellToArray = (td) => {
+        if (!td) return null;
+        const lis = $$("li", td).map(li => txt(li)).filter(Boolean);
+        if (lis.length) return Array.from(new Set(lis));
+        const raw = txt(td);
+        if (!raw) return null;
+        const parts = raw.split(/\n|•|·|,|;/).map(s => norm(s)).filter(Boolean);
+        return Array.from(new Set(parts));
+      };
+      const cellToLines = (td) => {
+        if (!td) return null;
+        const lis = $$("li", td).map(li => txt(li)).filter(Boolean);
+        const lines = lis.length ? lis : (td.innerText || "").split("\n").map(s => norm(s)).filter(Boolean);
+        return lines.length ? Array.from(new Set(lines)) : null;
+      };
+      const read = { text: txt, list: cellToArray, lines: cellToLines };
+
+      const name = txt($("#firstHeading"));
+      const websiteTD = findRow(ROWS.website);
+      const website = $("a.url", websiteTD || infobox)?.href || $("a.external", websiteTD || infobox)?.href || null;
+      const company_size = txt(findRow(ROWS.company_size));
+      const industry = cellToArray(findRow(ROWS.industry));
+      const headquarters = txt(findRow(ROWS.headquarters));
+      const type = txt(findRow(ROWS.type));
+      const specialties = cellToArray(ROWS.specialties.map(findRow).find(Boolean));
+
+      const extra = {};
+      for (const [field, [kind, labels]] of Object.entries(FIELDS)) extra[field] = read[kind](findRow(labels));
+
+      return { name, website, company_size, industry, headquarters, type, specialties, ...extra };
+    }, rows, fields, lang !== "en");
+
+    return data;
+  } finally {
+    await page.close().catch(() => {});
+  }
+}
+
+/* --------------------------------- Dispatcher -------------------------------- */
+// engine: "auto" (default; Chromium only if the HTTP path fails), "http" (never
+// Chromium) or "browser".
+// Resolves to the infobox plus `engine`, the one that actually answered, or
+// null when no engine could read it (a failed fetch or launch is usually
+// transient, and null is never cached).
+// signal: once aborted (the caller's deadline) the read stops and rejects, so
+// a cut-short infobox is never cached.
+async function readInfobox(wikiUrl, { engine = "auto", getBrowser, signal } = {}) {
+  if (engine !== "browser") {
+    const data = await fetchWikipediaInfobox(wikiUrl, { signal });
+    if (data) return { ...data, engine: "http" };
+    signal?.throwIfAborted();
+    if (engine === "http" || !getBrowser) return null;
+  }
+  const browser = await getBrowser().catch(() => null);
+  signal?.throwIfAborted();
+  if (!browser) return null;
+  return { ...await scrapeWikipediaInfobox(browser, wikiUrl), engine: "browser" };
+}
+
+module.exports = {
+  INFOBOX_ENGINES,
+  EMPTY_INFOBOX,
+  LOCALIZED_ROWS,
+  infoboxFromHtml,
+  fetchWikipediaInfobox,
+  scrapeWikipediaInfobox,
+  readInfobox
+};
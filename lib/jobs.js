@@ -0,0 +1,270 @@
+// lib/jobs.js
+// Async enrichment jobs: startJob() answers with a job id right away while
+// enrichCompany() runs in the background; clients poll getJob(id) or get the
+// final job POSTed to their webhook.
+// - Job: { id, status: "queued" | "running" | "done" | "failed", input, created_at,
+//   started_at, finished_at, result, error, webhook }
+// - A job runs with a deadline (options.deadline, default JOB_DEADLINE_MS) so the
+//   sources that finished are saved as a partial result (result.partial) before
+//   the platform stops the function
+// - Webhooks are always signed (jobs with a webhook are refused while
+//   WEBHOOK_SECRET is unset): X-Webhook-Signature is "sha256=" + HMAC-SHA256 of
+//   "<X-Webhook-Timestamp>.<body>" with WEBHOOK_SECRET; verifyWebhook() checks it
+// - Webhook hosts must resolve to public addresses when the webhook is sent,
+//   and the request goes to the address that was checked; redirects are not followed
+// - Enrichment (JOB_DEADLINE_MS) plus webhook delivery fit in JOB_MAX_RUN_MS:
+//   retries stop WEBHOOK_MARGIN_MS before the function would be stopped
+//
+// Jobs are kept in a cache store (lib/cache.js) for JOB_TTL_MS. Env:
+//   JOB_STORE=redis|file|memory   JOB_DIR=/tmp/company-jobs   WEBHOOK_SECRET=...
+// Pollers may land on another function instance, so the default is Redis when
+// KV_REST_API_* / UPSTASH_REDIS_REST_* are set (redisFromEnv()). On Vercel
+// startJob() refuses to run without such a shared store; file and memory stores
+// are for local use. configureJobs({ store }) takes any shared store.
+// A job still "running" JOB_MAX_RUN_MS after it started was cut off with its
+// function instance, and reads back as failed.
+
+const crypto = require("crypto");
+const dns = require("dns").promises;
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const { USER_AGENT } = require("./util");
+const { EnrichError } = require("./errors");
+const { enrichCompany, normalizeInput } = require("./enrich");
+const { createMemoryCache, createFileCache, createRedisCache, redisFromEnv } = require("./cache");
+
+const JOB_TTL_MS = 24 * 60 * 60e3;
+const JOB_DEADLINE_MS = 35e3;
+const JOB_MAX_RUN_MS = 60e3;    // api/jobs.js maxDuration (vercel.js)
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_TIMEOUT_MS = 5e3; // per attempt; 3 attempts with backoff take at most 17.5 s
+const WEBHOOK_MARGIN_MS = 3e3;  // left for saving the job after the last attempt
+const WEBHOOK_MIN_ATTEMPT_MS = 1e3;
+
+/* ----------------------------------- Store ----------------------------------- */
+// -> { store, shared }: shared is false for the per-instance file and memory stores.
+function storeFromEnv() {
+  const redis = redisFromEnv();
+  const kind = (process.env.JOB_STORE || (redis ? "redis" : "file")).toLowerCase();
+  if (kind === "redis" && redis) return { store: createRedisCache(redis, { prefix: "jobs:" }), shared: true };
+  if (kind === "memory") return { store: createMemoryCache({ max: 1000 }), shared: false };
+  return { store: createFileCache({ dir: process.env.JOB_DIR || path.join(os.tmpdir(), "company-jobs") }), shared: false };
+}
+
+let { store, shared } = storeFromEnv();
+let secret = process.env.WEBHOOK_SECRET || null;
+
+// store: a lib/cache.js store shared by every instance (e.g. createRedisCache);
+// webhookSecret: the HMAC key for webhook signatures.
+function configureJobs(config = {}) {
+  if (config.store) {
+    store = config.store;
+    shared = true;
+  }
+  if ("webhookSecret" in config) secret = config.webhookSecret;
+}
+
+const save = (job) => store.set(`job:${job.id}`, job, JOB_TTL_MS);
+
+// -> the job, or null when unknown (or expired). A queued or running job past
+// JOB_MAX_RUN_MS is saved and returned as failed (504 TIMED_OUT).
+async function getJob(id) {
+  const job = (await store.get(`job:${id}`)) || null;
+  if (!job || (job.status !== "queued" && job.status !== "running")) return job;
+  if (Date.now() - Date.parse(job.started_at || job.created_at) <= JOB_MAX_RUN_MS) return job;
+  const failed = {
+    ...job,
+    status: "failed",
+    finished_at: new Date().toISOString(),
+    error: { message: `Job did not finish within ${JOB_MAX_RUN_MS / 1000}s`, status: 504, code: "TIMED_OUT" }
+  };
+  await save(failed).catch(() => {});
+  return failed;
+}
+
+/* ---------------------------------- Webhooks --------------------------------- */
+const bad = (message) => new EnrichError(message, { status: 400, code: "BAD_INPUT" });
+
+// Addresses webhooks may not reach: unspecified, private, loopback, link-local,
+// CGNAT, multicast and reserved ranges. BlockList also matches IPv4-mapped
+// IPv6 addresses (::ffff:7f00:1) against the IPv4 rules.
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [["0.0.0.0", 8], ["10.0.0.0", 8], ["100.64.0.0", 10], ["127.0.0.0", 8], ["169.254.0.0", 16],
+  ["172.16.0.0", 12], ["192.0.0.0", 24], ["192.168.0.0", 16], ["198.18.0.0", 15], ["224.0.0.0", 3]]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [["::", 127], ["fc00::", 7], ["fe80::", 10], ["ff00::", 8], ["64:ff9b::", 96]]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+const isPrivateAddress = (ip) => PRIVATE_NETWORKS.check(ip, net.isIPv6(ip) ? "ipv6" : "ipv4");
+
+// Callbacks go to public http(s) hosts only: no localhost or private addresses.
+// Hostnames are checked again when the webhook is sent (assertPublicHost).
+function checkWebhookUrl(raw) {
+  let url;
+  try { url = new URL(String(raw)); } catch { throw bad(`Invalid webhook URL "${raw}"`); }
+  if (!/^https?:$/.test(url.protocol)) throw bad("Webhook URLs must be http(s)");
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (host === "localhost" || host.endsWith(".localhost") || host.endsWith(".internal") || (net.isIP(host) && isPrivateAddress(host))) {
+    throw bad(`Webhook host "${host}" is not public`);
+  }
+  return url.toString();
+}
+
+// Resolves the webhook host right before sending -> { address, family } to
+// connect to; rejects when any of its addresses is private (a public name may
+// point inside the network).
+async function resolvePublicAddress(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  const addresses = await dns.lookup(host, { all: true });
+  const blocked = addresses.find(a => isPrivateAddress(a.address));
+  if (blocked) throw bad(`Webhook host "${host}" resolves to the non-public address ${blocked.address}`);
+  if (!addresses.length) throw bad(`Webhook host "${host}" has no address`);
+  return addresses[0];
+}
+
+// POST to url over a connection to the checked `address` only, so a second DNS
+// answer can't send the request elsewhere (the Host header and TLS name stay
+// the URL's). -> the response status
+function postToAddress(url, { address, family }, { headers, body, timeout }) {
+  const target = new URL(url);
+  const client = target.protocol === "https:" ? https : http;
+  return new Promise((resolve, reject) => {
+    const req = client.request(target, {
+      method: "POST",
+      headers: { ...headers, "Content-Length": Buffer.byteLength(body) },
+      lookup: (host, options, callback) => options?.all ? callback(null, [{ address, family }]) : callback(null, address, family),
+      signal: AbortSignal.timeout(timeout)
+    }, (res) => {
+      res.resume();
+      resolve(res.statusCode);
+    });
+    req.on("error", reject);
+    req.end(body);
+  });
+}
+
+// "sha256=<hex>" for a body sent at `timestamp` (seconds).
+function signWebhook(body, timestamp, key = secret) {
+  if (!key) throw new EnrichError("Webhooks need a signing secret (WEBHOOK_SECRET)", { status: 501, code: "NOT_CONFIGURED" });
+  return `sha256=${crypto.createHmac("sha256", key).update(`${timestamp}.${body}`).digest("hex")}`;
+}
+
+// For receivers: true when the signature matches and the timestamp is recent.
+function verifyWebhook(body, { timestamp, signature }, key = secret, { toleranceSeconds = 300 } = {}) {
+  if (!key || !timestamp || !signature) return false;
+  if (Math.abs(Date.now() / 1000 - Number(timestamp)) > toleranceSeconds) return false;
+  const expected = Buffer.from(signWebhook(body, timestamp, key));
+  const given = Buffer.from(String(signature));
+  return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+}
+
+// POST the finished job; retried with backoff on network errors and 5xx/429
+// while time is left before `deliverBy` (ms). Redirects are not followed (a
+// 3xx counts as not delivered).
+// -> { delivered, attempts, status, error }
+async function deliverWebhook(url, job, { deliverBy = Date.now() + WEBHOOK_ATTEMPTS * WEBHOOK_TIMEOUT_MS } = {}) {
+  if (!secret) return { delivered: false, attempts: 0, status: null, error: "WEBHOOK_SECRET is not set" };
+  const body = JSON.stringify({ id: job.id, status: job.status, result: job.result, error: job.error });
+  let status = null;
+  let attempts = 0;
+  while (attempts < WEBHOOK_ATTEMPTS && deliverBy - Date.now() >= WEBHOOK_MIN_ATTEMPT_MS) {
+    attempts++;
+    const timestamp = String(Math.floor(Date.now() / 1000));
+    let address;
+    try {
+      address = await resolvePublicAddress(url);
+    } catch (err) {
+      return { delivered: false, attempts, status: null, error: err.message || String(err) };
+    }
+    try {
+      status = await postToAddress(url, address, {
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": USER_AGENT,
+          "X-Webhook-Id": job.id,
+          "X-Webhook-Timestamp": timestamp,
+          "X-Webhook-Signature": signWebhook(body, timestamp)
+        },
+        body,
+        timeout: Math.min(WEBHOOK_TIMEOUT_MS, deliverBy - Date.now())
+      });
+      if (status >= 200 && status < 300) return { delivered: true, attempts, status, error: null };
+      if (status < 500 && status !== 429) return { delivered: false, attempts, status, error: null };
+    } catch {
+      status = null;
+    }
+    const backoff = 500 * 4 ** (attempts - 1);
+    if (attempts < WEBHOOK_ATTEMPTS && deliverBy - Date.now() - backoff >= WEBHOOK_MIN_ATTEMPT_MS) {
+      await new Promise(resolve => setTimeout(resolve, backoff));
+    } else {
+      break;
+    }
+  }
+  return { delivered: false, attempts, status, error: attempts ? null : "No time left to deliver the webhook" };
+}
+
+/* ------------------------------------ Jobs ----------------------------------- */
+// input: as for enrichCompany(); options: enrichCompany() options (the deadline
+// defaults to, and is capped at, JOB_DEADLINE_MS); webhook: URL to POST the finished job to.
+// -> { job, done }: the queued job to answer with now, and the promise of the
+// finished one (hand it to the platform's waitUntil so it outlives the response).
+// Bad input or webhook URLs reject right away (EnrichError 400), not in the job,
+// and so does a webhook while WEBHOOK_SECRET is unset, or any job on Vercel
+// without a shared store (501 NOT_CONFIGURED).
+async function startJob(input, { options = {}, webhook = null } = {}) {
+  if (process.env.VERCEL && !shared) {
+    throw new EnrichError("Async jobs need a shared store: set KV_REST_API_URL and KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_*)", { status: 501, code: "NOT_CONFIGURED" });
+  }
+  normalizeInput(input);
+  if (webhook && !secret) {
+    throw new EnrichError("Webhooks are disabled: set WEBHOOK_SECRET so they can be signed", { status: 501, code: "NOT_CONFIGURED" });
+  }
+  const job = {
+    id: crypto.randomUUID(),
+    status: "queued",
+    input,
+    created_at: new Date().toISOString(),
+    started_at: null,
+    finished_at: null,
+    result: null,
+    error: null,
+    webhook: webhook ? { url: checkWebhookUrl(webhook), delivered: false, attempts: 0, status: null, error: null } : null
+  };
+  await save(job);
+  const done = runJob(job, { ...options, deadline: Math.min(options.deadline ?? JOB_DEADLINE_MS, JOB_DEADLINE_MS) });
+  return { job, done };
+}
+
+async function runJob(job, options) {
+  const current = { ...job, status: "running", started_at: new Date().toISOString() };
+  await save(current).catch(() => {});
+  let finished;
+  try {
+    const result = await enrichCompany(job.input, options);
+    finished = { ...current, status: "done", result };
+  } catch (err) {
+    finished = { ...current, status: "failed", error: { message: err.message || String(err), status: err.status || 500, code: err.code || null } };
+  }
+  finished.finished_at = new Date().toISOString();
+  await save(finished).catch(() => {});
+  if (!finished.webhook) return finished;
+  const deliverBy = Date.parse(current.started_at) + JOB_MAX_RUN_MS - WEBHOOK_MARGIN_MS;
+  const delivered = { ...finished, webhook: { ...finished.webhook, ...(await deliverWebhook(finished.webhook.url, finished, { deliverBy })) } };
+  await save(delivered).catch(() => {});
+  return delivered;
+}
+
+module.exports = {
+  JOB_DEADLINE_MS,
+  JOB_MAX_RUN_MS,
+  configureJobs,
+  startJob,
+  getJob,
+  checkWebhookUrl,
+  signWebhook,
+  verifyWebhook
+};
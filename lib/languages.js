@@ -0,0 +1,44 @@
+// lib/languages.js
+// Language chains for Wikidata labels/descriptions and Wikipedia sitelinks.
+// ?lang=de,fr asks for German, then French; English always stays first in the
+// display chain (English labels where they exist), and the requested languages
+// are the fallbacks and the `localized` output.
+
+const { unique } = require("./util");
+
+const DEFAULT_LANGS = ["en"];
+const RE_LANG = /^[a-z]{2,3}(-[a-z0-9]{2,8})*$/;
+
+// "de, FR" or ["de", "fr"] -> ["de", "fr"]; invalid codes are returned in `invalid`.
+function parseLanguages(value) {
+  const list = (Array.isArray(value) ? value : String(value || "").split(","))
+    .map(s => String(s).trim().toLowerCase()).filter(Boolean);
+  return { langs: unique(list.filter(l => RE_LANG.test(l))), invalid: list.filter(l => !RE_LANG.test(l)) };
+}
+
+// Requested languages -> display chain: English first, then the requested ones.
+const languageChain = (requested = []) => unique([...DEFAULT_LANGS, ...requested]);
+
+// Wikidata { de: { value } } maps (labels, descriptions) -> { lang, value } for the
+// first language in the chain that has one, or null.
+function pickLanguage(map, langs = DEFAULT_LANGS) {
+  for (const lang of langs) {
+    const value = map?.[lang]?.value;
+    if (value) return { lang, value };
+  }
+  return null;
+}
+
+// Sitelink key for a language: "de" -> "dewiki", "zh-yue" -> "zh_yuewiki".
+const wikiSiteKey = (lang) => `${lang.replace(/-/g, "_")}wiki`;
+
+// Entity -> { lang, title } of the first Wikipedia edition in the chain it has an article in.
+function pickSitelink(entity, langs = DEFAULT_LANGS) {
+  for (const lang of langs) {
+    const title = entity?.sitelinks?.[wikiSiteKey(lang)]?.title;
+    if (title) return { lang, title };
+  }
+  return null;
+}
+
+module.exports = { DEFAULT_LANGS, parseLanguages, languageChain, pickLanguage, wikiSiteKey, pickSitelink };
@@ -0,0 +1,106 @@
+// lib/money.js
+// Money as { amount, currency, year } from infobox strings like
+// "Increase US$307.39 billion (2023)" or Wikidata quantities (P2139 etc.),
+// and yearly series of such values for charting. Other Wikipedia editions'
+// notation ("307,4 Mrd. USD", "3兆1,000億円") is rewritten to English first.
+
+const { wikidataTimeToIso } = require("./dates");
+
+// Longest symbols first so "US$" wins over "$" and "CN¥" over "¥".
+const CURRENCY_SYMBOLS = [
+  ["US$", "USD"], ["CA$", "CAD"], ["C$", "CAD"], ["AU$", "AUD"], ["A$", "AUD"], ["NZ$", "NZD"],
+  ["HK$", "HKD"], ["NT$", "TWD"], ["S$", "SGD"], ["R$", "BRL"], ["MX$", "MXN"],
+  ["CN¥", "CNY"], ["JP¥", "JPY"], ["RMB", "CNY"],
+  ["€", "EUR"], ["£", "GBP"], ["¥", "JPY"], ["₹", "INR"], ["₩", "KRW"], ["₽", "RUB"], ["₺", "TRY"], ["₪", "ILS"],
+  ["$", "USD"]
+];
+const ISO_CURRENCY = /\b(USD|EUR|GBP|JPY|CNY|CHF|SEK|NOK|DKK|INR|KRW|CAD|AUD|NZD|HKD|SGD|TWD|BRL|MXN|RUB|ZAR|PLN|TRY|ILS|SAR|AED)\b/;
+
+const SCALES = { thousand: 1e3, k: 1e3, million: 1e6, mn: 1e6, m: 1e6, billion: 1e9, bn: 1e9, b: 1e9, trillion: 1e12, tn: 1e12 };
+
+// Editions writing "1.234,5" rather than "1,234.5"
+const DECIMAL_COMMA_LANGS = new Set(["de", "fr", "es", "it", "nl", "pt", "pl", "sv", "da", "nb", "fi", "cs", "ru", "tr"]);
+// Localized scale words -> English ones ("mil millones" before "millones")
+const LOCAL_SCALES = [
+  [/\b(?:mrd|milliarden?|milliards?|mil millones|miliardi|miljard(?:en)?|bilhões|mld)(?![a-z])\.?/gi, "billion"],
+  [/\b(?:mio|millionen|millions|millones|milioni|miljoen|milhões|mln)(?![a-z])\.?/gi, "million"],
+  [/\b(?:bio|billionen)(?![a-z])\.?/gi, "trillion"],
+  [/\b(?:tsd|mille|miles)(?![a-z])\.?/gi, "thousand"]
+];
+
+// "307,4 Mrd. USD (2023)" -> "307.4 billion USD (2023)"; "3兆1,000億円" -> "JPY 3100000000000"
+function englishMoneyNotation(s, lang) {
+  let out = s.replace(/（/g, "(").replace(/）/g, ")");
+  out = out.replace(/(?:(\d[\d,]*)兆)?(?:(\d[\d,]*)億)?(?:(\d[\d,]*)万)?(\d[\d,]*)?\s*円/, (m, cho, oku, man, rest) => {
+    const n = (v) => Number(String(v || "0").replace(/,/g, ""));
+    return m === "円" ? m : `JPY ${n(cho) * 1e12 + n(oku) * 1e8 + n(man) * 1e4 + n(rest)}`;
+  });
+  if (DECIMAL_COMMA_LANGS.has(lang)) {
+    out = out.replace(/\d{1,3}(?:[.\s]\d{3})+(?:,\d+)?|\d+,\d+/g, (num) => num.replace(/[.\s]/g, "").replace(",", "."));
+  }
+  for (const [re, word] of LOCAL_SCALES) out = out.replace(re, word);
+  return out;
+}
+
+function currencyOf(s) {
+  const code = s.match(ISO_CURRENCY);
+  if (code) return code[1];
+  const hit = CURRENCY_SYMBOLS.find(([symbol]) => s.includes(symbol));
+  return hit ? hit[1] : null;
+}
+
+// The first amount outside parentheses (those hold years and footnotes), with
+// its scale word and sign; the year comes from "(2023)" / "(FY 2023)" or any
+// year in the string. lang: the Wikipedia edition the string comes from.
+function parseMoneyString(raw, { lang = "en" } = {}) {
+  if (!raw) return null;
+  let s = String(raw).replace(/ /g, " ");
+  if (lang !== "en") s = englishMoneyNotation(s, lang);
+  const outside = s.replace(/\([^)]*\)/g, " ");
+
+  const m = outside.match(/([−–-])?\s*(?:[A-Z]{0,3}[$€£¥₹₩₽₺₪]|[A-Z]{3}\s)?\s*([−–-])?\s*(\d[\d,]*(?:\.\d+)?)\s*(thousand|million|billion|trillion|bn|mn|tn|[kmb])?\b/i);
+  if (!m) return null;
+  const value = Number(m[3].replace(/,/g, ""));
+  if (!Number.isFinite(value)) return null;
+  const scale = m[4] ? SCALES[m[4].toLowerCase()] : 1;
+  const negative = !!(m[1] || m[2]);
+
+  const paren = s.match(/\((?:[^)]*?\b)?(?:FY\s?)?((?:19|20)\d{2})\b[^)]*\)/i);
+  const year = paren ? Number(paren[1]) : Number(outside.slice(m.index + m[0].length).match(/\b((?:19|20)\d{2})\b/)?.[1]) || null;
+
+  return {
+    amount: Math.round((negative ? -value : value) * scale),
+    currency: currencyOf(outside.slice(0, m.index + m[0].length + 8)) || currencyOf(s),
+    year
+  };
+}
+
+// Wikidata quantity { amount: "+307394000000", unit: ".../entity/Q4917" } plus
+// a P585 time; the unit item's ISO 4217 code (P498) comes from `entities`.
+function moneyFromWikidata(value, time, entities) {
+  const amount = Number(String(value?.amount || "").replace(/^\+/, ""));
+  if (!value?.amount || !Number.isFinite(amount)) return null;
+  const unitId = String(value.unit || "").split("/").pop();
+  const currency = entities?.[unitId]?.claims?.P498?.[0]?.mainsnak?.datavalue?.value || null;
+  const year = Number(String(time || "").match(/^\+(\d{4})/)?.[1]) || null;
+  return { amount, currency, year };
+}
+
+// Statements with a point in time (P585) -> [{ date, year, amount, currency }],
+// oldest first, one point per date (preferred rank beats normal).
+function moneySeriesFromWikidata(statements, entities) {
+  const byDate = new Map();
+  for (const st of statements || []) {
+    if (st.rank === "deprecated") continue;
+    const time = st.qualifiers?.P585?.[0]?.datavalue?.value;
+    const date = wikidataTimeToIso(time);
+    const money = moneyFromWikidata(st.mainsnak?.datavalue?.value, time?.time, entities);
+    if (!date || !money) continue;
+    const seen = byDate.get(date);
+    if (seen && !(st.rank === "preferred" && seen.rank !== "preferred")) continue;
+    byDate.set(date, { rank: st.rank, point: { date, ...money } });
+  }
+  return [...byDate.values()].map(v => v.point).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+module.exports = { CURRENCY_SYMBOLS, DECIMAL_COMMA_LANGS, parseMoneyString, moneyFromWikidata, moneySeriesFromWikidata };
@@ -0,0 +1,123 @@
+// lib/opencorporates.js
+// Optional OpenCorporates lookup (OPENCORPORATES_API_TOKEN raises limits).
+// Searches by the resolved company name (never a bare domain), keeps results in
+// the headquarters country when known, and scores each record on
+// - name: token overlap of the normalized names (corporate suffixes ignored)
+// - jurisdiction: registered in that country ("us" matches "us_de")
+// - active: not dissolved/inactive, and not a foreign branch registration
+// The best record above MIN_NAME_SIMILARITY is fetched in full for officers.
+
+const { unique } = require("./util");
+const { normName } = require("./candidates");
+
+const API = "https://api.opencorporates.com/v0.4";
+const PER_PAGE = 30;
+const MAX_QUERIES = 2;          // distinct names tried, best first
+const MIN_NAME_SIMILARITY = 0.6;
+const MAX_OFFICERS = 25;
+const WEIGHTS = { name: 0.6, jurisdiction: 0.25, active: 0.15 };
+
+const withToken = (url) => {
+  const token = process.env.OPENCORPORATES_API_TOKEN;
+  return token ? `${url}${url.includes("?") ? "&" : "?"}api_token=${encodeURIComponent(token)}` : url;
+};
+
+async function getJson(url) {
+  const res = await fetch(withToken(url));
+  return res.ok ? res.json() : null;
+}
+
+// Dice coefficient over name tokens; identical normalized names score 1.
+function nameSimilarity(a, b) {
+  const x = normName(a), y = normName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const ta = unique(x.split(" ")), tb = new Set(y.split(" "));
+  const shared = ta.filter(t => tb.has(t)).length;
+  return (2 * shared) / (ta.length + tb.size);
+}
+
+const isActive = (c) => !c.inactive && !c.dissolution_date && !/dissolved|inactive|closed|struck|liquidat/i.test(c.current_status || "");
+const inCountry = (jurisdiction, countryCode) =>
+  !!countryCode && (jurisdiction === countryCode || String(jurisdiction || "").startsWith(`${countryCode}_`));
+
+function scoreCompany(c, query, countryCode) {
+  const signals = {
+    name: Math.round(nameSimilarity(query, c.name) * 100) / 100,
+    jurisdiction: inCountry(c.jurisdiction_code, countryCode),
+    active: isActive(c) && !c.branch
+  };
+  const score = WEIGHTS.name * signals.name + WEIGHTS.jurisdiction * signals.jurisdiction + WEIGHTS.active * signals.active;
+  return { score: Math.round(score * 100) / 100, signals };
+}
+
+async function searchCompanies(query, countryCode) {
+  const params = new URLSearchParams({ q: query, per_page: String(PER_PAGE), order: "score" });
+  if (countryCode) params.set("country_code", countryCode);
+  const j = await getJson(`${API}/companies/search?${params}`);
+  return (j?.results?.companies || []).map(r => r.company).filter(Boolean);
+}
+
+// Full record for officers (search results omit them); null on failure.
+async function fetchCompanyRecord(jurisdiction, number) {
+  const j = await getJson(`${API}/companies/${encodeURIComponent(jurisdiction)}/${encodeURIComponent(number)}`).catch(() => null);
+  return j?.results?.company || null;
+}
+
+function addressOf(c) {
+  if (c.registered_address_in_full) return c.registered_address_in_full;
+  const a = c.registered_address;
+  if (!a) return null;
+  return [a.street_address, a.locality, a.region, a.postal_code, a.country].filter(Boolean).join(", ") || null;
+}
+
+// Current officers only: { name, position, start_date }
+function officersOf(c) {
+  return (c.officers || [])
+    .map(o => o.officer || o)
+    .filter(o => o?.name && !o.inactive && !o.end_date)
+    .slice(0, MAX_OFFICERS)
+    .map(o => ({ name: o.name, position: o.position || null, start_date: o.start_date || null }));
+}
+
+// names: company names to try, best first (Wikidata label, infobox name, input).
+// countryCode: ISO 3166-1 alpha-2 of the headquarters country, lowercase, or null.
+// -> { jurisdiction, company_number, name, status, active, incorporation_date,
+//      dissolution_date, company_type, registered_address, officers, url, match } or null
+async function fetchOpenCorporates(names, { countryCode = null } = {}) {
+  const queries = unique((Array.isArray(names) ? names : [names]).map(n => String(n || "").trim()).filter(Boolean)).slice(0, MAX_QUERIES);
+  const code = countryCode ? String(countryCode).toLowerCase() : null;
+
+  let best = null;
+  for (const query of queries) {
+    let companies = await searchCompanies(query, code);
+    // The country filter can be wrong (HQ abroad, holding elsewhere); retry unfiltered.
+    if (!companies.length && code) companies = await searchCompanies(query, null);
+    for (const c of companies) {
+      const { score, signals } = scoreCompany(c, query, code);
+      if (signals.name < MIN_NAME_SIMILARITY) continue;
+      if (!best || score > best.score) best = { company: c, query, score, signals };
+    }
+    if (best?.signals.name === 1) break;
+  }
+  if (!best) return null;
+
+  const c = best.company;
+  const full = await fetchCompanyRecord(c.jurisdiction_code, c.company_number) || c;
+  return {
+    jurisdiction: c.jurisdiction_code || null,
+    company_number: c.company_number || null,
+    name: full.name || c.name || null,
+    status: full.current_status || null,
+    active: isActive(full),
+    incorporation_date: full.incorporation_date || null,
+    dissolution_date: full.dissolution_date || null,
+    company_type: full.company_type || null,
+    registered_address: addressOf(full),
+    officers: officersOf(full),
+    url: full.opencorporates_url || c.opencorporates_url || null,
+    match: { query: best.query, score: best.score, signals: best.signals }
+  };
+}
+
+module.exports = { fetchOpenCorporates, nameSimilarity };
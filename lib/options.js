@@ -0,0 +1,72 @@
+// lib/options.js
+// enrichCompany() options every route accepts, read from query/body params:
+//   ?provenance=1  ?engine=auto|http|browser  ?exchanges=XLON,XNAS  ?quotes=primary|all|none
+//   ?finance=yahoo,mock (quote provider chain, see lib/quotes.js)
+//   ?lang=de,fr (label/article fallback languages, see lib/languages.js)
+//   ?deadline=8 (seconds for the slow sources; partial result after that)
+// Values are validated by enrichCompany itself (400 BAD_INPUT); routes that
+// answer before enriching (batch, jobs) check them first with enrichOptionsError().
+// The company itself comes from inputFromParams(): ?qid, ?wikipedia, ?lei,
+// ?ticker, ?q or ?name, ?domain.
+
+const { isTruthy } = require("./util");
+const { INFOBOX_ENGINES } = require("./infobox");
+const { QUOTE_MODES } = require("./finance");
+const { PROVIDER_FACTORIES } = require("./quotes");
+const { parseLanguages } = require("./languages");
+
+// Default deadline of the single-company routes, whose functions stop after
+// 10 s (vercel.js): they answer with a partial result before that.
+const DEFAULT_DEADLINE_MS = 8000;
+
+// Param -> enrichCompany() input field; the first non-empty param per field wins.
+const INPUT_PARAMS = { qid: "qid", wikipedia: "wikipedia", lei: "lei", ticker: "ticker", q: "name", name: "name", domain: "domain" };
+
+// "XLON,XNAS" or ["XLON", "XNAS"] -> ["XLON", "XNAS"]; missing/empty -> undefined
+function listParam(value) {
+  if (value == null) return undefined;
+  const list = (Array.isArray(value) ? value : String(value).split(",")).map(s => String(s).trim()).filter(Boolean);
+  return list.length ? list : undefined;
+}
+
+// param: (key) => value, e.g. (key) => req.query?.[key] ?? req.body?.[key]
+function enrichOptionsFromParams(param) {
+  return {
+    provenance: isTruthy(param("provenance")),
+    engine: param("engine"),
+    exchangePreference: listParam(param("exchanges")),
+    quotes: param("quotes"),
+    financeProviders: listParam(param("finance")),
+    lang: listParam(param("lang")),
+    deadline: param("deadline") != null && param("deadline") !== "" ? Number(param("deadline")) * 1000 : undefined
+  };
+}
+
+// -> { name?, domain?, qid?, wikipedia?, lei?, ticker? } from the non-empty params.
+function inputFromParams(param) {
+  const input = {};
+  for (const [key, field] of Object.entries(INPUT_PARAMS)) {
+    const value = String(param(key) || "").trim();
+    if (value && !input[field]) input[field] = value;
+  }
+  return input;
+}
+
+// The same checks enrichCompany makes, for an enrichOptionsFromParams() result:
+// -> the error message for the first bad option, or null.
+function enrichOptionsError(options) {
+  if (options.engine && !INFOBOX_ENGINES.includes(String(options.engine).toLowerCase())) {
+    return `Unknown engine "${options.engine}" (use ${INFOBOX_ENGINES.join(", ")})`;
+  }
+  if (options.quotes && !QUOTE_MODES.includes(String(options.quotes).toLowerCase())) {
+    return `Unknown quotes mode "${options.quotes}" (use ${QUOTE_MODES.join(", ")})`;
+  }
+  const unknownProvider = (options.financeProviders || []).find(name => !PROVIDER_FACTORIES[name.toLowerCase()]);
+  if (unknownProvider) return `Unknown finance provider "${unknownProvider}" (use ${Object.keys(PROVIDER_FACTORIES).join(", ")})`;
+  const badLang = parseLanguages(options.lang).invalid[0];
+  if (badLang) return `Invalid language code "${badLang}" (use e.g. "de" or "pt-br")`;
+  if (options.deadline !== undefined && !(options.deadline > 0)) return "Invalid deadline (use seconds > 0)";
+  return null;
+}
+
+module.exports = { DEFAULT_DEADLINE_MS, INPUT_PARAMS, enrichOptionsFromParams, enrichOptionsError, inputFromParams, listParam };
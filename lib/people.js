@@ -0,0 +1,29 @@
+// lib/people.js
+// People as { name, role } from infobox lines ("Sundar Pichai (CEO)",
+// "Chairman: John Doe", "Jane Roe, CFO"), and organizations as { name, qid }.
+
+const clean = (s) => String(s || "").replace(/\s+/g, " ").replace(/^[\s,;:–—-]+|[\s,;:–—-]+$/g, "").trim();
+
+function parsePerson(line) {
+  const s = clean(line);
+  if (!s) return null;
+  let m = s.match(/^(.+?)\s*\(([^)]+)\)$/);
+  if (m) return { name: clean(m[1]), role: clean(m[2]) || null };
+  m = s.match(/^([^:]{2,40}):\s*(.+)$/);
+  if (m) return { name: clean(m[2]), role: clean(m[1]) };
+  m = s.match(/^([^,]+),\s*(.+)$/);
+  if (m) return { name: clean(m[1]), role: clean(m[2]) };
+  return { name: s, role: null };
+}
+
+function parsePeople(lines) {
+  return (lines || []).map(parsePerson).filter(p => p?.name);
+}
+
+// Organizations ("Alphabet Inc. (2015–present)") as { name, qid }.
+function parseOrganization(text) {
+  const name = clean(String(text || "").replace(/\s*\([^)]*\)/g, ""));
+  return name ? { name, qid: null } : null;
+}
+
+module.exports = { parsePerson, parsePeople, parseOrganization };
@@ -0,0 +1,67 @@
+// lib/provenance.js
+// Per-field provenance for the merged `data` payload: which source supplied a
+// value, when that source was retrieved, and how much to trust it.
+//
+//   provenance.employees = {
+//     source: "wikidata", entity: "Q95", property: "P1128", statement: "Q95$...",
+//     retrieved_at: "2025-10-02T12:34:56.000Z", confidence: "high"
+//   }
+//
+// Fields merged from several sources (e.g. industry) get { source: "merged", parts: [...] }.
+
+const CONFIDENCE_ORDER = ["low", "medium", "high"];
+
+// Structured data beats scraped text, which beats guesses from the input.
+const DEFAULT_CONFIDENCE = {
+  wikidata: "high",
+  wikipedia: "medium",
+  Finnhub: "high",
+  YahooFinance: "medium",
+  AlphaVantage: "high",
+  Mock: "low",         // fixtures, never live data
+  opencorporates: "medium",
+  website: "medium",
+  input: "low"
+};
+
+const lower = (a, b) => CONFIDENCE_ORDER[Math.min(CONFIDENCE_ORDER.indexOf(a), CONFIDENCE_ORDER.indexOf(b))];
+
+// cap: highest confidence any field may claim, e.g. "low" when the entity
+// itself came from a low-confidence name match.
+function createProvenance({ cap = null } = {}) {
+  const retrievedAt = {};
+  const fields = {};
+
+  const entry = (source, detail = {}, confidence = DEFAULT_CONFIDENCE[source] || "low") => ({
+    source,
+    ...detail,
+    retrieved_at: retrievedAt[source] || null,
+    confidence: cap ? lower(confidence, cap) : confidence
+  });
+
+  return {
+    // Call right after a source answers; `at` overrides "now" for cached answers.
+    retrieved(source, at) {
+      retrievedAt[source] = at || new Date().toISOString();
+    },
+    set(field, source, detail, confidence) {
+      fields[field] = entry(source, detail, confidence);
+    },
+    // parts: [[source, detail, confidence?], ...]; a single part collapses to set().
+    merge(field, parts) {
+      const entries = parts.map(([source, detail, confidence]) => entry(source, detail, confidence));
+      if (entries.length === 1) { fields[field] = entries[0]; return; }
+      if (!entries.length) return;
+      fields[field] = {
+        source: "merged",
+        parts: entries,
+        confidence: entries.map(e => e.confidence).reduce(lower)
+      };
+    },
+    toJSON() {
+      return fields;
+    }
+  };
+}
+
+module.exports = { createProvenance, DEFAULT_CONFIDENCE };
@@ -0,0 +1,241 @@
+// lib/quotes.js
+// Stock quote providers and the ordered chain that asks them in turn.
+// - A provider is { name, quote(symbol) -> { stock_price, market_cap, currency, exchange?, as_of } | null },
+//   `symbol` already carrying the exchange suffix ("VOD.L", see lib/exchanges.js)
+// - Built in: Finnhub, Yahoo Finance, Alpha Vantage (or a compatible API), and a
+//   fixture-backed mock for tests/offline use
+// - The chain merges field by field: a later provider only fills what earlier
+//   ones left null, and every field records the provider that supplied it
+// - Given the listing's trading currency (its MIC, lib/exchanges.js), a provider
+//   reporting another currency keeps its price but not its currency or market cap
+//
+// Env configuration (all optional):
+//   FINANCE_PROVIDERS=finnhub,yahoo,alphavantage,mock  (default: finnhub if keyed, yahoo, alphavantage if keyed)
+//   FINNHUB_API_KEY   ALPHAVANTAGE_API_KEY   ALPHAVANTAGE_URL=https://www.alphavantage.co/query
+//   FINANCE_FIXTURES=/path/quotes.json  (mock provider; default lib/fixtures/quotes.json)
+// Programmatic: configureQuotes({ providers: ["mock"] }) or providers built with create*Provider()
+
+const fs = require("fs");
+const path = require("path");
+const { BROWSER_UA } = require("./util");
+
+const num = (v) => (typeof v === "number" && Number.isFinite(v) ? v : null);
+const numeric = (v) => (v == null || v === "" || v === "None" ? null : num(Number(v)));
+const epochToIso = (sec) => (num(sec) && sec > 0 ? new Date(sec * 1000).toISOString() : null);
+
+/* --------------------------------- Fetchers ---------------------------------- */
+
+// Quote (price, time) plus company profile (currency, exchange, market cap in millions).
+// The profile's currency is the one the company reports in, which need not be
+// the one the symbol trades in; the chain drops it when it conflicts with the listing.
+async function fetchFinnhubQuote(symbol, { apiKey = process.env.FINNHUB_API_KEY } = {}) {
+  if (!apiKey || !symbol) return null;
+  const get = async (endpoint) => {
+    const res = await fetch(`https://finnhub.io/api/v1/${endpoint}?symbol=${encodeURIComponent(symbol)}&token=${apiKey}`);
+    return res.ok ? res.json() : null;
+  };
+  const [j, profile] = await Promise.all([get("quote"), get("stock/profile2").catch(() => null)]);
+  if (!j || typeof j.c !== "number" || !j.c) return null;
+  const capMillions = num(profile?.marketCapitalization);
+  return {
+    stock_price: j.c,
+    market_cap: capMillions != null ? Math.round(capMillions * 1e6) : null,
+    currency: profile?.currency || null,
+    exchange: profile?.exchange || null,
+    as_of: epochToIso(j.t)
+  };
+}
+
+// Unofficial Yahoo Finance (no key). Subject to change by Yahoo.
+async function fetchYahooFinance(symbol) {
+  if (!symbol) return null;
+  const url = `https://query2.finance.yahoo.com/v10/finance/quoteSummary/${encodeURIComponent(symbol)}?modules=price,summaryDetail,defaultKeyStatistics`;
+  const res = await fetch(url, { headers: { "User-Agent": BROWSER_UA } });
+  if (!res.ok) return null;
+  const j = await res.json();
+  const r = j?.quoteSummary?.result?.[0];
+  if (!r) return null;
+  const price = r.price?.regularMarketPrice?.raw ?? r.price?.postMarketPrice?.raw ?? null;
+  const mc = r.price?.marketCap?.raw
+          ?? r.summaryDetail?.marketCap?.raw
+          ?? r.defaultKeyStatistics?.enterpriseValue?.raw
+          ?? null;
+  return {
+    stock_price: num(price),
+    market_cap: num(mc),
+    currency: r.price?.currency || null,
+    exchange: r.price?.exchangeName || null,
+    as_of: epochToIso(r.price?.regularMarketTime)
+  };
+}
+
+// Alpha Vantage GLOBAL_QUOTE (price, trading day) plus OVERVIEW (market cap,
+// currency, exchange). Rate-limit answers ("Note"/"Information") count as no data.
+async function fetchAlphaVantageQuote(symbol, {
+  apiKey = process.env.ALPHAVANTAGE_API_KEY,
+  baseUrl = process.env.ALPHAVANTAGE_URL || "https://www.alphavantage.co/query"
+} = {}) {
+  if (!apiKey || !symbol) return null;
+  const get = async (fn) => {
+    const res = await fetch(`${baseUrl}?function=${fn}&symbol=${encodeURIComponent(symbol)}&apikey=${apiKey}`);
+    const j = res.ok ? await res.json() : null;
+    return j && !j.Note && !j.Information && !j["Error Message"] ? j : null;
+  };
+  const [q, overview] = await Promise.all([get("GLOBAL_QUOTE"), get("OVERVIEW").catch(() => null)]);
+  const gq = q?.["Global Quote"];
+  const price = numeric(gq?.["05. price"]);
+  const cap = numeric(overview?.MarketCapitalization);
+  if (price == null && cap == null) return null;
+  const day = gq?.["07. latest trading day"];
+  return {
+    stock_price: price,
+    market_cap: cap,
+    currency: overview?.Currency || null,
+    exchange: overview?.Exchange || null,
+    as_of: /^\d{4}-\d{2}-\d{2}$/.test(day || "") ? day : null
+  };
+}
+
+/* --------------------------------- Providers --------------------------------- */
+
+function createFinnhubProvider(options) {
+  return { name: "Finnhub", quote: (symbol) => fetchFinnhubQuote(symbol, options) };
+}
+
+function createYahooProvider() {
+  return { name: "YahooFinance", quote: (symbol) => fetchYahooFinance(symbol) };
+}
+
+function createAlphaVantageProvider(options) {
+  return { name: "AlphaVantage", quote: (symbol) => fetchAlphaVantageQuote(symbol, options) };
+}
+
+// fixtures: { "GOOGL": { stock_price, market_cap, currency, exchange, as_of }, ... }
+// or a JSON file of that shape; symbols as providers see them ("VOD.L").
+// Fields a fixture leaves out stay null, so later providers can fill them.
+function createMockProvider({ fixtures, file = process.env.FINANCE_FIXTURES || path.join(__dirname, "fixtures", "quotes.json") } = {}) {
+  let table = fixtures || null;
+  const load = () => {
+    if (!table) {
+      try { table = JSON.parse(fs.readFileSync(file, "utf8")); } catch { table = {}; }
+    }
+    return table;
+  };
+  return {
+    name: "Mock",
+    async quote(symbol) {
+      const f = load()[String(symbol || "").toUpperCase()];
+      if (!f) return null;
+      return {
+        stock_price: num(f.stock_price),
+        market_cap: num(f.market_cap),
+        currency: f.currency || null,
+        exchange: f.exchange || null,
+        as_of: f.as_of || null
+      };
+    }
+  };
+}
+
+// Names accepted by FINANCE_PROVIDERS, configureQuotes() and ?finance=
+const PROVIDER_FACTORIES = {
+  finnhub: createFinnhubProvider,
+  yahoo: createYahooProvider,
+  alphavantage: createAlphaVantageProvider,
+  mock: createMockProvider
+};
+
+/* ------------------------------- Configuration ------------------------------- */
+
+// "yahoo" or a provider object -> provider; unknown names -> null.
+function resolveProvider(p) {
+  if (p && typeof p === "object" && typeof p.quote === "function") return p;
+  const factory = PROVIDER_FACTORIES[String(p || "").trim().toLowerCase()];
+  return factory ? factory() : null;
+}
+
+function providersFromEnv() {
+  const names = String(process.env.FINANCE_PROVIDERS || "").split(",").map(s => s.trim()).filter(Boolean);
+  if (names.length) return names.map(resolveProvider).filter(Boolean);
+  return [
+    ...(process.env.FINNHUB_API_KEY ? [createFinnhubProvider()] : []),
+    createYahooProvider(),
+    ...(process.env.ALPHAVANTAGE_API_KEY ? [createAlphaVantageProvider()] : [])
+  ];
+}
+
+let providers = null; // built lazily so env changes before the first quote apply
+
+// providers: names and/or provider objects, in the order to ask them.
+function configureQuotes(config = {}) {
+  if (config.providers) providers = config.providers.map(resolveProvider).filter(Boolean);
+}
+
+function quoteProviders() {
+  return providers || (providers = providersFromEnv());
+}
+
+/* ----------------------------------- Chain ----------------------------------- */
+
+// Minor units quoted by some providers -> their currency ("GBp" is pence).
+const MINOR_UNITS = { GBX: "GBP", ZAC: "ZAR", ILA: "ILS" };
+const majorCurrency = (code) => MINOR_UNITS[code.toUpperCase()] || code.toUpperCase();
+
+// Walk the chain until price, market cap and currency are all known. The
+// currency is the first one any provider reports (even when the price came
+// from a provider without one); a market cap is only taken from a provider
+// reporting that same currency, or from the first one with a cap when no
+// provider reports a currency at all. `as_of` travels with the price.
+// currency: the listing's trading currency, when known; a provider reporting a
+// different one (not just its minor unit) keeps its price, but its currency and
+// market cap are left out.
+// -> { stock_price, market_cap, currency, as_of, source, sources } or null, where
+// `source` supplied the price (else the first field) and `sources` maps field -> provider.
+async function quoteFromChain(symbol, chain = quoteProviders(), { currency: listingCurrency = null } = {}) {
+  const conflicts = (q) => !!(listingCurrency && q.currency && majorCurrency(q.currency) !== majorCurrency(listingCurrency));
+  const quotes = [];
+  const withPrice = () => quotes.find(x => num(x.q.stock_price) != null);
+  const withCurrency = () => quotes.find(x => x.q.currency);
+  const withCap = (currency) => quotes.find(x => num(x.q.market_cap) != null && (x.q.currency || null) === currency);
+
+  for (const provider of chain) {
+    const q = await Promise.resolve().then(() => provider.quote(symbol)).catch(() => null);
+    if (!q) continue;
+    quotes.push({ q: conflicts(q) ? { ...q, currency: null, market_cap: null } : q, name: provider.name });
+    const currency = withCurrency()?.q.currency;
+    if (withPrice() && currency && withCap(currency)) break;
+  }
+
+  const price = withPrice();
+  const currency = withCurrency();
+  const cap = currency ? withCap(currency.q.currency) : quotes.find(x => num(x.q.market_cap) != null);
+  const out = {
+    stock_price: price ? num(price.q.stock_price) : null,
+    market_cap: cap ? num(cap.q.market_cap) : null,
+    currency: currency?.q.currency || null,
+    as_of: price?.q.as_of || null
+  };
+  const sources = {};
+  if (price) sources.stock_price = price.name;
+  if (price?.q.as_of) sources.as_of = price.name;
+  if (cap) sources.market_cap = cap.name;
+  if (currency) sources.currency = currency.name;
+
+  if (!Object.keys(sources).length) return null;
+  return { ...out, source: sources.stock_price || Object.values(sources)[0], sources };
+}
+
+module.exports = {
+  fetchFinnhubQuote,
+  fetchYahooFinance,
+  fetchAlphaVantageQuote,
+  createFinnhubProvider,
+  createYahooProvider,
+  createAlphaVantageProvider,
+  createMockProvider,
+  PROVIDER_FACTORIES,
+  resolveProvider,
+  configureQuotes,
+  quoteProviders,
+  quoteFromChain
+};
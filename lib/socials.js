@@ -0,0 +1,233 @@
+// lib/socials.js
+// Social profiles of a company, from its own website and from Wikidata (we never
+// scrape the networks themselves).
+// - Website pages (read by lib/website.js): JSON-LD `sameAs`, rel="me" links
+//   and plain links, in that order of trust
+// - Wikidata: username/ID properties (P2002 X, P4264 LinkedIn, P2397 YouTube, ...)
+// - Share buttons, intents, posts/videos and tracking parameters are dropped,
+//   and every profile is canonicalized so the same account found twice merges.
+// Extend SOCIAL_DOMAINS / CANONICALIZERS to recognize more platforms.
+
+const { findAll } = require("./html");
+
+const SOCIAL_DOMAINS = {
+  x: ["x.com","twitter.com"],
+  facebook: ["facebook.com","fb.com"],
+  instagram: ["instagram.com"],
+  youtube: ["youtube.com"],
+  linkedin: ["linkedin.com"],
+  tiktok: ["tiktok.com"],
+  github: ["github.com"],
+  medium: ["medium.com"],
+  reddit: ["reddit.com"],
+  threads: ["threads.net","threads.com"],
+  bluesky: ["bsky.app"],
+  mastodon: [
+    "mastodon.social","mastodon.online","mastodon.world","mstdn.social","mas.to","fosstodon.org",
+    "hachyderm.io","infosec.exchange","techhub.social","social.vivaldi.net","mastodon.cloud","toot.community"
+  ],
+  pinterest: ["pinterest.com"]
+};
+
+// Wikidata property -> [network, id -> profile URL]
+const WIKIDATA_SOCIAL_PROPERTIES = {
+  P2002: ["x", (id) => `https://x.com/${id}`],
+  P4264: ["linkedin", (id) => `https://www.linkedin.com/company/${id}`],
+  P2397: ["youtube", (id) => `https://www.youtube.com/channel/${id}`],
+  P2003: ["instagram", (id) => `https://www.instagram.com/${id}`],
+  P2013: ["facebook", (id) => `https://www.facebook.com/${id}`],
+  P7085: ["tiktok", (id) => `https://www.tiktok.com/@${id}`],
+  P2037: ["github", (id) => `https://github.com/${id}`],
+  P4033: ["mastodon", (id) => { const [user, host] = String(id).replace(/^@/, "").split("@"); return host ? `https://${host}/@${user}` : null; }]
+};
+
+const VIA_RANK = { wikidata: 3, "json-ld": 3, "rel-me": 2, link: 1 };
+
+/* ------------------------------ Canonicalization ----------------------------- */
+// Each returns { url, handle } for a profile, or null for anything else
+// (share dialogs, intents, posts, videos, search pages, ...).
+
+const segmentsOf = (u) => u.pathname.split("/").filter(Boolean).map(decodeURIComponent);
+const HANDLE = /^[\w.\-]{1,100}$/;
+
+const firstSegment = (reserved, base) => (u) => {
+  const [handle] = segmentsOf(u);
+  if (!handle || !HANDLE.test(handle) || reserved.includes(handle.toLowerCase()) || /\.php$/i.test(handle)) return null;
+  return { url: `${base}/${handle}`, handle };
+};
+
+const atHandle = (base) => (u) => {
+  const [seg, ...rest] = segmentsOf(u);
+  if (!seg?.startsWith("@") || rest.length > 0 && !/^(about|featured|videos)$/i.test(rest[0])) return null;
+  const handle = seg.slice(1);
+  return HANDLE.test(handle) ? { url: `${base}/@${handle}`, handle } : null;
+};
+
+const CANONICALIZERS = {
+  x: firstSegment(["intent", "share", "home", "search", "hashtag", "i", "login", "signup", "explore", "settings", "messages", "notifications", "compose", "tos", "privacy"], "https://x.com"),
+  facebook: (u) => {
+    const segs = segmentsOf(u);
+    if (segs[0] === "profile.php") {
+      const id = u.searchParams.get("id");
+      return id && /^\d+$/.test(id) ? { url: `https://www.facebook.com/profile.php?id=${id}`, handle: id } : null;
+    }
+    if (segs[0] === "pages" && segs.length >= 2) { // /pages/Name/12345
+      const id = segs[segs.length - 1];
+      return HANDLE.test(id) ? { url: `https://www.facebook.com/${id}`, handle: id } : null;
+    }
+    return firstSegment(["sharer", "share", "dialog", "plugins", "tr", "login", "events", "hashtag", "watch", "groups", "help", "policies", "privacy", "photo", "story.php"], "https://www.facebook.com")(u);
+  },
+  instagram: firstSegment(["p", "reel", "reels", "explore", "accounts", "stories", "tv", "direct"], "https://www.instagram.com"),
+  youtube: (u) => {
+    const segs = segmentsOf(u);
+    if (segs[0]?.startsWith("@")) return atHandle("https://www.youtube.com")(u);
+    if (["channel", "c", "user"].includes(segs[0]) && segs[1] && HANDLE.test(segs[1])) {
+      return { url: `https://www.youtube.com/${segs[0]}/${segs[1]}`, handle: segs[1] };
+    }
+    return null; // watch, embed, playlist, shorts, results
+  },
+  linkedin: (u) => {
+    const [kind, slug] = segmentsOf(u);
+    if (!["company", "school", "showcase"].includes(kind) || !slug || !HANDLE.test(slug)) return null;
+    return { url: `https://www.linkedin.com/${kind}/${slug}`, handle: slug };
+  },
+  tiktok: atHandle("https://www.tiktok.com"),
+  github: firstSegment(["sponsors", "features", "login", "join", "about", "pricing", "marketplace", "topics", "orgs", "apps", "settings", "enterprise", "site"], "https://github.com"),
+  medium: (u) => {
+    const host = u.hostname.replace(/^www\./, "");
+    if (host !== "medium.com") return { url: `https://${host}`, handle: host.split(".")[0] }; // publication subdomain
+    const [seg] = segmentsOf(u);
+    if (seg?.startsWith("@")) return atHandle("https://medium.com")(u);
+    return seg && HANDLE.test(seg) && !["m", "tag", "search", "plans"].includes(seg) ? { url: `https://medium.com/${seg}`, handle: seg } : null;
+  },
+  reddit: (u) => {
+    const [kind, name] = segmentsOf(u);
+    const k = kind === "u" ? "user" : kind;
+    if (!["r", "user"].includes(k) || !name || !HANDLE.test(name)) return null;
+    return { url: `https://www.reddit.com/${k}/${name}`, handle: name };
+  },
+  threads: atHandle("https://www.threads.net"),
+  bluesky: (u) => {
+    const [kind, handle] = segmentsOf(u);
+    return kind === "profile" && handle && HANDLE.test(handle) ? { url: `https://bsky.app/profile/${handle}`, handle } : null;
+  },
+  mastodon: (u) => {
+    const [seg, ...rest] = segmentsOf(u);
+    if (!seg?.startsWith("@") || rest.length) return null;
+    const user = seg.slice(1);
+    return HANDLE.test(user) ? { url: `https://${u.hostname}/@${user}`, handle: `@${user}@${u.hostname}` } : null;
+  },
+  pinterest: firstSegment(["pin", "search", "ideas", "today", "business", "login"], "https://www.pinterest.com")
+};
+
+// Network for a URL by host. Unknown hosts with a /@user path count as Mastodon
+// only when the site vouched for them with rel="me".
+function classifySocial(url, { relMe = false } = {}) {
+  try {
+    const u = new URL(url);
+    const host = u.hostname.toLowerCase();
+    for (const [key, domains] of Object.entries(SOCIAL_DOMAINS)) {
+      if (domains.some(d => host === d || host.endsWith(`.${d}`))) return key;
+    }
+    if (/^(mastodon|mstdn|toot)\./.test(host) || (relMe && /^\/@[\w.]+\/?$/.test(u.pathname))) return "mastodon";
+    return null;
+  } catch { return null; }
+}
+
+// URL -> { network, url, handle } or null
+function canonicalSocial(url, options) {
+  const network = classifySocial(url, options);
+  if (!network) return null;
+  try {
+    const profile = CANONICALIZERS[network](new URL(url));
+    return profile ? { network, ...profile } : null;
+  } catch { return null; }
+}
+
+/* --------------------------------- Website ----------------------------------- */
+
+// JSON-LD `sameAs` anywhere in the page's ld+json blocks (including @graph).
+function jsonLdSameAs(blocks) {
+  const out = [];
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== "object") return;
+    const same = node.sameAs;
+    if (typeof same === "string") out.push(same);
+    else if (Array.isArray(same)) out.push(...same.filter(s => typeof s === "string"));
+    for (const v of Object.values(node)) if (v && typeof v === "object") walk(v);
+  };
+  walk(blocks);
+  return out;
+}
+
+// pages: [{ url, root, jsonLd }] as read by lib/website.js
+// -> [{ network, url, handle, found_in: [{ source: "website", page, via }] }]
+function socialsFromPages(pages) {
+  const profiles = [];
+  for (const page of pages || []) {
+    const abs = (href) => { try { return new URL(href, page.url).href; } catch { return null; } };
+    const found = jsonLdSameAs(page.jsonLd).map(h => [abs(h), "json-ld"]);
+    for (const el of findAll(page.root, el => (el.tag === "a" || el.tag === "link") && el.attrs.href)) {
+      found.push([abs(el.attrs.href), /(^|\s)me(\s|$)/i.test(el.attrs.rel || "") ? "rel-me" : "link"]);
+    }
+    for (const [href, via] of found) {
+      const p = href && /^https?:/i.test(href) ? canonicalSocial(href, { relMe: via === "rel-me" }) : null;
+      if (p) profiles.push({ ...p, found_in: [{ source: "website", page: page.url, via }] });
+    }
+  }
+  return mergeSocialProfiles(profiles);
+}
+
+/* --------------------------------- Wikidata ---------------------------------- */
+
+// socialIds: { P2002: ["Google"], ... } (see extractFromWikidata)
+function socialsFromWikidata(socialIds, entity = null) {
+  const profiles = [];
+  for (const [pid, ids] of Object.entries(socialIds || {})) {
+    const [network, toUrl] = WIKIDATA_SOCIAL_PROPERTIES[pid] || [];
+    for (const id of ids || []) {
+      const url = network && toUrl(id);
+      const p = url && canonicalSocial(url, { relMe: network === "mastodon" });
+      if (p) profiles.push({ ...p, network, found_in: [{ source: "wikidata", ...(entity ? { entity } : {}), property: pid }] });
+    }
+  }
+  return mergeSocialProfiles(profiles);
+}
+
+/* ---------------------------------- Merge ------------------------------------ */
+
+const profileKey = (p) => `${p.network}:${p.url.toLowerCase()}`;
+const profileScore = (p) => Math.max(...p.found_in.map(f => VIA_RANK[f.via || f.source] || 0)) * 10 + p.found_in.length;
+
+// Same account from several places -> one profile with every `found_in`;
+// best-supported first within each network.
+function mergeSocialProfiles(...lists) {
+  const byKey = new Map();
+  for (const p of lists.flat().filter(Boolean)) {
+    const seen = byKey.get(profileKey(p));
+    if (!seen) { byKey.set(profileKey(p), { ...p, found_in: [...p.found_in] }); continue; }
+    for (const f of p.found_in) {
+      if (!seen.found_in.some(g => JSON.stringify(g) === JSON.stringify(f))) seen.found_in.push(f);
+    }
+  }
+  return [...byKey.values()].sort((a, b) => a.network.localeCompare(b.network) || profileScore(b) - profileScore(a));
+}
+
+// Profiles -> { network: url } with the best-supported profile per network, or null.
+function socialLinks(profiles) {
+  const out = {};
+  for (const p of profiles || []) if (!out[p.network]) out[p.network] = p.url;
+  return Object.keys(out).length ? out : null;
+}
+
+module.exports = {
+  SOCIAL_DOMAINS,
+  WIKIDATA_SOCIAL_PROPERTIES,
+  classifySocial,
+  canonicalSocial,
+  socialsFromPages,
+  socialsFromWikidata,
+  mergeSocialProfiles,
+  socialLinks
+};
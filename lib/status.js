@@ -0,0 +1,114 @@
+// lib/status.js
+// Lifecycle status: whether the company still exists, and what became of it.
+//   { state, active, dissolved, end_cause, fate, successor, acquired_by, former_names }
+// state is "active", "acquired", "merged", "renamed" or "defunct"; active is
+// false once the company has ended (dissolved, succeeded, a Defunct/Fate row),
+// so "acquired" with active true is a company operating under its new owner.
+// - Wikidata: dissolved (P576) and its end cause (P1534), replaced by (P1366),
+//   followed by (P156), the newest parent/owner with a start time (P749/P127)
+// - Infobox: "Defunct", "Fate" ("Acquired by Oracle Corporation"), "Successor"
+// resolveStatus() turns a successor known only by name into { qid, website }
+// so accounts can be redirected to it.
+
+const { unique } = require("./util");
+const { getWikidataEntities, extractFromWikidata } = require("./wikidata");
+const { getWikidataIdForTitle } = require("./wikipedia");
+const { parseDateString } = require("./dates");
+const { parseOrganization } = require("./people");
+const { DEFAULT_LANGS } = require("./languages");
+
+const STATES = ["active", "acquired", "merged", "renamed", "defunct"];
+
+// Fate / end cause text -> state; the first pattern that matches wins.
+const FATES = [
+  ["merged", /\bmerg(?:ed|er|ing)\b|\bamalgamat|\bfusion/i],
+  ["acquired", /\bacqui(?:red|sition)\b|\b(?:bought|purchased|taken over) by\b|\btakeover\b|\babsorbed\b|\bsold to\b|\bbecame (?:part|a subsidiary|a division) of\b|\bübernahme|\bübernommen|\brachat|\badquirid/i],
+  ["renamed", /\brenam(?:ed|ing)\b|\brebrand|\bname change|\breorgani[sz]ed as\b|\bbecame\b|\bumbenannt|\bumfirmiert/i],
+  ["defunct", /\bbankrupt|\bliquidat|\bdissol(?:ved|ution)\b|\bdefunct\b|\bceased\b|\bclosed\b|\bshut down\b|\bwound up\b|\binsolv|\bdisestablish|\bkonkurs|\bfaillite|\bquiebra/i]
+];
+
+// "Acquired by Oracle Corporation in 2010" -> "Oracle Corporation"
+const RE_FATE_SUCCESSOR = /\b(?:acquired by|bought by|purchased by|taken over by|sold to|absorbed (?:into|by)|merged (?:into|with)|renamed(?: to| as)?|rebranded(?: as)?|reorgani[sz]ed as|became (?:part|a subsidiary|a division) of|became)\s+(.+)/i;
+const FATE_RELATIONS = { acquired: "acquired_by", merged: "merged_into", renamed: "renamed_to" };
+
+// -> "merged" | "acquired" | "renamed" | "defunct", or null when nothing matches.
+function classifyFate(text) {
+  if (!text) return null;
+  return FATES.find(([, re]) => re.test(text))?.[0] || null;
+}
+
+// The company named in a fate ("Merged with Exxon to form ExxonMobil" -> "Exxon"), or null.
+function successorFromFate(text) {
+  const m = String(text || "").replace(/\[[^\]]*\]/g, "").match(RE_FATE_SUCCESSOR);
+  if (!m) return null;
+  const name = m[1]
+    .split(/\s*[;,()]\s*|\.\s+(?=[A-Z])|\s+(?:in|on|for|after|to form|and)\s+/)[0]
+    .replace(/\s+(?:19|20)\d{2}$/, "")
+    .replace(/(?<!\b(?:Inc|Corp|Co|Ltd|Bros))\.$/, "")
+    .trim();
+  return name && /[A-Za-zÀ-￿]/.test(name) ? name : null;
+}
+
+// wikidata: lifecycle facts from extractFromWikidata() with names resolved:
+//   { dissolved, endCause, successors: [{ qid, name, relation }], acquirer: { qid, name, since, relation }, formerNames }
+// infobox: the raw { defunct, fate, successor, former_names } rows.
+// Successor websites are filled in later by resolveStatus().
+function buildStatus(wikidata = {}, infobox = {}) {
+  const fate = infobox.fate || null;
+  const dissolved = wikidata.dissolved || parseDateString(infobox.defunct) || null;
+  const successors = wikidata.successors || [];
+  const cause = classifyFate(wikidata.endCause) || classifyFate(fate);
+  const ended = !!(dissolved || infobox.defunct || successors.length || fate);
+
+  // Successor: Wikidata first, then the infobox row, then the name in the fate
+  const fateName = successorFromFate(fate);
+  const rowName = parseOrganization((infobox.successor || [])[0])?.name || null;
+  const successor = successors[0]
+    ? { name: successors[0].name || null, qid: successors[0].qid, relation: successors[0].relation }
+    : rowName ? { name: rowName, qid: null, relation: "successor" }
+    : fateName ? { name: fateName, qid: null, relation: FATE_RELATIONS[cause] || "successor" }
+    : null;
+
+  // Owner that took the company over (Wikidata), else the buyer named in the fate
+  const acquirer = wikidata.acquirer;
+  const acquired_by = acquirer
+    ? { name: acquirer.name || null, qid: acquirer.qid, since: acquirer.since || null }
+    : cause === "acquired" && fateName ? { name: fateName, qid: null, since: dissolved } : null;
+
+  const state = ended ? (cause && cause !== "defunct" ? cause : "defunct") : acquirer ? "acquired" : "active";
+  return {
+    state,
+    active: !ended,
+    dissolved,
+    end_cause: wikidata.endCause || null,
+    fate,
+    successor: successor ? { ...successor, website: null } : null,
+    acquired_by,
+    former_names: unique([...(wikidata.formerNames || []), ...(infobox.former_names || [])])
+  };
+}
+
+// { name, qid } -> { ...successor, qid, name, website }: a name is looked up as a
+// Wikipedia title; the website is the successor's official website (P856).
+// titleToQid: (title, lang) => Promise<qid|null> (defaults to getWikidataIdForTitle).
+async function resolveSuccessor(successor, { getEntities = getWikidataEntities, titleToQid = getWikidataIdForTitle, lang = "en", langs = DEFAULT_LANGS } = {}) {
+  if (!successor) return null;
+  const qid = successor.qid || (successor.name ? await titleToQid(successor.name, lang).catch(() => null) : null);
+  if (!qid) return successor;
+  const entity = (await getEntities([qid]))?.[qid];
+  if (!entity || "missing" in entity) return successor;
+  const { name, website } = extractFromWikidata(entity, { langs });
+  return { ...successor, qid, name: successor.name || name || null, website: website || null };
+}
+
+// buildStatus() result -> the same with the successor resolved (options as for
+// resolveSuccessor); a buyer named only in the fate shares the successor's qid.
+async function resolveStatus(status, options = {}) {
+  if (!status?.successor) return status;
+  const successor = await resolveSuccessor(status.successor, options);
+  const buyer = status.acquired_by;
+  const acquired_by = buyer && !buyer.qid && buyer.name === status.successor.name ? { ...buyer, qid: successor.qid } : buyer;
+  return { ...status, successor, acquired_by };
+}
+
+module.exports = { STATES, classifyFate, successorFromFate, buildStatus, resolveSuccessor, resolveStatus };
@@ -0,0 +1,30 @@
+// lib/util.js
+// Small helpers shared by every module in lib/.
+
+const unique = (arr) => Array.from(new Set((arr || []).filter(Boolean).map(x => String(x).trim()).filter(Boolean)));
+const RE_QID = /^Q\d+$/i;
+
+// Query-string flags: ?provenance=1, ?strict=true, ...
+const isTruthy = (v) => ["1", "true", "yes"].includes(String(v || "").toLowerCase());
+
+// Integer option within [lo, hi]; fallback when not a number.
+const clamp = (n, lo, hi, fallback) => Number.isFinite(n) ? Math.min(Math.max(Math.trunc(n), lo), hi) : fallback;
+
+// Concatenate lists of objects, keeping the first per keyOf(item) but filling
+// its missing fields from later duplicates.
+function unionBy(keyOf, ...lists) {
+  const byKey = new Map();
+  for (const item of lists.flat()) {
+    const key = item && keyOf(item);
+    if (!key) continue;
+    const seen = byKey.get(key);
+    if (!seen) { byKey.set(key, { ...item }); continue; }
+    for (const [k, v] of Object.entries(item)) if (seen[k] == null && v != null) seen[k] = v;
+  }
+  return [...byKey.values()];
+}
+
+const USER_AGENT = "vercel-puppeteer-company/1.0";
+const BROWSER_UA = "Mozilla/5.0";
+
+module.exports = { unique, unionBy, RE_QID, isTruthy, clamp, USER_AGENT, BROWSER_UA };
@@ -0,0 +1,377 @@
+// lib/watch.js
+// Watch list: companies re-enriched on a schedule, with field-level change history.
+// - Each watched company keeps its input (name/domain/qid/...), the last
+//   snapshot of the tracked fields (WATCHED_FIELDS) and its changes
+// - runWatch() re-runs enrichCompany() for every company (cache bypassed) and
+//   records { field, before, after, at } for whatever differs from the snapshot;
+//   the first run only records the baseline. A run has a time budget: the
+//   companies least recently run go first, and those it can't reach are
+//   reported as skipped and come first next time
+// - changeHistory(id) per company, changesSince(date) across the whole list
+//
+// Stores keep one record per company, so a run on one instance and an edit on
+// another never overwrite each other's companies:
+//   list() -> [record]   get(id) -> record|undefined
+//   add(record) -> false (nothing written) when the id is already watched
+//   put(record) -> false (nothing written) when the company was removed meanwhile
+//   remove(id) -> true when it was watched
+// all async. Env configuration:
+//   WATCH_STORE=redis|file|memory   WATCH_FILE=/tmp/company-watch.json
+// The default is Redis when KV_REST_API_* / UPSTASH_REDIS_REST_* are set
+// (redisFromEnv()). File and memory storage are local to the instance, so on
+// Vercel the watch list refuses them (501); configureWatch({ store }) takes
+// anything durable.
+
+const fs = require("fs/promises");
+const os = require("os");
+const path = require("path");
+const { RE_QID } = require("./util");
+const { EnrichError } = require("./errors");
+const { normalizeDomainInput } = require("./domain");
+const { enrichCompany } = require("./enrich");
+const { createCacheContext, redisFromEnv } = require("./cache");
+
+const INPUT_FIELDS = ["name", "domain", "qid", "wikipedia", "lei", "ticker"];
+const MAX_CHANGES_PER_COMPANY = 500;
+const MAX_FEED = 1000;
+const WATCH_BUDGET_MS = 240e3;   // of api/watch.js's 300 s maxDuration (vercel.js)
+const WATCH_CONCURRENCY = 3;
+const ITEM_DEADLINE_MS = 20e3;
+const MIN_ITEM_MS = 5e3;         // less than this left: leave the company for the next run
+
+// Tracked fields: snapshot key -> value read from an enrichCompany() result's data.
+// social is compared per network ("social.linkedin").
+const WATCHED_FIELDS = {
+  name: (d) => d.name || null,
+  employees: (d) => d.employees?.count ?? null,
+  headquarters: (d) => d.headquarters ? [d.headquarters.city, d.headquarters.region_code, d.headquarters.country_code].filter(Boolean).join(", ") || d.headquarters.raw || null : null,
+  type: (d) => d.type || null,
+  website: (d) => d.website || null,
+  tickers: (d) => (d.listings || []).map(l => l.mic ? `${l.symbol}@${l.mic}` : l.symbol).sort(),
+  social: (d) => ({ ...(d.social || {}) }),
+  status: (d) => d.status?.state || null
+};
+
+/* ---------------------------------- Stores ----------------------------------- */
+function createMemoryWatchStore() {
+  const records = new Map(); // id -> JSON, so callers can't mutate what later reads return
+  return {
+    async list() { return [...records.values()].map(json => JSON.parse(json)); },
+    async get(id) { return records.has(id) ? JSON.parse(records.get(id)) : undefined; },
+    async add(record) {
+      if (records.has(record.id)) return false;
+      records.set(record.id, JSON.stringify(record));
+      return true;
+    },
+    async put(record) {
+      if (!records.has(record.id)) return false;
+      records.set(record.id, JSON.stringify(record));
+      return true;
+    },
+    async remove(id) { return records.delete(id); }
+  };
+}
+
+// One JSON file { companies: { [id]: record } }; changes are read-modify-write
+// under an in-process lock (the file is per instance anyway).
+function createFileWatchStore({ file = path.join(os.tmpdir(), "company-watch.json") } = {}) {
+  const read = async () => {
+    try { return JSON.parse(await fs.readFile(file, "utf8")); } catch { return { companies: {} }; }
+  };
+  // Write-then-rename so a crash never leaves half a file
+  const write = async (state) => {
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fs.writeFile(tmp, JSON.stringify(state));
+    await fs.rename(tmp, file);
+  };
+  // fn(companies) -> true when it changed them (then the file is written)
+  let pending = Promise.resolve();
+  const update = (fn) => {
+    const run = pending.then(async () => {
+      const state = await read();
+      const changed = fn(state.companies);
+      if (changed) await write(state);
+      return changed;
+    });
+    pending = run.catch(() => {});
+    return run;
+  };
+  return {
+    async list() { return Object.values((await read()).companies); },
+    async get(id) { return (await read()).companies[id]; },
+    add: (record) => update((companies) => {
+      if (companies[record.id]) return false;
+      companies[record.id] = record;
+      return true;
+    }),
+    put: (record) => update((companies) => {
+      if (!companies[record.id]) return false;
+      companies[record.id] = record;
+      return true;
+    }),
+    remove: (id) => update((companies) => {
+      if (!companies[id]) return false;
+      delete companies[id];
+      return true;
+    })
+  };
+}
+
+// Each company under its own key of a Redis client, plus a set of the watched
+// ids, which decides whether a company is on the list: add() and remove() are a
+// single SADD / SREM. Needs get, set, del, mget, sadd, srem, smembers and
+// sismember as in ioredis, @upstash/redis or createRedisRestClient.
+function createRedisWatchStore(client, { prefix = "company-watch:" } = {}) {
+  const idsKey = `${prefix}ids`;
+  const keyOf = (id) => `${prefix}company:${id}`;
+  const parse = (raw) => raw == null ? undefined : typeof raw === "string" ? JSON.parse(raw) : raw;
+  return {
+    async list() {
+      const ids = (await client.smembers(idsKey)) || [];
+      if (!ids.length) return [];
+      return ((await client.mget(...ids.map(keyOf))) || []).map(parse).filter(Boolean);
+    },
+    async get(id) { return parse(await client.get(keyOf(id))); },
+    async add(record) {
+      if (!Number(await client.sadd(idsKey, record.id))) return false;
+      await client.set(keyOf(record.id), JSON.stringify(record));
+      return true;
+    },
+    async put(record) {
+      if (!Number(await client.sismember(idsKey, record.id))) return false;
+      await client.set(keyOf(record.id), JSON.stringify(record));
+      return true;
+    },
+    async remove(id) {
+      const removed = Number(await client.srem(idsKey, id)) > 0;
+      await client.del(keyOf(id));
+      return removed;
+    }
+  };
+}
+
+// -> { store, shared }: shared is false for the per-instance file and memory stores.
+function storeFromEnv() {
+  const redis = redisFromEnv();
+  const kind = (process.env.WATCH_STORE || (redis ? "redis" : "file")).toLowerCase();
+  if (kind === "redis" && redis) return { store: createRedisWatchStore(redis), shared: true };
+  if (kind === "memory") return { store: createMemoryWatchStore(), shared: false };
+  return { store: createFileWatchStore(process.env.WATCH_FILE ? { file: process.env.WATCH_FILE } : {}), shared: false };
+}
+
+let { store, shared } = storeFromEnv();
+
+// store: a durable watch store (see above), shared by every instance.
+function configureWatch(config = {}) {
+  if (config.store) {
+    store = config.store;
+    shared = true;
+  }
+}
+
+// The store, unless it is per instance on Vercel (where the list would be lost).
+function watchStore() {
+  if (process.env.VERCEL && !shared) {
+    throw new EnrichError("The watch list needs a durable store: set KV_REST_API_URL and KV_REST_API_TOKEN (or UPSTASH_REDIS_REST_*)", { status: 501, code: "NOT_CONFIGURED" });
+  }
+  return store;
+}
+
+/* ---------------------------------- Inputs ----------------------------------- */
+const bad = (message) => new EnrichError(message, { status: 400, code: "BAD_INPUT" });
+
+// { name, domain, qid, ... } -> the known, non-empty fields (domain normalized).
+function watchInput(input = {}) {
+  const out = {};
+  for (const key of INPUT_FIELDS) {
+    const value = String(input[key] || "").trim();
+    if (value) out[key] = value;
+  }
+  if (out.domain) {
+    const domain = normalizeDomainInput(out.domain);
+    if (!domain) throw bad(`Invalid domain "${out.domain}"`);
+    out.domain = domain;
+  }
+  if (out.qid && !RE_QID.test(out.qid)) throw bad(`Invalid Wikidata id "${out.qid}"`);
+  if (out.qid) out.qid = out.qid.toUpperCase();
+  if (!Object.keys(out).length) throw bad("Provide a company name, domain, qid, wikipedia URL, lei or ticker");
+  return out;
+}
+
+// The watch id: the QID when given, else "<kind>:<value>" of the most exact input.
+function watchId(input) {
+  if (input.qid) return input.qid;
+  const key = ["wikipedia", "lei", "ticker", "domain", "name"].find(k => input[k]);
+  return `${key}:${key === "name" ? input[key].toLowerCase() : input[key]}`;
+}
+
+const summary = (record) => ({
+  id: record.id,
+  input: record.input,
+  qid: record.qid,
+  name: record.name,
+  added_at: record.added_at,
+  last_run: record.last_run,
+  last_error: record.last_error,
+  changes: record.changes.length
+});
+
+/* -------------------------------- Watch list --------------------------------- */
+// Adds a company (or returns the existing entry) -> summary.
+async function addWatch(input) {
+  const clean = watchInput(input);
+  const id = watchId(clean);
+  const target = watchStore();
+  const record = {
+    id, input: clean, qid: clean.qid || null, name: clean.name || null,
+    added_at: new Date().toISOString(), last_run: null, last_error: null, snapshot: null, changes: []
+  };
+  if (await target.add(record)) return summary(record);
+  return summary((await target.get(id)) || record);
+}
+
+// -> true when the company was on the list.
+async function removeWatch(id) {
+  return watchStore().remove(id);
+}
+
+async function listWatches() {
+  return (await watchStore().list()).map(summary);
+}
+
+/* --------------------------------- Snapshots --------------------------------- */
+// enrichCompany() result -> { [field]: value } for WATCHED_FIELDS.
+function snapshotOf(result) {
+  const data = result?.data || {};
+  return Object.fromEntries(Object.entries(WATCHED_FIELDS).map(([field, read]) => [field, read(data)]));
+}
+
+// Two snapshots -> [{ field, before, after }]; social per network.
+function diffSnapshots(before, after) {
+  const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+  const changes = [];
+  for (const field of Object.keys(WATCHED_FIELDS)) {
+    if (field === "social") {
+      const networks = new Set([...Object.keys(before?.social || {}), ...Object.keys(after?.social || {})]);
+      for (const network of [...networks].sort()) {
+        const a = before?.social?.[network] ?? null, b = after?.social?.[network] ?? null;
+        if (!same(a, b)) changes.push({ field: `social.${network}`, before: a, after: b });
+      }
+    } else if (!same(before?.[field], after?.[field])) {
+      changes.push({ field, before: before?.[field] ?? null, after: after?.[field] ?? null });
+    }
+  }
+  return changes;
+}
+
+/* ------------------------------------ Job ------------------------------------ */
+// Re-enrich every watched company (or only `ids`), WATCH_CONCURRENCY at a time
+// and least recently run first, and record the changes. options.enrichOptions
+// are passed to enrichCompany() (quotes are off by default: prices are not
+// tracked); each company gets at most ITEM_DEADLINE_MS of the run's budgetMs.
+// -> { ran, changed, failed, skipped: [id], results: [{ id, ok, error, changes }] }
+async function runWatch({ ids = null, enrichOptions = {}, budgetMs = WATCH_BUDGET_MS } = {}) {
+  const targets = (await watchStore().list())
+    .filter(r => !ids || ids.includes(r.id))
+    .sort((a, b) => String(a.last_run || "").localeCompare(String(b.last_run || "")));
+  const budgetEnd = Date.now() + budgetMs;
+  const results = [];
+  const skipped = [];
+  let next = 0;
+  const lanes = Array.from({ length: Math.min(WATCH_CONCURRENCY, targets.length) }, async () => {
+    while (next < targets.length) {
+      const target = targets[next++];
+      const left = budgetEnd - Date.now();
+      if (left < MIN_ITEM_MS) {
+        skipped.push(target.id);
+        continue;
+      }
+      results.push(await runOne(target, { ...enrichOptions, deadline: Math.min(enrichOptions.deadline ?? ITEM_DEADLINE_MS, left) }));
+    }
+  });
+  await Promise.all(lanes);
+  return {
+    ran: results.length,
+    changed: results.filter(r => r.changes.length).length,
+    failed: results.filter(r => !r.ok).length,
+    skipped,
+    results
+  };
+}
+
+// One company: enrich, then diff against its snapshot -> { id, ok, error, changes }.
+async function runOne(target, enrichOptions) {
+  const at = new Date().toISOString();
+  let result = null, error = null;
+  try {
+    result = await enrichCompany(target.input, { quotes: "none", ...enrichOptions, cache: createCacheContext({ refresh: true }) });
+  } catch (err) {
+    error = err.message || String(err);
+  }
+  // A partial result (deadline passed) lacks fields rather than changing them
+  if (result?.partial) {
+    error = `Timed out: ${(result.source?.timed_out || []).join(", ")}; snapshot kept`;
+    result = null;
+  }
+  // Only this company's record is rewritten, and not when it was removed meanwhile
+  const store = watchStore();
+  const record = await store.get(target.id);
+  let changes = [];
+  if (record) {
+    record.last_run = at;
+    record.last_error = error;
+    if (result) {
+      const snapshot = snapshotOf(result);
+      changes = record.snapshot ? diffSnapshots(record.snapshot, snapshot).map(c => ({ ...c, at })) : [];
+      record.snapshot = snapshot;
+      record.qid = result.source?.wikidata || record.qid;
+      record.name = snapshot.name || record.name;
+      record.changes = [...record.changes, ...changes].slice(-MAX_CHANGES_PER_COMPANY);
+    }
+    if (!(await store.put(record))) changes = [];
+  }
+  return { id: target.id, ok: !error, error, changes };
+}
+
+/* ---------------------------------- History ---------------------------------- */
+// One company -> { ...summary, snapshot, history: [{ field, before, after, at }] } (newest first), or null.
+async function changeHistory(id) {
+  const record = await watchStore().get(id);
+  if (!record) return null;
+  return { ...summary(record), snapshot: record.snapshot, history: [...record.changes].reverse() };
+}
+
+// Every change at or after `since` (ISO date or date-time), newest first, as
+// { id, qid, name, field, before, after, at }; optionally only some fields
+// (prefixes: "social" matches "social.x").
+async function changesSince(since, { fields = null, limit = MAX_FEED } = {}) {
+  const from = Date.parse(since);
+  if (!since || Number.isNaN(from)) throw bad(`Invalid date "${since}" (use e.g. 2025-01-31)`);
+  const wanted = (field) => !fields || fields.some(f => field === f || field.startsWith(`${f}.`));
+  const feed = [];
+  for (const record of await watchStore().list()) {
+    for (const change of record.changes) {
+      if (Date.parse(change.at) >= from && wanted(change.field)) {
+        feed.push({ id: record.id, qid: record.qid, name: record.name, ...change });
+      }
+    }
+  }
+  return feed.sort((a, b) => b.at.localeCompare(a.at)).slice(0, limit);
+}
+
+module.exports = {
+  WATCHED_FIELDS,
+  createMemoryWatchStore,
+  createFileWatchStore,
+  createRedisWatchStore,
+  configureWatch,
+  addWatch,
+  removeWatch,
+  listWatches,
+  snapshotOf,
+  diffSnapshots,
+  runWatch,
+  changeHistory,
+  changesSince
+};
@@ -0,0 +1,287 @@
+// lib/website.js
+// The company's own website, read once per request and shared by
+// - social profile discovery (lib/socials.js)
+// - the website profile: schema.org Organization JSON-LD, OpenGraph / Twitter
+//   card tags, meta description, logo and favicon, tel:/mailto: links and the
+//   postal address
+// Pages read: the homepage, then its about/contact pages (linked ones, else the
+// usual paths). A homepage that loads but looks JS-rendered (almost no links)
+// is re-read with Puppeteer when a browser is available and the engine allows it.
+
+const { unique, BROWSER_UA } = require("./util");
+const { parseHtml, find, findAll, textOf } = require("./html");
+const { socialsFromPages, classifySocial } = require("./socials");
+const { normalizeDomainInput } = require("./domain");
+
+const EXTRA_PAGES = ["/about", "/contact"];
+const MAX_EXTRA_PAGES = 2;
+const PAGE_TIMEOUT_MS = 10000;
+const MIN_LINKS = 5;        // fewer <a href> on the homepage -> probably rendered by JS
+const MAX_CONTACTS = 5;     // emails / phones each
+const MAX_KEYWORDS = 10;
+const ORG_TYPE = /(Organization|Corporation|Company|LocalBusiness|Store|NGO)$/;
+
+// Industry terms looked for in the title/description when the site declares no
+// keywords of its own; extend as needed.
+const INDUSTRY_TERMS = [
+  "accounting", "advertising", "aerospace", "agriculture", "analytics", "architecture", "artificial intelligence",
+  "automotive", "banking", "biotechnology", "cloud", "construction", "consulting", "cybersecurity", "design",
+  "e-commerce", "education", "energy", "engineering", "fashion", "fintech", "food", "gaming", "healthcare",
+  "hospitality", "insurance", "investment", "legal", "logistics", "manufacturing", "marketing", "media",
+  "pharmaceutical", "real estate", "recruiting", "retail", "robotics", "saas", "semiconductors", "software",
+  "telecommunications", "transportation", "travel"
+];
+
+/* ---------------------------------- Pages ------------------------------------ */
+
+// signal: the caller's deadline, on top of PAGE_TIMEOUT_MS.
+async function fetchPage(url, signal) {
+  try {
+    const timeout = AbortSignal.timeout(PAGE_TIMEOUT_MS);
+    const res = await fetch(url, { headers: { "User-Agent": BROWSER_UA }, signal: signal ? AbortSignal.any([signal, timeout]) : timeout });
+    if (!res.ok || !/html/i.test(res.headers?.get?.("content-type") || "text/html")) return null;
+    return { url: res.url || url, html: await res.text() };
+  } catch { return null; }
+}
+
+async function renderPage(browser, url, signal) {
+  const page = await browser.newPage();
+  signal?.addEventListener("abort", () => page.close().catch(() => {}), { once: true });
+  try {
+    await page.setUserAgent(BROWSER_UA);
+    await page.goto(url, { waitUntil: "networkidle2", timeout: 20000 });
+    return { url: page.url(), html: await page.content() };
+  } catch { return null; }
+  finally { await page.close().catch(() => {}); }
+}
+
+// { url, html } -> { url, root, jsonLd: [parsed ld+json blocks] }
+function readPage({ url, html }) {
+  const root = parseHtml(html);
+  const jsonLd = [];
+  for (const script of findAll(root, el => el.tag === "script" && /ld\+json/i.test(el.attrs.type || ""))) {
+    try { jsonLd.push(JSON.parse(script.children.join(""))); } catch {}
+  }
+  return { url, root, jsonLd };
+}
+
+const absolute = (href, base) => { try { return new URL(href, base).href; } catch { return null; } };
+const anchorCount = (page) => findAll(page.root, el => el.tag === "a" && el.attrs.href).length;
+
+// About/contact pages linked from the homepage, else the usual paths.
+function extraPages(page) {
+  const host = new URL(page.url).hostname;
+  const internal = findAll(page.root, el => el.tag === "a" && el.attrs.href)
+    .map(el => absolute(el.attrs.href, page.url))
+    .filter(h => h && new URL(h).hostname === host);
+  const linked = unique(internal.filter(h => /^\/(about|about-us|company|contact|contact-us)\/?$/i.test(new URL(h).pathname)).map(h => h.replace(/[?#].*$/, "")));
+  const guessed = EXTRA_PAGES.map(p => new URL(p, page.url).href);
+  return unique([...linked, ...guessed]).filter(h => h !== page.url).slice(0, MAX_EXTRA_PAGES);
+}
+
+// Website -> [homepage, ...extra pages] (read), or null if the homepage failed.
+// `engine` works as for infoboxes: "browser" always renders the homepage, "auto"
+// renders one that loaded with fewer than MIN_LINKS links (an unreachable site
+// is not retried), "http" never launches Chromium.
+// Rejects once `signal` is aborted (the caller's deadline), so a cut-short read is never cached.
+async function readWebsite(website, { engine = "auto", getBrowser, signal } = {}) {
+  if (!website) return null;
+  const home = website.startsWith("http") ? website : `https://${website}`;
+
+  let homepage = engine === "browser" ? null : await fetchPage(home, signal).then(p => p && readPage(p));
+  signal?.throwIfAborted();
+  const render = engine === "browser" || (engine === "auto" && homepage && anchorCount(homepage) < MIN_LINKS);
+  if (render && getBrowser) {
+    const browser = await getBrowser().catch(() => null);
+    const rendered = browser && await renderPage(browser, home, signal).catch(() => null);
+    if (rendered) homepage = readPage(rendered);
+    signal?.throwIfAborted();
+  }
+  if (!homepage) return null;
+
+  const extras = await Promise.all(extraPages(homepage).map(url => fetchPage(url, signal)));
+  signal?.throwIfAborted();
+  return [homepage, ...extras.filter(Boolean).map(readPage)];
+}
+
+/* ----------------------------- Website profile ------------------------------- */
+
+// schema.org nodes whose @type is an organization, anywhere in the blocks.
+function organizationNodes(blocks) {
+  const out = [];
+  const walk = (node) => {
+    if (Array.isArray(node)) return node.forEach(walk);
+    if (!node || typeof node !== "object") return;
+    const types = [].concat(node["@type"] || []);
+    if (types.some(t => ORG_TYPE.test(String(t)))) out.push(node);
+    for (const v of Object.values(node)) if (v && typeof v === "object") walk(v);
+  };
+  walk(blocks);
+  return out;
+}
+
+// <meta name|property="..." content="..."> -> { "og:title": "...", description: "..." }
+function metaTags(root) {
+  const out = {};
+  for (const el of findAll(root, el => el.tag === "meta" && el.attrs.content)) {
+    const key = String(el.attrs.property || el.attrs.name || "").toLowerCase();
+    if (key && !(key in out)) out[key] = el.attrs.content.trim();
+  }
+  return out;
+}
+
+const str = (v) => (typeof v === "string" && v.trim() ? v.trim() : null);
+const imageUrl = (v, base) => {
+  const raw = str(v) || str(v?.url) || str(v?.contentUrl) || (Array.isArray(v) ? imageUrl(v[0], base) : null);
+  return raw ? absolute(raw, base) : null;
+};
+
+// PostalAddress (or a plain string) -> { street, locality, region, postal_code, country, raw }
+function postalAddress(a) {
+  if (Array.isArray(a)) return postalAddress(a[0]);
+  if (typeof a === "string") return str(a) ? { street: null, locality: null, region: null, postal_code: null, country: null, raw: a.trim() } : null;
+  if (!a || typeof a !== "object") return null;
+  const parts = {
+    street: str(a.streetAddress),
+    locality: str(a.addressLocality),
+    region: str(a.addressRegion),
+    postal_code: str(a.postalCode),
+    country: str(a.addressCountry) || str(a.addressCountry?.name)
+  };
+  const raw = Object.values(parts).filter(Boolean).join(", ");
+  return raw ? { ...parts, raw } : null;
+}
+
+// "Acme – Widgets for everyone" -> "Acme": the title part closest to the domain's label.
+function nameFromTitle(title, url) {
+  const parts = String(title || "").split(/\s+[|–—·:-]\s+/).map(s => s.trim()).filter(Boolean);
+  if (!parts.length) return null;
+  const label = new URL(url).hostname.replace(/^www\./, "").split(".")[0].replace(/[^a-z0-9]/g, "");
+  const squash = (s) => s.toLowerCase().replace(/[^a-z0-9]/g, "");
+  return parts.find(p => squash(p) === label) || parts.find(p => squash(p).includes(label) || label.includes(squash(p))) || parts[0];
+}
+
+// Declared keywords (meta keywords, JSON-LD keywords/knowsAbout), else
+// INDUSTRY_TERMS found in the title and description.
+function keywordsOf(org, meta, text) {
+  const list = (v) => [].concat(v || []).flatMap(k => typeof k === "string" ? k.split(",") : [str(k?.name)]).map(k => String(k || "").trim()).filter(Boolean);
+  const declared = unique([...list(meta.keywords), ...list(org.keywords), ...list(org.knowsAbout)].map(k => k.toLowerCase()));
+  if (declared.length) return declared.slice(0, MAX_KEYWORDS);
+  const lower = ` ${text.toLowerCase()} `;
+  return INDUSTRY_TERMS.filter(t => new RegExp(`[^a-z]${t.replace(/[-]/g, "[- ]?")}[^a-z]`).test(lower)).slice(0, MAX_KEYWORDS);
+}
+
+const cleanEmail = (v) => {
+  const e = String(v || "").replace(/^mailto:/i, "").split("?")[0].trim().toLowerCase();
+  try { return /^[^\s@]+@[^\s@]+\.[a-z]{2,}$/.test(decodeURIComponent(e)) ? decodeURIComponent(e) : null; } catch { return null; }
+};
+// Digits with an optional leading "+" ("tel:+1-650-253-0000" -> "+16502530000").
+const cleanPhone = (v) => {
+  let p;
+  try { p = decodeURIComponent(String(v || "").replace(/^tel:/i, "")); } catch { return null; }
+  const digits = p.trim().replace(/(?!^\+)[^\d]/g, "");
+  return digits.replace(/\D/g, "").length >= 7 ? digits : null;
+};
+
+// pages: readWebsite() result -> website_profile
+function websiteProfile(pages) {
+  const [home] = pages;
+  const org = organizationNodes(home.jsonLd)[0] || pages.slice(1).map(p => organizationNodes(p.jsonLd)[0]).find(Boolean) || {};
+  const meta = metaTags(home.root);
+
+  const icon = find(home.root, el => el.tag === "link" && /(^|\s)(shortcut )?icon(\s|$)/i.test(el.attrs.rel || "") && el.attrs.href)
+            || find(home.root, el => el.tag === "link" && /apple-touch-icon/i.test(el.attrs.rel || "") && el.attrs.href);
+
+  const contactPoints = [].concat(org.contactPoint || []).filter(c => c && typeof c === "object").map(c => ({
+    type: str(c.contactType),
+    telephone: cleanPhone(c.telephone),
+    email: cleanEmail(c.email)
+  })).filter(c => c.telephone || c.email);
+
+  const links = pages.flatMap(p => findAll(p.root, el => el.tag === "a" && el.attrs.href).map(el => el.attrs.href));
+  const emails = unique([cleanEmail(org.email), ...contactPoints.map(c => c.email), ...links.filter(h => /^mailto:/i.test(h)).map(cleanEmail)].filter(Boolean)).slice(0, MAX_CONTACTS);
+  const phones = unique([cleanPhone(org.telephone), ...contactPoints.map(c => c.telephone), ...links.filter(h => /^tel:/i.test(h)).map(cleanPhone)].filter(Boolean)).slice(0, MAX_CONTACTS);
+
+  // JSON-LD address, else the first <address> element on any page
+  const addressEl = pages.map(p => find(p.root, el => el.tag === "address")).find(Boolean);
+  const addressText = addressEl ? textOf(addressEl).replace(/\s*\n\s*/g, ", ").replace(/\s+/g, " ").replace(/^[,\s]+|[,\s]+$/g, "") : null;
+  const address = postalAddress(org.address) || postalAddress(addressText);
+
+  const og = {
+    title: meta["og:title"] || null,
+    description: meta["og:description"] || null,
+    image: meta["og:image"] ? absolute(meta["og:image"], home.url) : null,
+    site_name: meta["og:site_name"] || null,
+    type: meta["og:type"] || null,
+    url: meta["og:url"] || null
+  };
+  const twitter = {
+    card: meta["twitter:card"] || null,
+    site: meta["twitter:site"] || null,
+    title: meta["twitter:title"] || null,
+    description: meta["twitter:description"] || null,
+    image: meta["twitter:image"] ? absolute(meta["twitter:image"], home.url) : null
+  };
+  const orNull = (o) => Object.values(o).some(v => v != null) ? o : null;
+  const title = textOf(find(home.root, el => el.tag === "title")).trim() || null;
+  const description = str(org.description) || meta.description || og.description || twitter.description || null;
+  const canonical = find(home.root, el => el.tag === "link" && /(^|\s)canonical(\s|$)/i.test(el.attrs.rel || "") && el.attrs.href);
+
+  return {
+    url: home.url,
+    canonical_url: canonical ? absolute(canonical.attrs.href, home.url) : null,
+    name: str(org.name) || og.site_name || nameFromTitle(og.title || title, home.url),
+    legal_name: str(org.legalName),
+    title,
+    description,
+    keywords: keywordsOf(org, meta, `${title || ""} ${description || ""}`),
+    logo: imageUrl(org.logo, home.url),
+    favicon: icon ? absolute(icon.attrs.href, home.url) : absolute("/favicon.ico", home.url),
+    image: og.image || twitter.image || null,
+    emails,
+    phones,
+    contact_points: contactPoints,
+    address,
+    opengraph: orNull(og),
+    twitter_card: orNull(twitter)
+  };
+}
+
+/* ---------------------------- Linked domains -------------------------------- */
+
+// Other hosts a homepage points at, as alias-domain candidates:
+// [{ domain, via: "hreflang" | "json-ld" | "link" }], first sighting per host.
+// Social networks are left out; the page's own host is included.
+function linkedDomains(page) {
+  const found = [];
+  for (const el of findAll(page.root, el => el.tag === "link" && /(^|\s)alternate(\s|$)/i.test(el.attrs.rel || "") && el.attrs.hreflang && el.attrs.href)) {
+    found.push([absolute(el.attrs.href, page.url), "hreflang"]);
+  }
+  for (const org of organizationNodes(page.jsonLd)) {
+    for (const u of [].concat(org.url || [], org.sameAs || [])) if (typeof u === "string") found.push([absolute(u, page.url), "json-ld"]);
+  }
+  for (const el of findAll(page.root, el => el.tag === "a" && el.attrs.href)) found.push([absolute(el.attrs.href, page.url), "link"]);
+
+  const out = new Map();
+  for (const [url, via] of found) {
+    if (!url || !/^https?:/i.test(url) || classifySocial(url)) continue;
+    const domain = normalizeDomainInput(url);
+    if (domain && !out.has(domain)) out.set(domain, { domain, via });
+  }
+  return [...out.values()];
+}
+
+// Homepage URL -> its linkedDomains(), or null if it could not be fetched.
+async function fetchLinkedDomains(website) {
+  const page = await fetchPage(website);
+  return page ? linkedDomains(readPage(page)) : null;
+}
+
+// Website -> { url, profile, social_profiles } or null if it could not be read.
+async function fetchWebsite(website, options) {
+  const pages = await readWebsite(website, options);
+  if (!pages) return null;
+  return { url: pages[0].url, profile: websiteProfile(pages), social_profiles: socialsFromPages(pages) };
+}
+
+module.exports = { INDUSTRY_TERMS, readWebsite, websiteProfile, fetchWebsite, linkedDomains, fetchLinkedDomains };
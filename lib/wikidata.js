@@ -0,0 +1,417 @@
+// lib/wikidata.js
+// Wikidata access: entity fetch (plain + batched loader), lookup by official
+// website, and extraction of the claims the enrichment pipeline uses.
+
+const { unique, RE_QID, USER_AGENT } = require("./util");
+const { wikidataTimeToIso } = require("./dates");
+const { headcountFromStatement, employeeSeriesFromWikidata } = require("./employees");
+const { WIKIDATA_SOCIAL_PROPERTIES } = require("./socials");
+const { normalizeDomainInput, registrableDomain, unicodeDomain } = require("./domain");
+const { DEFAULT_LANGS, pickLanguage, pickSitelink } = require("./languages");
+
+// wbgetentities accepts up to 50 ids per call; larger lists are chunked.
+async function getWikidataEntities(ids) {
+  const qids = unique((ids || []).filter(id => RE_QID.test(id)));
+  if (!qids.length) return null;
+  const out = {};
+  for (let i = 0; i < qids.length; i += 50) {
+    const chunk = qids.slice(i, i + 50);
+    const url = `https://www.wikidata.org/w/api.php?action=wbgetentities&ids=${chunk.join("|")}&format=json`;
+    const res = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+    if (!res.ok) continue;
+    const json = await res.json();
+    Object.assign(out, json?.entities || {});
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+// Drop-in replacement for getWikidataEntities that collects every id requested
+// during the current tick, fetches them together on the next one, and memoizes
+// for its own lifetime (countries, exchanges etc. repeat a lot across a batch).
+function createEntityLoader(fetchEntities = getWikidataEntities) {
+  const cache = new Map(); // qid -> Promise<entity|null>
+  let queue = null;
+
+  const schedule = (id) => {
+    if (!queue) {
+      const current = queue = { ids: new Set() };
+      current.promise = new Promise(resolve => setImmediate(resolve))
+        .then(() => { queue = null; return fetchEntities([...current.ids]); })
+        .then(entities => entities || {}, () => ({}));
+    }
+    queue.ids.add(id);
+    return queue.promise.then(entities => entities[id] || null);
+  };
+
+  return async function getEntities(ids) {
+    const qids = unique((ids || []).filter(id => RE_QID.test(id)));
+    if (!qids.length) return null;
+    for (const id of qids) {
+      if (!cache.has(id)) cache.set(id, schedule(id));
+    }
+    const values = await Promise.all(qids.map(id => cache.get(id)));
+    const out = {};
+    qids.forEach((id, i) => { if (values[i]) out[id] = values[i]; });
+    return Object.keys(out).length ? out : null;
+  };
+}
+
+// Label/alias search (wbsearchentities) in `lang`: [{ id, label, description }], best first.
+async function searchWikidataEntities(query, limit = 5, lang = "en") {
+  const url = `https://www.wikidata.org/w/api.php?action=wbsearchentities&search=${encodeURIComponent(query)}&language=${lang}&uselang=${lang}&type=item&limit=${limit}&format=json`;
+  const res = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+  if (!res.ok) return [];
+  const json = await res.json();
+  return (json?.search || [])
+    .filter(r => RE_QID.test(r.id || ""))
+    .map(r => ({ id: r.id, label: r.label || null, description: r.description || null }));
+}
+
+/* ---------------------------------- SPARQL ---------------------------------- */
+// Runs a SELECT query and returns its result bindings.
+async function sparqlBindings(query) {
+  const url = `https://query.wikidata.org/sparql?query=${encodeURIComponent(query)}&format=json`;
+  const res = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+  if (!res.ok) return [];
+  const json = await res.json();
+  return json?.results?.bindings || [];
+}
+
+const qidOf = (uri) => (uri ? uri.split("/").pop() : null);
+
+// Runs a SELECT ?item query and returns the Q-ids in result order.
+async function sparqlItemIds(query) {
+  const bindings = await sparqlBindings(query);
+  return unique(bindings.map(b => qidOf(b.item?.value)).filter(id => RE_QID.test(id)));
+}
+
+// JSON string escaping is valid SPARQL string-literal escaping.
+const sparqlString = (value) => JSON.stringify(String(value));
+
+/* ---------------------------- Lookup by website ----------------------------- */
+
+// How well an official website URL fits the host we look for: the same host
+// (ignoring www.) beats the registrable domain, which beats a sibling
+// subdomain; a homepage beats a deeper path. 0 = different site.
+function websiteMatchScore(website, host) {
+  let u;
+  try { u = new URL(website); } catch { return 0; }
+  const h = normalizeDomainInput(u.hostname);
+  if (!h) return 0;
+  const site = registrableDomain(host);
+  const hostScore = h === host ? 3 : h === site ? 2 : registrableDomain(h) === site ? 1 : 0;
+  return hostScore ? hostScore * 2 + (/^\/?$/.test(u.pathname) ? 1 : 0) : 0;
+}
+
+// P856 values to look for exactly: the host, its registrable domain, with and
+// without www., punycode and Unicode, http(s), with and without slash, plus the
+// given path.
+function websiteVariants(websiteUrl) {
+  const u = new URL(websiteUrl);
+  const host = normalizeDomainInput(u.hostname);
+  const site = registrableDomain(host);
+  const hosts = unique([host, site].flatMap(h => [h, unicodeDomain(h)]).flatMap(h => [h, `www.${h}`]));
+  const path = u.pathname === "/" ? "" : u.pathname.replace(/\/$/, "");
+  const paths = path ? ["", "/", path, `${path}/`] : ["", "/"];
+  const variants = [];
+  for (const scheme of ["https:", "http:"]) {
+    for (const h of hosts) for (const p of paths) variants.push(`${scheme}//${h}${p}`);
+  }
+  return unique(variants);
+}
+
+// Items with any URL on the site (subdomains, deeper paths) per the external
+// links index; their P856 is checked afterwards.
+async function itemsLinkingToSite(site) {
+  const qids = [];
+  for (const query of [site, `*.${site}`]) {
+    const url = `https://www.wikidata.org/w/api.php?action=query&list=exturlusage&euquery=${encodeURIComponent(query)}&eunamespace=0&eulimit=50&format=json`;
+    const res = await fetch(url, { headers: { "User-Agent": USER_AGENT } }).catch(() => null);
+    const json = res?.ok ? await res.json().catch(() => null) : null;
+    for (const r of json?.query?.exturlusage || []) if (RE_QID.test(r.title || "")) qids.push(r.title);
+  }
+  return unique(qids).slice(0, 50);
+}
+
+// Items by official website (P856) -> [{ qid, website, score, sitelinks }], best
+// first (see websiteMatchScore; more sitelinks breaks ties), or [].
+// Exact URL variants are tried first; only when none match are items linking
+// anywhere on the registrable domain checked.
+async function findWikidataByWebsite(websiteUrl) {
+  let variants, host;
+  try {
+    variants = websiteVariants(websiteUrl);
+    host = normalizeDomainInput(new URL(websiteUrl).hostname);
+  } catch { return []; }
+  if (!host) return [];
+
+  const select = (values) => `
+    SELECT ?item ?w ?sitelinks WHERE {
+      ${values}
+      ?item wdt:P856 ?w .
+      OPTIONAL { ?item wikibase:sitelinks ?sitelinks }
+    } LIMIT 50
+  `.trim();
+
+  let bindings = await sparqlBindings(select(`VALUES ?w { ${variants.map(v => `<${v}>`).join(" ")} }`));
+  if (!bindings.length) {
+    const qids = await itemsLinkingToSite(registrableDomain(host));
+    bindings = qids.length ? await sparqlBindings(select(`VALUES ?item { ${qids.map(q => `wd:${q}`).join(" ")} }`)) : [];
+  }
+
+  const best = new Map(); // qid -> best match of its P856 values
+  for (const b of bindings) {
+    const qid = qidOf(b.item?.value);
+    const website = b.w?.value;
+    const score = website ? websiteMatchScore(website, host) : 0;
+    if (!RE_QID.test(qid || "") || !score) continue;
+    const m = { qid, website, score, sitelinks: Number(b.sitelinks?.value) || 0 };
+    const seen = best.get(qid);
+    if (!seen || m.score > seen.score) best.set(qid, m);
+  }
+  return [...best.values()].sort((a, b) => b.score - a.score || b.sitelinks - a.sitelinks);
+}
+
+// All items carrying an exact identifier value, e.g. LEI (P1278).
+async function findWikidataByExternalId(pid, value) {
+  const query = `SELECT DISTINCT ?item WHERE { ?item wdt:${pid} ${sparqlString(value)} . } LIMIT 10`;
+  return sparqlItemIds(query);
+}
+
+// Ticker symbols (P249) are stored either as a direct claim or, more often,
+// as a qualifier on the stock exchange (P414) statement; match both.
+async function findWikidataByTicker(symbol) {
+  const lit = sparqlString(symbol);
+  const query = `
+    SELECT DISTINCT ?item WHERE {
+      { ?item wdt:P249 ${lit} . }
+      UNION
+      { ?item p:P414 ?st . ?st pq:P249 ${lit} . }
+    } LIMIT 10
+  `.trim();
+  return sparqlItemIds(query);
+}
+
+// Items that name `qid` as parent organization (P749), owner (P127) or
+// manufacturer (P176) and have an official website (P856):
+// [{ qid, name, relation: "subsidiary" | "owned" | "product", website }]
+async function findWebsitesOwnedBy(qid, limit = 200) {
+  if (!RE_QID.test(qid || "")) return [];
+  const query = `
+    SELECT ?item ?itemLabel ?w ?rel WHERE {
+      { ?item wdt:P749 wd:${qid} . BIND("subsidiary" AS ?rel) }
+      UNION { ?item wdt:P127 wd:${qid} . BIND("owned" AS ?rel) }
+      UNION { ?item wdt:P176 wd:${qid} . BIND("product" AS ?rel) }
+      ?item wdt:P856 ?w .
+      SERVICE wikibase:label { bd:serviceParam wikibase:language "en". }
+    } LIMIT ${limit}
+  `.trim();
+  return (await sparqlBindings(query))
+    .map(b => ({ qid: qidOf(b.item?.value), name: b.itemLabel?.value || null, relation: b.rel?.value || null, website: b.w?.value || null }))
+    .filter(r => RE_QID.test(r.qid || "") && r.website)
+    .map(r => ({ ...r, name: r.name === r.qid ? null : r.name }));
+}
+
+// langs: label/description/sitelink chain (see lib/languages.js)
+function extractFromWikidata(entity, { langs = DEFAULT_LANGS } = {}) {
+  if (!entity?.claims) return {};
+  const claims = entity.claims;
+
+  const latestByP585 = (arr) => {
+    const live = (arr || []).filter(st => st.rank !== "deprecated");
+    if (!live.length) return null;
+    const scored = live.map(st => {
+      const t = st.qualifiers?.P585?.[0]?.datavalue?.value?.time; // +2024-00-00T00:00:00Z
+      const key = t ? Number(t.replace(/[^\d]/g, "").slice(0,8)) : 0;
+      return { st, key, preferred: st.rank === "preferred" };
+    }).sort((a,b) => (b.key - a.key) || (b.preferred - a.preferred));
+    return scored[0].st;
+  };
+
+  // Non-deprecated statements without an end time (P582); preferred rank wins when present.
+  const current = (arr) => {
+    const live = (arr || []).filter(st => st.rank !== "deprecated" && !st.qualifiers?.P582);
+    const preferred = live.filter(st => st.rank === "preferred");
+    return preferred.length ? preferred : live;
+  };
+  const itemIds = (arr) => (arr || []).map(x => x.mainsnak?.datavalue?.value?.id).filter(Boolean);
+
+  // Website (P856); every non-deprecated one for reverse lookups, preferred
+  // first, `current` false once it has an end time (P582)
+  const website = claims.P856?.[0]?.mainsnak?.datavalue?.value || null;
+  const websites = (claims.P856 || [])
+    .filter(st => st.rank !== "deprecated" && typeof st.mainsnak?.datavalue?.value === "string")
+    .sort((a, b) => (b.rank === "preferred") - (a.rank === "preferred"))
+    .map(st => ({ url: st.mainsnak.datavalue.value, preferred: st.rank === "preferred", current: !st.qualifiers?.P582 }));
+
+  // Employees (P1128): the latest headcount, and every dated one as a series
+  const emp = latestByP585(claims.P1128);
+  const employees = headcountFromStatement(emp);
+  const employeeSeries = employeeSeriesFromWikidata(claims.P1128);
+
+  // Industries (P452) -> Qids
+  const industryIds = (claims.P452 || []).map(x => x.mainsnak?.datavalue?.value?.id).filter(Boolean);
+
+  // HQ location (P159) -> Qid, plus the address parts stated on it (street
+  // address P6375, postal code P281, coordinates P625 qualifiers) or on the company
+  const hqStmt = current(claims.P159)[0] || claims.P159?.[0] || null;
+  const headquartersId = hqStmt?.mainsnak?.datavalue?.value?.id || null;
+  const qualifier = (pid) => hqStmt?.qualifiers?.[pid]?.[0]?.datavalue?.value ?? null;
+  const ownValue = (pid) => current(claims[pid])[0]?.mainsnak?.datavalue?.value ?? null;
+  const street = qualifier("P6375") || ownValue("P6375");
+  const hqCoords = qualifier("P625");
+  const headquartersAddress = {
+    street: (typeof street === "string" ? street : street?.text) || null,
+    postal_code: qualifier("P281") || ownValue("P281") || null,
+    coordinates: typeof hqCoords?.latitude === "number" ? { lat: hqCoords.latitude, lon: hqCoords.longitude } : null
+  };
+
+  // Type (P31) -> array of Qids
+  const typeIds = (claims.P31 || []).map(x => x.mainsnak?.datavalue?.value?.id).filter(Boolean);
+
+  // Stock tickers: P249 claims (exchange as a P414 qualifier) and, more often,
+  // P414 exchange statements with the ticker as a P249 qualifier. One entry per
+  // symbol and exchange; a bare symbol is dropped when it is also listed with one.
+  const fromTickers = (claims.P249 || []).map(st => ({
+    symbol: st.mainsnak?.datavalue?.value || null,
+    exchangeId: st.qualifiers?.P414?.[0]?.datavalue?.value?.id || null
+  }));
+  const fromExchanges = (claims.P414 || []).flatMap(st => (st.qualifiers?.P249 || []).map(q => ({
+    symbol: q.datavalue?.value || null,
+    exchangeId: st.mainsnak?.datavalue?.value?.id || null
+  })));
+  const tickerRows = [...fromTickers, ...fromExchanges]
+    .filter(t => typeof t.symbol === "string" && t.symbol.trim())
+    .map(t => ({ symbol: t.symbol.trim(), exchangeId: t.exchangeId }));
+  const listed = new Set(tickerRows.filter(t => t.exchangeId).map(t => t.symbol.toUpperCase()));
+  const seenTickers = new Set();
+  const tickers = tickerRows.filter(t => {
+    const key = `${t.symbol.toUpperCase()}|${t.exchangeId || ""}`;
+    if ((!t.exchangeId && listed.has(t.symbol.toUpperCase())) || seenTickers.has(key)) return false;
+    seenTickers.add(key);
+    return true;
+  });
+
+  // Founded (P571) -> ISO date at the statement's precision
+  const inception = current(claims.P571)[0] || null;
+  const founded = wikidataTimeToIso(inception?.mainsnak?.datavalue?.value);
+
+  // Founders (P112), CEO (P169), parent (P749), owners (P127), subsidiaries (P355) -> Qids
+  const founderIds = itemIds(claims.P112);
+  const ceoStmts = current(claims.P169);
+  const parentStmts = current(claims.P749);
+  const ownerStmts = current(claims.P127);
+  const subsidiaryStmts = current(claims.P355);
+  // Owner of (P1830), products (P1056) -> Qids, for brand websites
+  const ownedIds = itemIds(current(claims.P1830));
+  const productIds = itemIds(current(claims.P1056));
+
+  // Country (P17) -> Qid
+  const countryId = itemIds(current(claims.P17))[0] || null;
+
+  // Lifecycle: dissolved (P576) and why (end cause P1534), successors (replaced
+  // by P1366, followed by P156), the newest parent/owner with a start time
+  // (P580), and official names (P1448) that have ended
+  const live = (arr) => (arr || []).filter(st => st.rank !== "deprecated");
+  const dissolvedStmt = live(claims.P576)[0] || null;
+  // Owners (P127) count only with a majority stake (P1107), when one is stated
+  const majority = (st) => { const p = st.qualifiers?.P1107?.[0]?.datavalue?.value?.amount; return p == null || Number(p) > 0.5; };
+  const acquiredStmt = [...current(claims.P749).map(st => [st, "parent"]), ...current(claims.P127).filter(majority).map(st => [st, "owner"])]
+    .filter(([st]) => st.mainsnak?.datavalue?.value?.id && st.qualifiers?.P580?.[0]?.datavalue?.value?.time)
+    .sort(([a], [b]) => b.qualifiers.P580[0].datavalue.value.time.localeCompare(a.qualifiers.P580[0].datavalue.value.time))[0] || null;
+  const lifecycle = {
+    dissolved: wikidataTimeToIso(dissolvedStmt?.mainsnak?.datavalue?.value),
+    endCauseId: dissolvedStmt?.qualifiers?.P1534?.[0]?.datavalue?.value?.id || itemIds(live(claims.P1534))[0] || null,
+    successors: [
+      ...itemIds(live(claims.P1366)).map(qid => ({ qid, relation: "replaced_by" })),
+      ...itemIds(live(claims.P156)).map(qid => ({ qid, relation: "followed_by" }))
+    ],
+    acquirer: acquiredStmt ? {
+      qid: acquiredStmt[0].mainsnak.datavalue.value.id,
+      relation: acquiredStmt[1],
+      since: wikidataTimeToIso(acquiredStmt[0].qualifiers.P580[0].datavalue.value)
+    } : null,
+    formerNames: unique(live(claims.P1448).filter(st => st.qualifiers?.P582).map(st => st.mainsnak?.datavalue?.value?.text))
+  };
+
+  // Revenue (P2139), operating income (P3362), net income (P2295): latest by
+  // point in time; the currency is the unit item (resolve its P498)
+  const moneyStmts = {
+    revenue: latestByP585(claims.P2139),
+    operating_income: latestByP585(claims.P3362),
+    net_income: latestByP585(claims.P2295)
+  };
+  const money = {};
+  for (const [field, st] of Object.entries(moneyStmts)) {
+    const value = st?.mainsnak?.datavalue?.value;
+    money[field] = value ? { value, time: st.qualifiers?.P585?.[0]?.datavalue?.value?.time || null } : null;
+  }
+  // Yearly series for charting: revenue (P2139), net income (P2295), total assets (P2403)
+  const moneySeries = { revenue: claims.P2139 || [], net_income: claims.P2295 || [], total_assets: claims.P2403 || [] };
+
+  const unitIds = unique([claims.P2139, claims.P3362, claims.P2295, claims.P2403].flatMap(arr => arr || [])
+    .map(st => String(st.mainsnak?.datavalue?.value?.unit || "").split("/").pop())
+    .filter(id => RE_QID.test(id)));
+
+  // Social accounts (P2002 X, P4264 LinkedIn, ...) -> { P2002: ["Google"], ... }
+  const socialIds = {};
+  for (const pid of Object.keys(WIKIDATA_SOCIAL_PROPERTIES)) {
+    const values = current(claims[pid]).map(st => st.mainsnak?.datavalue?.value).filter(v => typeof v === "string");
+    if (values.length) socialIds[pid] = unique(values);
+  }
+
+  // English Wikipedia sitelink (if present), and the first one in the chain
+  const enwiki = entity?.sitelinks?.enwiki?.title || null;
+  const sitelink = pickSitelink(entity, langs);
+
+  // Fallback display label, short description and logo image (P154, a Commons file)
+  const name = pickLanguage(entity?.labels, langs)?.value || null;
+  const description = pickLanguage(entity?.descriptions, langs)?.value || null;
+  const logoFile = current(claims.P154)[0]?.mainsnak?.datavalue?.value;
+  const logo = logoFile ? `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(logoFile.replace(/ /g, "_"))}` : null;
+
+  // Statement ids backing each value, for provenance
+  const ids = (arr) => (arr || []).map(st => st.id).filter(Boolean);
+  const statements = {
+    website: claims.P856?.[0]?.id || null,
+    logo: logo ? (current(claims.P154)[0]?.id || null) : null,
+    employees: employees ? (emp.id || null) : null,
+    employees_history: employeeSeries.length ? ids(claims.P1128) : [],
+    industry: ids(claims.P452),
+    headquarters: hqStmt?.id || null,
+    type: ids(claims.P31),
+    founded: inception?.id || null,
+    founders: ids(claims.P112),
+    key_people: ids(ceoStmts),
+    parent: parentStmts[0]?.id || null,
+    subsidiaries: ids(subsidiaryStmts),
+    revenue: money.revenue ? (moneyStmts.revenue.id || null) : null,
+    operating_income: money.operating_income ? (moneyStmts.operating_income.id || null) : null,
+    net_income: money.net_income ? (moneyStmts.net_income.id || null) : null,
+    status: [dissolvedStmt?.id, ...live(claims.P1366).map(st => st.id), ...live(claims.P156).map(st => st.id), acquiredStmt?.[0].id].filter(Boolean)
+  };
+
+  return {
+    website, websites, employees, employeeSeries, industryIds, headquartersId, headquartersAddress, typeIds, tickers, enwiki, sitelink, name, description, logo,
+    founded, founderIds, ceoIds: itemIds(ceoStmts),
+    parentId: itemIds(parentStmts)[0] || null, parentIds: itemIds(parentStmts), ownerIds: itemIds(ownerStmts),
+    subsidiaryIds: itemIds(subsidiaryStmts), ownedIds, productIds, countryId, money, moneySeries, unitIds, socialIds, lifecycle,
+    statements
+  };
+}
+
+function resolveLabels(entities, ids, langs = DEFAULT_LANGS) {
+  return (ids || []).map(id => pickLanguage(entities?.[id]?.labels, langs)?.value || null).filter(Boolean);
+}
+
+module.exports = {
+  getWikidataEntities,
+  createEntityLoader,
+  searchWikidataEntities,
+  findWikidataByWebsite,
+  findWikidataByExternalId,
+  findWikidataByTicker,
+  findWebsitesOwnedBy,
+  extractFromWikidata,
+  resolveLabels
+};
@@ -0,0 +1,71 @@
+// lib/wikipedia.js
+// Wikipedia search + title/QID helpers (English Wikipedia unless `lang` says otherwise).
+
+const { USER_AGENT } = require("./util");
+
+// Top `limit` full-text hits, best first.
+async function wikipediaSearchTitles(query, limit = 5, lang = "en") {
+  const url = `https://${lang}.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(query)}&srlimit=${limit}&format=json&utf8=1&srwhat=text&srinfo=suggestion`;
+  const res = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+  if (!res.ok) return [];
+  const json = await res.json();
+  return (json?.query?.search || []).map(r => r.title).filter(Boolean);
+}
+
+async function wikipediaSearchTitle(query, lang = "en") {
+  return (await wikipediaSearchTitles(query, 1, lang))[0] || null;
+}
+
+const wikipediaUrlForTitle = (title, lang = "en") => title ? `https://${lang}.wikipedia.org/wiki/${title.replace(/ /g, "_")}` : null;
+
+async function getWikidataIdForTitle(title, lang = "en") {
+  const url = `https://${lang}.wikipedia.org/w/api.php?action=query&prop=pageprops&titles=${encodeURIComponent(title)}&format=json&redirects=1`;
+  const res = await fetch(url);
+  if (!res.ok) return null;
+  const json = await res.json();
+  const pages = json?.query?.pages || {};
+  const first = Object.values(pages)[0];
+  return first?.pageprops?.wikibase_item || null;
+}
+
+// Batch variant of getWikidataIdForTitle: { [title]: qid } for up to 50 titles.
+async function getWikidataIdsForTitles(titles, lang = "en") {
+  if (!titles?.length) return {};
+  const url = `https://${lang}.wikipedia.org/w/api.php?action=query&prop=pageprops&ppprop=wikibase_item&titles=${encodeURIComponent(titles.slice(0, 50).join("|"))}&format=json&redirects=1`;
+  const res = await fetch(url, { headers: { "User-Agent": USER_AGENT } });
+  if (!res.ok) return {};
+  const json = await res.json();
+  const out = {};
+  for (const page of Object.values(json?.query?.pages || {})) {
+    if (page?.title && page.pageprops?.wikibase_item) out[page.title] = page.pageprops.wikibase_item;
+  }
+  // Map requested titles that were redirected/normalized back to their qid
+  for (const step of [...(json?.query?.normalized || []), ...(json?.query?.redirects || [])]) {
+    if (out[step.to] && !out[step.from]) out[step.from] = out[step.to];
+  }
+  return out;
+}
+
+// "https://en.m.wikipedia.org/wiki/Alphabet_Inc.#History" -> { lang: "en", title: "Alphabet Inc." }
+function parseWikipediaUrl(input) {
+  try {
+    const u = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+    const m = u.hostname.toLowerCase().match(/^([a-z-]+)\.(?:m\.)?wikipedia\.org$/);
+    if (!m) return null;
+    let title = u.pathname.startsWith("/wiki/") ? u.pathname.slice(6) : u.searchParams.get("title");
+    if (!title) return null;
+    title = decodeURIComponent(title).replace(/_/g, " ").trim();
+    return title ? { lang: m[1], title } : null;
+  } catch {
+    return null;
+  }
+}
+
+module.exports = {
+  wikipediaSearchTitle,
+  wikipediaSearchTitles,
+  wikipediaUrlForTitle,
+  getWikidataIdForTitle,
+  getWikidataIdsForTitles,
+  parseWikipediaUrl
+};
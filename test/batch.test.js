@@ -0,0 +1,64 @@
+// test/batch.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { Readable } = require("stream");
+const handler = require("../api/batch");
+
+// Runs the route -> { status, body }; upstream calls fail at once (no network),
+// so every item comes back as an error with its parsed `input`.
+async function post(t, { body, contentType, stream } = {}) {
+  t.mock.method(global, "fetch", async () => { throw new TypeError("fetch failed"); });
+  const req = stream ? Object.assign(Readable.from([Buffer.from(stream)]), { body: undefined }) : { body };
+  Object.assign(req, { method: "POST", query: { engine: "http", quotes: "none" }, headers: contentType ? { "content-type": contentType } : {} });
+  let status, json;
+  const res = { setHeader() {}, status(code) { status = code; return this; }, json(value) { json = value; return this; } };
+  await handler(req, res);
+  return { status, body: json };
+}
+const inputs = (body) => body.results.map(r => r.input);
+
+test("a JSON array of names, domains and objects", async (t) => {
+  const { status, body } = await post(t, { body: ["Google", "https://stripe.com/pricing", { q: "Apple", website: "apple.com", qid: "Q312" }] });
+  assert.equal(status, 200);
+  assert.deepEqual(inputs(body), [
+    { name: "Google", domain: null },
+    { name: null, domain: "https://stripe.com/pricing" },
+    { name: "Apple", domain: "apple.com", qid: "Q312" }
+  ]);
+  assert.equal(body.count, 3);
+});
+
+test("a CSV body with a header", async (t) => {
+  const { body } = await post(t, { body: 'Company Name,Website\n"Acme, Inc.",acme.com\r\nGlobex,\n', contentType: "text/csv" });
+  assert.deepEqual(inputs(body), [{ name: "Acme, Inc.", domain: "acme.com" }, { name: "Globex", domain: null }]);
+});
+
+test("CSV without a header: the first cell of each row", async (t) => {
+  const { body } = await post(t, { body: { csv: "google.com\nStripe" } });
+  assert.deepEqual(inputs(body), [{ name: null, domain: "google.com" }, { name: "Stripe", domain: null }]);
+});
+
+test("a CSV body left unparsed in the request stream", async (t) => {
+  const { body } = await post(t, { stream: "name,domain\nGoogle,google.com\n", contentType: "text/csv" });
+  assert.deepEqual(inputs(body), [{ name: "Google", domain: "google.com" }]);
+});
+
+test("a JSON body left as text", async (t) => {
+  const { body } = await post(t, { body: '{"items":["Google"]}', contentType: "application/json" });
+  assert.deepEqual(inputs(body), [{ name: "Google", domain: null }]);
+});
+
+test("multipart uploads are refused with 415", async (t) => {
+  const { status } = await post(t, { body: "--x--", contentType: "multipart/form-data; boundary=x" });
+  assert.equal(status, 415);
+});
+
+test("bodies past 1 MB are refused with 413", async (t) => {
+  const { status } = await post(t, { stream: `name\n${"a".repeat(1024 * 1024)}`, contentType: "text/csv" });
+  assert.equal(status, 413);
+});
+
+test("no items, or too many", async (t) => {
+  assert.equal((await post(t, { body: [] })).status, 400);
+  assert.equal((await post(t, { body: Array.from({ length: 101 }, (_, i) => `c${i}`) })).status, 413);
+});
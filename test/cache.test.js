@@ -0,0 +1,67 @@
+// test/cache.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { configureCache, createCacheContext, createMemoryCache } = require("../lib/cache");
+const { readInfobox } = require("../lib/infobox");
+
+// A fresh memory store per test; fn counts its calls.
+function setup(ttls = {}) {
+  configureCache({ store: createMemoryCache(), ttls: { infobox: 60e3, result: 60e3, ...ttls } });
+  let calls = 0;
+  return { calls: () => calls, fn: (value) => async () => { calls++; return value; } };
+}
+
+test("wrap memoizes values for the source's TTL", async () => {
+  const { calls, fn } = setup();
+  const first = await createCacheContext().wrap("infobox", "a", fn({ name: "A" }));
+  const ctx = createCacheContext();
+  const second = await ctx.wrap("infobox", "a", fn({ name: "other" }));
+  assert.deepEqual(first, { name: "A" });
+  assert.deepEqual(second, { name: "A" });
+  assert.equal(calls(), 1);
+  assert.deepEqual(ctx.status().sources.infobox, { hit: 1, miss: 0 });
+});
+
+test("expired values are fetched again", async () => {
+  const { calls, fn } = setup({ infobox: 0 });
+  await createCacheContext().wrap("infobox", "a", fn({ name: "A" }));
+  await new Promise(resolve => setTimeout(resolve, 5));
+  assert.deepEqual(await createCacheContext().wrap("infobox", "a", fn({ name: "B" })), { name: "B" });
+  assert.equal(calls(), 2);
+});
+
+test("refresh bypasses cached values", async () => {
+  const { calls, fn } = setup();
+  await createCacheContext().wrap("infobox", "a", fn({ name: "A" }));
+  assert.deepEqual(await createCacheContext({ refresh: true }).wrap("infobox", "a", fn({ name: "B" })), { name: "B" });
+  assert.equal(calls(), 2);
+});
+
+test("null, empty and partial values are not cached", async () => {
+  for (const value of [null, [], { name: "A", partial: true }]) {
+    const { calls, fn } = setup();
+    await createCacheContext().wrap("infobox", "a", fn(value));
+    await createCacheContext().wrap("infobox", "a", fn(value));
+    assert.equal(calls(), 2, JSON.stringify(value));
+  }
+});
+
+test("partial results are not cached", async () => {
+  const { calls, fn } = setup();
+  const ctx = createCacheContext();
+  await ctx.result("k", fn({ data: {}, partial: true }));
+  assert.equal(ctx.status().result, "MISS");
+  await createCacheContext().result("k", fn({ data: {}, partial: true }));
+  assert.equal(calls(), 2);
+});
+
+test("a failed infobox read is not cached", async (t) => {
+  setup();
+  t.mock.method(global, "fetch", async () => { throw new TypeError("fetch failed"); });
+  const read = () => readInfobox("https://en.wikipedia.org/wiki/Google", { engine: "auto", getBrowser: async () => { throw new Error("no Chromium"); } });
+  assert.equal(await createCacheContext().wrap("infobox", "auto:Google", read), null);
+  t.mock.method(global, "fetch", async () => new Response(JSON.stringify({ parse: { title: "Google", text: "<table class=\"infobox\"><tr><th>Industry</th><td>Internet</td></tr></table>" } })));
+  const wiki = await createCacheContext().wrap("infobox", "auto:Google", read);
+  assert.equal(wiki.engine, "http");
+  assert.deepEqual(wiki.industry, ["Internet"]);
+});
@@ -0,0 +1,57 @@
+// test/candidates.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { findCandidates, normName } = require("../lib/candidates");
+
+// "Apple": Wikipedia ranks the fruit first; Wikidata also knows a record label.
+const ENTITIES = {
+  Q89: { labels: { en: { value: "apple" } }, descriptions: { en: { value: "fruit of the apple tree" } }, claims: { P31: [claim("Q3314483")] } },
+  Q312: {
+    labels: { en: { value: "Apple Inc." } }, aliases: { en: [{ value: "Apple" }] }, descriptions: { en: { value: "American technology company" } },
+    sitelinks: { enwiki: { title: "Apple Inc." } },
+    claims: { P31: [claim("Q891723")], P856: [{ mainsnak: { datavalue: { value: "https://www.apple.com/" } } }] }
+  },
+  Q213710: { labels: { en: { value: "Apple Records" } }, claims: { P31: [claim("Q18127")] } },
+  Q3314483: { labels: { en: { value: "fruit" } }, claims: {} },
+  Q891723: { labels: { en: { value: "public company" } }, claims: {} },
+  Q18127: { labels: { en: { value: "record label" } }, claims: { P279: [claim("Q4830453")] } }
+};
+function claim(id) { return { mainsnak: { datavalue: { value: { id } } } }; }
+
+function mockUpstream(t) {
+  t.mock.method(global, "fetch", async (url) => {
+    const u = new URL(url);
+    const json = u.searchParams.get("list") === "search" ? { query: { search: [{ title: "Apple" }, { title: "Apple Inc." }] } }
+      : u.searchParams.get("prop") === "pageprops" ? { query: { pages: { 1: { title: "Apple", pageprops: { wikibase_item: "Q89" } }, 2: { title: "Apple Inc.", pageprops: { wikibase_item: "Q312" } } } } }
+      : u.searchParams.get("action") === "wbsearchentities" ? { search: [{ id: "Q89", label: "apple" }, { id: "Q213710", label: "Apple Records" }] }
+      : {};
+    return new Response(JSON.stringify(json));
+  });
+  return async (ids) => Object.fromEntries(ids.map(id => [id, ENTITIES[id] || { missing: "" }]));
+}
+
+test("normName drops corporate suffixes and qualifiers", () => {
+  assert.equal(normName("Apple Inc."), "apple");
+  assert.equal(normName("Mercury (planet)"), "mercury");
+  assert.equal(normName("Johnson & Johnson Holdings"), "johnson johnson");
+});
+
+test("a company with a website outranks the first search hit", async (t) => {
+  const getEntities = mockUpstream(t);
+  const [best, ...rest] = await findCandidates("Apple", { getEntities });
+  assert.equal(best.qid, "Q312");
+  assert.equal(best.score, 1);
+  assert.deepEqual(best.signals, { business: true, website: true, label: 1 });
+  assert.equal(best.wikipedia, "https://en.wikipedia.org/wiki/Apple_Inc.");
+  assert.deepEqual(best.types, ["public company"]);
+  assert.equal(best.low_confidence, false);
+
+  // A record label is a business one P279 level up; the fruit only matches the label
+  assert.deepEqual(rest.map(c => [c.qid, c.score]), [["Q213710", 0.65], ["Q89", 0.3]]);
+  assert.equal(rest[1].low_confidence, true);
+});
+
+test("limit caps the candidates", async (t) => {
+  const getEntities = mockUpstream(t);
+  assert.equal((await findCandidates("Apple", { getEntities, limit: 1 })).length, 1);
+});
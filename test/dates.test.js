@@ -0,0 +1,17 @@
+// test/dates.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseDateString, wikidataTimeToIso } = require("../lib/dates");
+
+test("parseDateString keeps the precision it was given", () => {
+  assert.equal(parseDateString("April 1, 1976"), "1976-04-01");
+  assert.equal(parseDateString("1 April 1976"), "1976-04-01");
+  assert.equal(parseDateString("April 1976"), "1976-04");
+  assert.equal(parseDateString("1976"), "1976");
+  assert.equal(parseDateString("2004-09-04"), "2004-09-04");
+});
+
+test("wikidataTimeToIso trims to the precision", () => {
+  assert.equal(wikidataTimeToIso({ time: "+1998-09-04T00:00:00Z", precision: 11 }), "1998-09-04");
+  assert.equal(wikidataTimeToIso({ time: "+1998-00-00T00:00:00Z", precision: 9 }), "1998");
+});
@@ -0,0 +1,32 @@
+// test/domain.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { normalizeDomainInput, registrableDomain, unicodeDomain, resolveCanonicalDomain } = require("../lib/domain");
+
+test("normalizeDomainInput drops scheme, www., port and path", () => {
+  assert.equal(normalizeDomainInput("https://WWW.Bücher.de:8080/shop?x"), "xn--bcher-kva.de");
+  assert.equal(normalizeDomainInput("shop.example.co.uk/"), "shop.example.co.uk");
+  assert.equal(normalizeDomainInput("stripe.com."), "stripe.com");
+  assert.equal(normalizeDomainInput("localhost"), null);
+  assert.equal(normalizeDomainInput("10.0.0.1"), null);
+  assert.equal(normalizeDomainInput("not a domain"), null);
+});
+
+test("registrableDomain", () => {
+  assert.equal(registrableDomain("a.b.google.com"), "google.com");
+  assert.equal(registrableDomain("www.bbc.co.uk"), "bbc.co.uk");
+  assert.equal(registrableDomain("foo.github.io"), "foo.github.io");
+  assert.equal(registrableDomain("localhost"), "localhost");
+});
+
+test("unicodeDomain decodes punycode", () => {
+  assert.equal(unicodeDomain("xn--bcher-kva.de"), "bücher.de");
+  assert.equal(unicodeDomain("google.com"), "google.com");
+});
+
+test("resolveCanonicalDomain follows the homepage redirect", async (t) => {
+  t.mock.method(global, "fetch", async () => ({ url: "https://www.facebook.com/", body: null }));
+  assert.equal(await resolveCanonicalDomain("fb.com"), "facebook.com");
+  t.mock.method(global, "fetch", async () => { throw new TypeError("fetch failed"); });
+  assert.equal(await resolveCanonicalDomain("fb.com"), null);
+});
@@ -0,0 +1,71 @@
+// test/employees.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseEmployeesString, sizeBand, headcountFromStatement, employeeSeriesFromWikidata } = require("../lib/employees");
+
+test("reads the count and the year", () => {
+  assert.deepEqual(parseEmployeesString("12,345 (2023)"), {
+    count: 12345, as_of: "2023-01-01", approximate: false, range: null, size_band: "10001+"
+  });
+});
+
+test("groups thousands by the article's language", () => {
+  assert.equal(parseEmployeesString("1.234 (2023)", { lang: "de" }).count, 1234);
+  assert.equal(parseEmployeesString("about 3 200", { lang: "fr" }).count, 3200);
+  assert.equal(parseEmployeesString("1,234", { lang: "de" }), null);
+  assert.equal(parseEmployeesString("1.5"), null);
+});
+
+test("applies scale words", () => {
+  assert.equal(parseEmployeesString("1.5 million").count, 1500000);
+  assert.equal(parseEmployeesString("2,5 Mio.", { lang: "de" }).count, 2500000);
+});
+
+test("marks approximations and ranges", () => {
+  assert.equal(parseEmployeesString("c. 150,000").approximate, true);
+  const range = parseEmployeesString("10,000–20,000");
+  assert.deepEqual(range.range, { min: 10000, max: 20000 });
+  assert.equal(range.count, 15000);
+  assert.equal(range.approximate, true);
+});
+
+test("applies the upper end's scale word to both ends of a range", () => {
+  assert.deepEqual(parseEmployeesString("1.1 to 1.2 million"), {
+    count: 1150000, as_of: null, approximate: true, range: { min: 1100000, max: 1200000 }, size_band: "10001+"
+  });
+  assert.deepEqual(parseEmployeesString("1,1 bis 1,2 Mio.", { lang: "de" }).range, { min: 1100000, max: 1200000 });
+});
+
+test("reads the date from an as-of phrase", () => {
+  assert.equal(parseEmployeesString("187,000 as of June 30, 2025").count, 187000);
+  assert.equal(parseEmployeesString("187,000 as of June 30, 2025").as_of, "2025-06-30");
+});
+
+test("sizeBand", () => {
+  assert.equal(sizeBand(120), "51-200");
+});
+
+// A Wikidata P1128 statement
+const statement = (amount, time, { rank = "normal", lowerBound, upperBound } = {}) => ({
+  rank,
+  mainsnak: { datavalue: { value: { amount: `+${amount}`, lowerBound, upperBound } } },
+  qualifiers: { P585: [{ datavalue: { value: { time: `+${time}T00:00:00Z`, precision: 11 } } }] }
+});
+
+test("headcountFromStatement turns bounds into the range", () => {
+  assert.deepEqual(headcountFromStatement(statement(1500, "2020-12-31", { lowerBound: "+1000", upperBound: "+2000" })), {
+    count: 1500, as_of: "2020-12-31", approximate: true, range: { min: 1000, max: 2000 }, size_band: "1001-5000"
+  });
+});
+
+test("employeeSeriesFromWikidata: oldest first, preferred rank wins, deprecated skipped", () => {
+  assert.deepEqual(employeeSeriesFromWikidata([
+    statement(190000, "2023-12-31"),
+    statement(182502, "2023-12-31", { rank: "preferred" }),
+    statement(156500, "2021-12-31"),
+    statement(1, "2022-12-31", { rank: "deprecated" })
+  ]), [
+    { date: "2021-12-31", year: 2021, count: 156500 },
+    { date: "2023-12-31", year: 2023, count: 182502 }
+  ]);
+});
@@ -0,0 +1,27 @@
+// test/finance.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { formatMarketCap, financialsFromQuote } = require("../lib/finance");
+
+test("formatMarketCap scales to T, B and M", () => {
+  assert.equal(formatMarketCap(2.35e12), "2.35T");
+  assert.equal(formatMarketCap(41.2e9), "41.20B");
+  assert.equal(formatMarketCap(5e6), "5.00M");
+  assert.equal(formatMarketCap(999), "999");
+});
+
+test("financialsFromQuote keeps numbers and adds the formatted market cap", () => {
+  const quote = { stock_price: 170.1, market_cap: 2.1e12, currency: "USD", as_of: "2024-05-01T20:00:00.000Z", source: "Finnhub" };
+  assert.deepEqual(financialsFromQuote({ symbol: "GOOGL", exchange: "NASDAQ" }, quote), {
+    ticker: "GOOGL",
+    exchange: "NASDAQ",
+    currency: "USD",
+    stock_price: 170.1,
+    market_cap: 2.1e12,
+    market_cap_formatted: "2.10T",
+    as_of: "2024-05-01T20:00:00.000Z",
+    source: "Finnhub",
+    sources: {}
+  });
+  assert.equal(financialsFromQuote({ symbol: "X" }, { ...quote, market_cap: null }).market_cap_formatted, null);
+});
@@ -0,0 +1,55 @@
+// test/headquarters.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildHeadquarters, headquartersFromString, headquartersFromAddress } = require("../lib/headquarters");
+
+test("city, US state and country", () => {
+  const hq = headquartersFromString("Mountain View, California, U.S.");
+  assert.equal(hq.city, "Mountain View");
+  assert.equal(hq.region, "California");
+  assert.equal(hq.region_code, "US-CA");
+  assert.equal(hq.country, "United States");
+  assert.equal(hq.country_code, "US");
+});
+
+test("a US state alone implies the country", () => {
+  const hq = headquartersFromString("Cupertino, California");
+  assert.equal(hq.city, "Cupertino");
+  assert.equal(hq.country_code, "US");
+});
+
+test("city and country", () => {
+  const hq = headquartersFromString("Walldorf, Germany");
+  assert.equal(hq.city, "Walldorf");
+  assert.equal(hq.region, null);
+  assert.equal(hq.country_code, "DE");
+});
+
+test("a postal address with an ISO country code", () => {
+  const hq = headquartersFromAddress({ street: "1600 Amphitheatre Parkway", locality: "Mountain View", region: "CA", postal_code: "94043", country: "US" });
+  assert.equal(hq.city, "Mountain View");
+  assert.equal(hq.region_code, "US-CA");
+  assert.equal(hq.country, "United States");
+  assert.equal(hq.raw, "1600 Amphitheatre Parkway, Mountain View, California, United States");
+});
+
+test("buildHeadquarters walks the Wikidata admin chain", async () => {
+  const claim = (value) => ({ rank: "normal", mainsnak: { datavalue: { value } } });
+  const place = (id, name, claims) => ({ id, labels: { en: { value: name } }, claims });
+  const entities = {
+    Q1: place("Q1", "Googleplex", { P131: [claim({ id: "Q2" })], P17: [claim({ id: "Q4" })], P625: [claim({ latitude: 37.42, longitude: -122.08 })] }),
+    Q2: place("Q2", "Mountain View", { P31: [claim({ id: "Q515" })], P131: [claim({ id: "Q3" })] }),
+    Q3: place("Q3", "California", { P300: [claim("US-CA")], P131: [claim({ id: "Q4" })] }),
+    Q4: place("Q4", "United States", { P297: [claim("US")] })
+  };
+  const getEntities = async () => assert.fail("everything is loaded");
+  const hq = await buildHeadquarters(entities, "Q1", getEntities);
+  assert.equal(hq.place, "Googleplex");
+  assert.equal(hq.city, "Mountain View");
+  assert.equal(hq.region_code, "US-CA");
+  assert.equal(hq.country_code, "US");
+  assert.deepEqual(hq.coordinates, { lat: 37.42, lon: -122.08 });
+  assert.equal(hq.coordinates_from, "headquarters");
+  assert.deepEqual(hq.admin_areas.map(a => a.iso), [null, "US-CA", "US"]);
+  assert.equal(await buildHeadquarters(entities, "Q9", getEntities), null);
+});
@@ -0,0 +1,78 @@
+// test/hierarchy.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { buildHierarchy } = require("../lib/hierarchy");
+
+const item = (id) => ({ mainsnak: { datavalue: { value: { id } } }, rank: "normal" });
+const entity = (name, { parents = [], owners = [], subsidiaries = [], type = "Q4830453", country, website } = {}) => ({
+  labels: { en: { language: "en", value: name } },
+  claims: {
+    P31: [item(type)],
+    P749: parents.map(item),
+    P127: owners.map(item),
+    P355: subsidiaries.map(item),
+    ...(country ? { P17: [item(country)] } : {}),
+    ...(website ? { P856: [{ mainsnak: { datavalue: { value: website } }, rank: "normal" }] } : {})
+  }
+});
+
+// Fake getWikidataEntities over a fixed graph.
+function graph(entities) {
+  const getEntities = async (ids) => Object.fromEntries(ids.map(id => [id, entities[id] || { id, missing: "" }]));
+  return { getEntities };
+}
+
+test("buildHierarchy walks parents and subsidiaries up to the ultimate parent", async () => {
+  const { getEntities } = graph({
+    Q1: entity("YouTube", { parents: ["Q2"], country: "Q30", website: "https://www.youtube.com" }),
+    Q2: entity("Google", { parents: ["Q3"], subsidiaries: ["Q1"], country: "Q30" }),
+    Q3: entity("Alphabet", { owners: ["Q10"], subsidiaries: ["Q2"], country: "Q30" }),
+    Q10: entity("Larry Page", { type: "Q5" }),
+    Q30: entity("United States")
+  });
+  const h = await buildHierarchy("Q1", { getEntities });
+
+  assert.deepEqual(h.company, { qid: "Q1", name: "YouTube", website: "https://www.youtube.com", country: "United States" });
+  assert.equal(h.parents[0].qid, "Q2");
+  assert.equal(h.parents[0].relation, "parent_organization");
+  assert.equal(h.parents[0].parents[0].qid, "Q3");
+  assert.equal(h.parents[0].parents[0].parents, undefined); // depth 2
+  assert.deepEqual(h.subsidiaries, []);
+  // The human owner of Alphabet is not a parent company.
+  assert.equal(h.ultimate_parent.qid, "Q3");
+  assert.deepEqual(h.ultimate_parent.path, ["Q2", "Q3"]);
+  assert.equal(h.truncated, false);
+});
+
+test("buildHierarchy expands each company once and caps fan-out", async () => {
+  const { getEntities } = graph({
+    Q2: entity("Google", { subsidiaries: ["Q1", "Q4", "Q5"] }),
+    Q1: entity("YouTube", { subsidiaries: ["Q2"] }),
+    Q4: entity("Waymo"),
+    Q5: entity("Verily")
+  });
+  const h = await buildHierarchy("Q2", { getEntities, maxChildren: 2 });
+
+  assert.deepEqual(h.subsidiaries.map(n => n.qid), ["Q1", "Q4"]);
+  assert.equal(h.subsidiaries_truncated, 1);
+  assert.equal(h.max_children, 2);
+  const [back] = h.subsidiaries[0].subsidiaries;
+  assert.equal(back.qid, "Q2");
+  assert.equal(back.seen, true);
+  assert.equal(back.subsidiaries, undefined);
+  assert.equal(h.ultimate_parent.qid, "Q2");
+  assert.deepEqual(h.ultimate_parent.path, []);
+});
+
+test("buildHierarchy clamps depth and stops at cycles", async () => {
+  const { getEntities } = graph({
+    Q1: entity("A", { parents: ["Q2"] }),
+    Q2: entity("B", { parents: ["Q1"] })
+  });
+  const h = await buildHierarchy("Q1", { getEntities, depth: 99 });
+
+  assert.equal(h.depth, 5);
+  assert.equal(h.parents[0].qid, "Q2");
+  assert.equal(h.parents[0].parents[0].seen, true);
+  assert.equal(h.ultimate_parent.qid, "Q2");
+});
@@ -0,0 +1,39 @@
+// test/industries.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { SECTORS, INDUSTRY_CODES, matchIndustry, industryCodesFromEntity, classifyIndustries } = require("../lib/industries");
+
+test("every table entry names a known sector", () => {
+  for (const e of INDUSTRY_CODES) assert.ok(SECTORS.includes(e.sector), e.name);
+});
+
+test("matchIndustry prefers specific entries over broad ones", () => {
+  assert.equal(matchIndustry("Video game industry").name, "Video games");
+  assert.equal(matchIndustry("Computer software").name, "Software");
+  assert.equal(matchIndustry("investment banking").name, "Banking");
+  assert.equal(matchIndustry("knitting circles"), null);
+  assert.equal(matchIndustry(""), null);
+});
+
+test("industryCodesFromEntity reads SIC and the ISIC division from NACE", () => {
+  const claim = (value, rank = "normal") => ({ rank, mainsnak: { datavalue: { value } } });
+  assert.deepEqual(industryCodesFromEntity({ claims: { P3242: [claim("7372")], P4496: [claim("J62.01")] } }), { sic: "7372", isic: "62" });
+  assert.deepEqual(industryCodesFromEntity({ claims: { P3242: [claim("73721")], P4496: [claim("62", "deprecated")] } }), { sic: null, isic: null });
+});
+
+test("classifyIndustries collapses labels and lets Wikidata codes win", () => {
+  const out = classifyIndustries({
+    labels: ["internet industry", "Knitting"],
+    items: [
+      { qid: "Q75", label: "Internet", codes: { sic: "7375", isic: null } },
+      { qid: "Q999", label: "Quantum widgets", codes: { sic: null, isic: "26" } },
+      { qid: "Q998", label: "Obscure trade", codes: { sic: null, isic: null } }
+    ]
+  });
+  assert.deepEqual(out, [
+    { name: "Internet", sector: "Communication Services", naics: "519130", sic: "7375", isic: "6312",
+      labels: ["Internet", "internet industry"], qids: ["Q75"], source: "wikidata" },
+    { name: "Quantum widgets", sector: null, naics: null, sic: null, isic: "26",
+      labels: ["Quantum widgets"], qids: ["Q999"], source: "wikidata" }
+  ]);
+});
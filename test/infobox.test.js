@@ -0,0 +1,83 @@
+// test/infobox.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { infoboxFromHtml, scrapeWikipediaInfobox } = require("../lib/infobox");
+
+const GOOGLE = `
+<table class="infobox vcard">
+  <tr><th>Industry</th><td><ul><li>Internet</li><li>Cloud computing</li></ul></td></tr>
+  <tr><th>Founded</th><td>September 4, 1998<sup>[1]</sup></td></tr>
+  <tr><th>Founders</th><td>Larry Page, Sergey Brin</td></tr>
+  <tr><th>Headquarters</th><td>Mountain View, California, U.S.</td></tr>
+  <tr><th>Key people</th><td>Sundar Pichai (CEO)<br>Ruth Porat (CIO)</td></tr>
+  <tr><th>Number of employees</th><td>182,502 (2023)</td></tr>
+  <tr><th>Traded as</th><td><style>.x{}</style>Nasdaq: GOOGL</td></tr>
+  <tr><th>Website</th><td><a class="external text" href="https://www.google.com/">google.com</a></td></tr>
+</table>`;
+
+test("reads the rows of an English infobox", () => {
+  const box = infoboxFromHtml(GOOGLE, { title: "Google", baseUrl: "https://en.wikipedia.org/wiki/Google" });
+  assert.equal(box.name, "Google");
+  assert.equal(box.website, "https://www.google.com/");
+  assert.deepEqual(box.industry, ["Internet", "Cloud computing"]);
+  assert.equal(box.founded, "September 4, 1998");
+  assert.deepEqual(box.founders, ["Larry Page", "Sergey Brin"]);
+  assert.equal(box.headquarters, "Mountain View, California, U.S.");
+  assert.deepEqual(box.key_people, ["Sundar Pichai (CEO)", "Ruth Porat (CIO)"]);
+  assert.equal(box.company_size, "182,502 (2023)");
+  assert.deepEqual(box.traded_as, ["Nasdaq: GOOGL"]);
+  assert.equal(box.revenue, null);
+});
+
+test("no infobox: every row is null", () => {
+  const box = infoboxFromHtml("<p>Just text</p>", { title: "X", baseUrl: "https://en.wikipedia.org/wiki/X" });
+  assert.equal(box.name, "X");
+  assert.equal(box.industry, null);
+  assert.equal(box.website, null);
+});
+
+test("the browser page is closed when the read fails", async () => {
+  let closed = 0;
+  const page = {
+    setUserAgent: async () => {},
+    setExtraHTTPHeaders: async () => {},
+    goto: async () => { throw new Error("net::ERR_CONNECTION_RESET"); },
+    close: async () => { closed++; }
+  };
+  await assert.rejects(scrapeWikipediaInfobox({ newPage: async () => page }, "https://en.wikipedia.org/wiki/Google"), /ERR_CONNECTION_RESET/);
+  assert.equal(closed, 1);
+});
+
+test("reads German rows labelled with a first <td>", () => {
+  const html = `
+<table class="wikitable infobox">
+  <tr><td>Rechtsform</td><td>Aktiengesellschaft</td></tr>
+  <tr><td>Gründung</td><td>1. April 1972</td></tr>
+  <tr><td>Sitz</td><td>Walldorf, Deutschland</td></tr>
+  <tr><td>Mitarbeiterzahl</td><td>107.415 (2023)</td></tr>
+  <tr><td>Branche</td><td>Software</td></tr>
+</table>`;
+  const box = infoboxFromHtml(html, { title: "SAP", baseUrl: "https://de.wikipedia.org/wiki/SAP", lang: "de" });
+  assert.equal(box.type, "Aktiengesellschaft");
+  assert.equal(box.founded, "1. April 1972");
+  assert.equal(box.headquarters, "Walldorf, Deutschland");
+  assert.equal(box.company_size, "107.415 (2023)");
+  assert.deepEqual(box.industry, ["Software"]);
+  // English pages keep requiring <th> labels.
+  assert.equal(infoboxFromHtml(html, { title: "SAP", baseUrl: "https://en.wikipedia.org/wiki/SAP" }).type, null);
+});
+
+test("reads a French infobox_v3 block", () => {
+  const html = `
+<div class="infobox_v3 large">
+  <table>
+    <tr><th>Création</th><td>1er avril 1976</td></tr>
+    <tr><th>Siège</th><td>Cupertino (États-Unis)</td></tr>
+    <tr><th>Effectif</th><td>161 000 (2023)</td></tr>
+  </table>
+</div>`;
+  const box = infoboxFromHtml(html, { title: "Apple", baseUrl: "https://fr.wikipedia.org/wiki/Apple", lang: "fr" });
+  assert.equal(box.founded, "1er avril 1976");
+  assert.equal(box.headquarters, "Cupertino (États-Unis)");
+  assert.equal(box.company_size, "161 000 (2023)");
+});
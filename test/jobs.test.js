@@ -0,0 +1,73 @@
+// test/jobs.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const dns = require("dns");
+const http = require("http");
+const net = require("net");
+const { checkWebhookUrl, signWebhook, verifyWebhook, configureJobs, startJob } = require("../lib/jobs");
+const { createMemoryCache } = require("../lib/cache");
+
+test("checkWebhookUrl accepts public http(s) URLs", () => {
+  assert.equal(checkWebhookUrl("https://example.com/hook"), "https://example.com/hook");
+  assert.equal(checkWebhookUrl("http://93.184.216.34/hook"), "http://93.184.216.34/hook");
+});
+
+test("checkWebhookUrl rejects other schemes and private hosts", () => {
+  for (const url of [
+    "ftp://example.com/", "not a url", "http://localhost:3000/", "http://api.localhost/",
+    "http://metadata.google.internal/", "http://127.0.0.1/", "http://10.1.2.3/", "http://169.254.169.254/",
+    "http://192.168.0.1/", "http://[::1]/", "http://[::ffff:127.0.0.1]/", "http://[fd00::1]/", "http://0.0.0.0/"
+  ]) {
+    assert.throws(() => checkWebhookUrl(url), { status: 400, code: "BAD_INPUT" }, url);
+  }
+});
+
+test("signWebhook signs <timestamp>.<body> with HMAC-SHA256", () => {
+  assert.match(signWebhook("{}", "1700000000", "key"), /^sha256=[0-9a-f]{64}$/);
+  assert.notEqual(signWebhook("{}", "1700000000", "key"), signWebhook("{}", "1700000001", "key"));
+  assert.throws(() => signWebhook("{}", "1700000000", null), { status: 501, code: "NOT_CONFIGURED" });
+});
+
+test("verifyWebhook checks the signature and the timestamp", () => {
+  const body = JSON.stringify({ id: "1", status: "done" });
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const signature = signWebhook(body, timestamp, "key");
+  assert.equal(verifyWebhook(body, { timestamp, signature }, "key"), true);
+  assert.equal(verifyWebhook(body, { timestamp, signature }, "other"), false);
+  assert.equal(verifyWebhook(`${body} `, { timestamp, signature }, "key"), false);
+  assert.equal(verifyWebhook(body, { timestamp, signature: "sha256=00" }, "key"), false);
+  const old = String(Math.floor(Date.now() / 1000) - 600);
+  assert.equal(verifyWebhook(body, { timestamp: old, signature: signWebhook(body, old, "key") }, "key"), false);
+});
+
+test("the webhook goes to the address that was checked", async (t) => {
+  configureJobs({ store: createMemoryCache(), webhookSecret: "key" });
+
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", chunk => { body += chunk; });
+    req.on("end", () => { received.push({ host: req.headers.host, body, signature: req.headers["x-webhook-signature"], timestamp: req.headers["x-webhook-timestamp"] }); res.end(); });
+  });
+  await new Promise(resolve => server.listen(0, "127.0.0.1", resolve));
+  t.after(() => server.close());
+  const { port } = server.address();
+
+  // The name resolves to the local server once (allowed here), and to nothing
+  // afterwards: only the checked address can be reached
+  const check = net.BlockList.prototype.check;
+  t.mock.method(net.BlockList.prototype, "check", function (ip, type) { return ip === "127.0.0.1" ? false : check.call(this, ip, type); });
+  let lookups = 0;
+  t.mock.method(dns.promises, "lookup", async (host) => {
+    if (host !== "hooks.example.com" || lookups++) throw new Error(`ENOTFOUND ${host}`);
+    return [{ address: "127.0.0.1", family: 4 }];
+  });
+  t.mock.method(global, "fetch", async () => { throw new TypeError("fetch failed"); });
+
+  const { done } = await startJob({ qid: "Q95" }, { options: { quotes: "none" }, webhook: `http://hooks.example.com:${port}/hook` });
+  const job = await done;
+  assert.equal(job.webhook.delivered, true);
+  assert.equal(received.length, 1);
+  assert.equal(received[0].host, `hooks.example.com:${port}`);
+  assert.equal(verifyWebhook(received[0].body, received[0], "key"), true);
+});
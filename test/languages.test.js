@@ -0,0 +1,22 @@
+// test/languages.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseLanguages, languageChain, pickLanguage, pickSitelink } = require("../lib/languages");
+
+test("parseLanguages splits, lowercases and reports invalid codes", () => {
+  assert.deepEqual(parseLanguages("de, FR,de"), { langs: ["de", "fr"], invalid: [] });
+  assert.deepEqual(parseLanguages(["zh-yue", "german!"]), { langs: ["zh-yue"], invalid: ["german!"] });
+  assert.deepEqual(parseLanguages(undefined), { langs: [], invalid: [] });
+});
+
+test("the display chain keeps English first", () => {
+  assert.deepEqual(languageChain(["de", "en", "fr"]), ["en", "de", "fr"]);
+});
+
+test("pickLanguage and pickSitelink fall back along the chain", () => {
+  const labels = { de: { value: "Deutsche Bahn" }, fr: { value: "Deutsche Bahn AG" } };
+  assert.deepEqual(pickLanguage(labels, ["en", "fr", "de"]), { lang: "fr", value: "Deutsche Bahn AG" });
+  assert.equal(pickLanguage(labels), null);
+  const entity = { sitelinks: { zh_yuewiki: { title: "德國鐵路" }, dewiki: { title: "Deutsche Bahn" } } };
+  assert.deepEqual(pickSitelink(entity, ["en", "zh-yue", "de"]), { lang: "zh-yue", title: "德國鐵路" });
+});
@@ -0,0 +1,32 @@
+// test/money.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parseMoneyString, moneySeriesFromWikidata } = require("../lib/money");
+
+test("reads currency, scale and year", () => {
+  assert.deepEqual(parseMoneyString("US$ 383.3 billion (2023)"), { amount: 383.3e9, currency: "USD", year: 2023 });
+  assert.deepEqual(parseMoneyString("€1.2 billion"), { amount: 1.2e9, currency: "EUR", year: null });
+  assert.deepEqual(parseMoneyString("¥3.5 trillion"), { amount: 3.5e12, currency: "JPY", year: null });
+});
+
+test("reads a decimal comma by the article's language", () => {
+  assert.deepEqual(parseMoneyString("1,2 Mrd. €", { lang: "de" }), { amount: 1.2e9, currency: "EUR", year: null });
+});
+
+test("moneySeriesFromWikidata keeps one point per date, oldest first", () => {
+  const entities = { Q4917: { claims: { P498: [{ mainsnak: { datavalue: { value: "USD" } } }] } } };
+  const statement = (amount, time, rank = "normal") => ({
+    rank,
+    mainsnak: { datavalue: { value: { amount, unit: "http://www.wikidata.org/entity/Q4917" } } },
+    qualifiers: { P585: [{ datavalue: { value: { time, precision: 9 } } }] }
+  });
+  assert.deepEqual(moneySeriesFromWikidata([
+    statement("+307394000000", "+2023-00-00T00:00:00Z"),
+    statement("+282836000000", "+2022-00-00T00:00:00Z"),
+    statement("+280000000000", "+2022-00-00T00:00:00Z", "preferred"),
+    statement("+1", "+2021-00-00T00:00:00Z", "deprecated")
+  ], entities), [
+    { date: "2022", amount: 280e9, currency: "USD", year: 2022 },
+    { date: "2023", amount: 307394e6, currency: "USD", year: 2023 }
+  ]);
+});
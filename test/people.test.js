@@ -0,0 +1,20 @@
+// test/people.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { parsePerson, parsePeople, parseOrganization } = require("../lib/people");
+
+test("parsePerson reads the role in each infobox form", () => {
+  assert.deepEqual(parsePerson("Sundar Pichai (CEO)"), { name: "Sundar Pichai", role: "CEO" });
+  assert.deepEqual(parsePerson("Chairman: John Doe"), { name: "John Doe", role: "Chairman" });
+  assert.deepEqual(parsePerson("Jane Roe, CFO"), { name: "Jane Roe", role: "CFO" });
+  assert.deepEqual(parsePerson("Larry Page"), { name: "Larry Page", role: null });
+});
+
+test("parsePeople drops empty lines", () => {
+  assert.deepEqual(parsePeople(["", "Larry Page", " – "]), [{ name: "Larry Page", role: null }]);
+});
+
+test("parseOrganization strips the parenthesised period", () => {
+  assert.deepEqual(parseOrganization("Alphabet Inc. (2015–present)"), { name: "Alphabet Inc.", qid: null });
+  assert.equal(parseOrganization(""), null);
+});
@@ -0,0 +1,70 @@
+// test/quotes.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { quoteFromChain, createMockProvider } = require("../lib/quotes");
+const { fetchListingQuote } = require("../lib/finance");
+
+// A provider answering `q` for every symbol (or throwing it when an Error).
+const provider = (name, q) => ({ name, quote: async () => { if (q instanceof Error) throw q; return q; } });
+
+test("merges providers field by field", async () => {
+  const quote = await quoteFromChain("X", [
+    provider("A", { stock_price: 10, currency: "USD", as_of: "2025-10-02" }),
+    provider("B", new Error("rate limited")),
+    provider("C", { stock_price: 11, market_cap: 5e9, currency: "USD" })
+  ]);
+  assert.deepEqual(quote, {
+    stock_price: 10, market_cap: 5e9, currency: "USD", as_of: "2025-10-02", source: "A",
+    sources: { stock_price: "A", as_of: "A", market_cap: "C", currency: "A" }
+  });
+});
+
+test("stops asking once every field is known", async () => {
+  let asked = 0;
+  await quoteFromChain("X", [
+    provider("A", { stock_price: 10, market_cap: 5e9, currency: "USD" }),
+    { name: "B", quote: async () => { asked++; return null; } }
+  ]);
+  assert.equal(asked, 0);
+});
+
+test("a market cap must be in the first currency any provider reports", async () => {
+  const quote = await quoteFromChain("X", [
+    provider("A", { stock_price: 10, currency: null }),
+    provider("B", { market_cap: 5e9, currency: "EUR" }),
+    provider("C", { market_cap: 7e9, currency: "USD" })
+  ]);
+  assert.equal(quote.currency, "EUR");
+  assert.equal(quote.market_cap, 5e9);
+  assert.equal(quote.sources.market_cap, "B");
+});
+
+test("a currency other than the listing's is dropped with its market cap", async () => {
+  const quote = await quoteFromChain("VOD.L", [
+    provider("Finnhub", { stock_price: 72.5, market_cap: 24e9, currency: "USD" }),
+    provider("Yahoo", { market_cap: 19e9, currency: "GBp" })
+  ], { currency: "GBP" });
+  assert.equal(quote.stock_price, 72.5);
+  assert.equal(quote.sources.stock_price, "Finnhub");
+  assert.equal(quote.currency, "GBp");
+  assert.equal(quote.market_cap, 19e9);
+  assert.equal(quote.sources.market_cap, "Yahoo");
+});
+
+test("no answer from any provider -> null", async () => {
+  assert.equal(await quoteFromChain("X", [provider("A", null), provider("B", new Error("down"))]), null);
+});
+
+test("the mock provider answers from fixtures", async () => {
+  const mock = createMockProvider({ fixtures: { "SAP.DE": { stock_price: 230.1, currency: "EUR" } } });
+  assert.deepEqual(await mock.quote("sap.de"), { stock_price: 230.1, market_cap: null, currency: "EUR", exchange: null, as_of: null });
+  assert.equal(await mock.quote("NOPE"), null);
+});
+
+test("the bundled fixtures and the listing's currency", async () => {
+  const quote = await fetchListingQuote({ symbol: "GOOGL", mic: "XNAS", currency: "USD" }, { providers: [createMockProvider()] });
+  assert.equal(quote.stock_price, 168.42);
+  assert.equal(quote.source, "Mock");
+  const finnhubOnly = await fetchListingQuote({ symbol: "VOD", mic: "XLON", currency: "GBP" }, { providers: [provider("Finnhub", { stock_price: 72.5, currency: "USD" })] });
+  assert.equal(finnhubOnly.currency, "GBP");
+});
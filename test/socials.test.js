@@ -0,0 +1,49 @@
+// test/socials.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classifySocial, canonicalSocial, socialsFromPages, socialsFromWikidata, mergeSocialProfiles, socialLinks } = require("../lib/socials");
+const { parseHtml } = require("../lib/html");
+
+test("Twitter links become x.com profiles", () => {
+  assert.equal(classifySocial("https://twitter.com/Google"), "x");
+  assert.deepEqual(canonicalSocial("https://twitter.com/Google"), { network: "x", url: "https://x.com/Google", handle: "Google" });
+  assert.deepEqual(canonicalSocial("https://x.com/google?lang=en"), { network: "x", url: "https://x.com/google", handle: "google" });
+});
+
+test("drops trailing slashes", () => {
+  assert.deepEqual(canonicalSocial("https://www.linkedin.com/company/google/"), { network: "linkedin", url: "https://www.linkedin.com/company/google", handle: "google" });
+  assert.deepEqual(canonicalSocial("https://www.facebook.com/Google/"), { network: "facebook", url: "https://www.facebook.com/Google", handle: "Google" });
+});
+
+test("keeps YouTube @handles", () => {
+  assert.equal(canonicalSocial("https://www.youtube.com/@Google").handle, "Google");
+});
+
+test("share links are not profiles", () => {
+  assert.equal(canonicalSocial("https://twitter.com/intent/tweet"), null);
+});
+
+test("socialsFromPages merges JSON-LD, rel=me and plain links", () => {
+  const html = `<footer>
+    <a href="https://www.facebook.com/sharer/sharer.php?u=x">Share</a>
+    <a href="https://twitter.com/Google">X</a>
+    <a rel="me" href="https://hachyderm.io/@google">Mastodon</a>
+  </footer>`;
+  const profiles = socialsFromPages([{
+    url: "https://google.com/about",
+    root: parseHtml(html),
+    jsonLd: [{ "@type": "Organization", sameAs: ["https://x.com/Google"] }]
+  }]);
+  assert.deepEqual(profiles.map(p => p.network), ["mastodon", "x"]);
+  const x = profiles.find(p => p.network === "x");
+  assert.equal(x.url, "https://x.com/Google");
+  assert.deepEqual(x.found_in.map(f => f.via), ["json-ld", "link"]);
+});
+
+test("socialLinks keeps the best profile per network", () => {
+  const wikidata = socialsFromWikidata({ P2002: ["Google"] }, "Q95");
+  assert.deepEqual(wikidata[0].found_in, [{ source: "wikidata", entity: "Q95", property: "P2002" }]);
+  const site = [{ network: "x", url: "https://x.com/GoogleNews", handle: "GoogleNews", found_in: [{ source: "website", page: "https://google.com", via: "link" }] }];
+  assert.deepEqual(socialLinks(mergeSocialProfiles(site, wikidata)), { x: "https://x.com/Google" });
+  assert.equal(socialLinks([]), null);
+});
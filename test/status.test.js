@@ -0,0 +1,59 @@
+// test/status.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { classifyFate, successorFromFate, buildStatus, resolveStatus } = require("../lib/status");
+
+test("classifyFate picks the first matching state", () => {
+  assert.equal(classifyFate("Acquired by Oracle Corporation"), "acquired");
+  assert.equal(classifyFate("Merged with Exxon to form ExxonMobil"), "merged");
+  assert.equal(classifyFate("Renamed to Meta Platforms"), "renamed");
+  assert.equal(classifyFate("Bankruptcy; liquidated"), "defunct");
+  assert.equal(classifyFate("Something else"), null);
+});
+
+test("successorFromFate reads the company name", () => {
+  assert.equal(successorFromFate("Acquired by Oracle Corporation in 2010"), "Oracle Corporation");
+  assert.equal(successorFromFate("Merged with Exxon to form ExxonMobil"), "Exxon");
+  assert.equal(successorFromFate("Acquired by Time Warner Inc.[1]"), "Time Warner Inc.");
+  assert.equal(successorFromFate("Bankruptcy"), null);
+});
+
+test("an active company", () => {
+  const status = buildStatus({}, {});
+  assert.equal(status.state, "active");
+  assert.equal(status.active, true);
+  assert.equal(status.successor, null);
+});
+
+test("a fate row ends the company and names the buyer", () => {
+  const status = buildStatus({}, { defunct: "January 27, 2010", fate: "Acquired by Oracle Corporation" });
+  assert.equal(status.state, "acquired");
+  assert.equal(status.active, false);
+  assert.equal(status.dissolved, "2010-01-27");
+  assert.deepEqual(status.successor, { name: "Oracle Corporation", qid: null, relation: "acquired_by", website: null });
+  assert.deepEqual(status.acquired_by, { name: "Oracle Corporation", qid: null, since: "2010-01-27" });
+});
+
+test("Wikidata successors beat the infobox, and an owner alone means acquired", () => {
+  const ended = buildStatus(
+    { dissolved: "2010-01-27", successors: [{ qid: "Q19900", name: "Oracle Corporation", relation: "replaced_by" }] },
+    { successor: ["Someone Else"] }
+  );
+  assert.equal(ended.successor.qid, "Q19900");
+  assert.equal(ended.state, "defunct");
+
+  const owned = buildStatus({ acquirer: { qid: "Q95", name: "Google", since: "2006-11-13" } });
+  assert.equal(owned.state, "acquired");
+  assert.equal(owned.active, true);
+});
+
+test("resolveStatus looks the successor up by title and shares its qid with the buyer", async () => {
+  const status = buildStatus({}, { fate: "Acquired by Oracle Corporation" });
+  const resolved = await resolveStatus(status, {
+    titleToQid: async (title) => (title === "Oracle Corporation" ? "Q19900" : null),
+    getEntities: async () => ({ Q19900: { claims: { P856: [{ mainsnak: { datavalue: { value: "https://www.oracle.com/" } } }] } } })
+  });
+  assert.equal(resolved.successor.qid, "Q19900");
+  assert.equal(resolved.successor.website, "https://www.oracle.com/");
+  assert.equal(resolved.acquired_by.qid, "Q19900");
+});
@@ -0,0 +1,98 @@
+// test/watch.test.js
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs/promises");
+const os = require("node:os");
+const path = require("node:path");
+const {
+  createMemoryWatchStore, createFileWatchStore, createRedisWatchStore, configureWatch,
+  addWatch, removeWatch, listWatches, snapshotOf, diffSnapshots, changesSince
+} = require("../lib/watch");
+
+const record = (id, changes = []) => ({
+  id, input: { qid: id }, qid: id, name: null, added_at: "2025-01-01T00:00:00.000Z",
+  last_run: null, last_error: null, snapshot: null, changes
+});
+
+test("snapshotOf reads the watched fields", () => {
+  const snapshot = snapshotOf({ data: {
+    name: "Google",
+    employees: { count: 182502 },
+    headquarters: { city: "Mountain View", region_code: "US-CA", country_code: "US" },
+    listings: [{ symbol: "GOOGL", mic: "XNAS" }, { symbol: "GOOG" }],
+    social: { x: "https://x.com/Google" },
+    status: { state: "active" }
+  } });
+  assert.deepEqual(snapshot, {
+    name: "Google", employees: 182502, headquarters: "Mountain View, US-CA, US", type: null, website: null,
+    tickers: ["GOOG", "GOOGL@XNAS"], social: { x: "https://x.com/Google" }, status: "active"
+  });
+});
+
+test("diffSnapshots compares social per network", () => {
+  const before = { name: "Google", employees: 180000, tickers: ["GOOGL"], social: { x: "https://x.com/Google", facebook: "https://www.facebook.com/Google" } };
+  const after = { name: "Google", employees: 182502, tickers: ["GOOGL"], social: { x: "https://x.com/Google", linkedin: "https://www.linkedin.com/company/google" } };
+  assert.deepEqual(diffSnapshots(before, after), [
+    { field: "employees", before: 180000, after: 182502 },
+    { field: "social.facebook", before: "https://www.facebook.com/Google", after: null },
+    { field: "social.linkedin", before: null, after: "https://www.linkedin.com/company/google" }
+  ]);
+  assert.deepEqual(diffSnapshots(after, after), []);
+});
+
+test("addWatch keeps one entry per company", async () => {
+  configureWatch({ store: createMemoryWatchStore() });
+  const added = await addWatch({ domain: "https://www.Google.com/about" });
+  assert.equal(added.id, "domain:google.com");
+  assert.equal((await addWatch({ domain: "google.com" })).added_at, added.added_at);
+  await addWatch({ qid: "q95" });
+  assert.deepEqual((await listWatches()).map(w => w.id).sort(), ["Q95", "domain:google.com"]);
+  assert.equal(await removeWatch("domain:google.com"), true);
+  assert.equal(await removeWatch("domain:google.com"), false);
+  await assert.rejects(addWatch({ domain: "not a domain" }), (err) => err.status === 400);
+  await assert.rejects(addWatch({}), (err) => err.status === 400);
+});
+
+test("changesSince filters by date and field prefix, newest first", async () => {
+  const store = createMemoryWatchStore();
+  configureWatch({ store });
+  await store.add(record("Q95", [
+    { field: "employees", before: 1, after: 2, at: "2025-01-10T00:00:00.000Z" },
+    { field: "social.x", before: null, after: "https://x.com/Google", at: "2025-02-01T00:00:00.000Z" }
+  ]));
+  await store.add(record("Q312", [{ field: "name", before: "Apple Computer", after: "Apple", at: "2025-01-20T00:00:00.000Z" }]));
+
+  assert.deepEqual((await changesSince("2025-01-15")).map(c => [c.id, c.field]), [["Q95", "social.x"], ["Q312", "name"]]);
+  assert.deepEqual((await changesSince("2025-01-01", { fields: ["social"] })).map(c => c.field), ["social.x"]);
+  assert.equal((await changesSince("2025-01-01", { limit: 1 })).length, 1);
+  await assert.rejects(changesSince("last week"), (err) => err.status === 400);
+});
+
+test("put does not bring back a removed company", async (t) => {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "watch-test-"));
+  t.after(() => fs.rm(dir, { recursive: true, force: true }));
+
+  const kv = new Map();
+  const sets = new Map();
+  const members = (key) => sets.get(key) || sets.set(key, new Set()).get(key);
+  const client = {
+    get: async (k) => kv.get(k) ?? null,
+    set: async (k, v) => { kv.set(k, v); return "OK"; },
+    del: async (k) => (kv.delete(k) ? 1 : 0),
+    mget: async (...keys) => keys.map(k => kv.get(k) ?? null),
+    sadd: async (k, m) => (members(k).has(m) ? 0 : (members(k).add(m), 1)),
+    srem: async (k, m) => (members(k).delete(m) ? 1 : 0),
+    smembers: async (k) => [...members(k)],
+    sismember: async (k, m) => (members(k).has(m) ? 1 : 0)
+  };
+
+  for (const store of [createMemoryWatchStore(), createFileWatchStore({ file: path.join(dir, "watch.json") }), createRedisWatchStore(client)]) {
+    assert.equal(await store.add(record("Q95")), true);
+    assert.equal(await store.add(record("Q95")), false);
+    assert.equal(await store.put({ ...record("Q95"), name: "Google" }), true);
+    assert.equal((await store.get("Q95")).name, "Google");
+    assert.equal(await store.remove("Q95"), true);
+    assert.equal(await store.put(record("Q95")), false);
+    assert.deepEqual(await store.list(), []);
+  }
+});
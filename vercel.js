@@ -4,6 +4,24 @@
       "runtime": "nodejs20.x",
       "memory": 1024,
       "maxDuration": 10
+    },
+    "api/batch.js": {
+      "runtime": "nodejs20.x",
+      "memory": 1024,
+      "maxDuration": 60
+    },
+    "api/jobs.js": {
+      "runtime": "nodejs20.x",
+      "memory": 1024,
+      "maxDuration": 60
+    },
+    "api/watch.js": {
+      "runtime": "nodejs20.x",
+      "memory": 1024,
+      "maxDuration": 300
     }
-  }
+  },
+  "crons": [
+    { "path": "/api/watch?run=1", "schedule": "0 6 * * 1" }
+  ]
 }